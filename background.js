@@ -1,8 +1,60 @@
+import { PomodoroBackgroundService } from './js/background/PomodoroBackgroundService.js';
+import { FocusModeService } from './js/background/FocusModeService.js';
+import { ToolbarStatusService } from './js/background/ToolbarStatusService.js';
+import { IdleService } from './js/background/IdleService.js';
+import { WaifuMoodService } from './js/background/WaifuMoodService.js';
+import { ChromeStorageProvider } from './js/providers/ChromeStorageProvider.js';
+import { ConsoleLogger } from './js/providers/ConsoleLogger.js';
+
+const storageProvider = new ChromeStorageProvider();
+const logger = new ConsoleLogger();
+const pomodoroService = new PomodoroBackgroundService(storageProvider, logger);
+const focusModeService = new FocusModeService(storageProvider, logger);
+const idleService = new IdleService(storageProvider, pomodoroService, logger);
+const toolbarStatusService = new ToolbarStatusService(
+  pomodoroService,
+  new WaifuMoodService(storageProvider, logger),
+  logger
+);
+
 // Open side panel when extension icon is clicked
 chrome.action.onClicked.addListener((tab) => {
   chrome.sidePanel.open({ tabId: tab.id });
 });
 
+// Notification clicks don't say which window they came from, and awaiting a lookup
+// would use up the user gesture sidePanel.open needs, so track the focused window here
+let focusedWindowId = null;
+
+chrome.windows.onFocusChanged.addListener((windowId) => {
+  if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+    focusedWindowId = windowId;
+  }
+});
+
+// The worker may have just woken up, before any focus change
+chrome.windows.getLastFocused()
+  .then((window) => { focusedWindowId ??= window.id; })
+  .catch(() => {});
+
+// Open the side panel in the given window, or the focused one (from a notification click).
+// sidePanel.open must be called synchronously from the click handler to keep the user gesture
+function openSidePanel(windowId = focusedWindowId) {
+  if (windowId === null) {
+    logger.error('Failed to open side panel: no focused window');
+    return;
+  }
+
+  chrome.sidePanel.open({ windowId })
+    .catch((error) => logger.error(`Failed to open side panel: ${error.message}`));
+}
+
+// Panel commands go through storage so a panel that is still opening picks them up too
+function sendPanelCommand(command) {
+  storageProvider.save('panelCommand', { command, at: Date.now() })
+    .catch((error) => logger.error(`Failed to send panel command: ${error.message}`));
+}
+
 // Tab spy functionality - broadcast tab changes to side panel
 chrome.tabs.onActivated.addListener((activeInfo) => {
   notifySidePanel('tab_activated', { tabId: activeInfo.tabId });
@@ -34,6 +86,110 @@ async function notifySidePanel(type, data) {
   }
 }
 
+// Pomodoro timer lives here so it keeps running while the side panel is closed
+chrome.alarms.onAlarm.addListener((alarm) => {
+  pomodoroService.handleAlarm(alarm);
+  focusModeService.handleAlarm(alarm);
+  toolbarStatusService.handleAlarm(alarm);
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type === 'POMODORO_COMMAND') {
+    pomodoroService.handleCommand(message.command, message.payload)
+      .then((state) => sendResponse({ state }))
+      .catch((error) => sendResponse({ error: error.message }));
+
+    // Keep the channel open for the async response
+    return true;
+  }
+
+  if (message?.type === 'IDLE_COMMAND' && message.command === 'resolve') {
+    idleService.resolve(Boolean(message.payload?.keep))
+      .then((period) => sendResponse({ period }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message?.type === 'FOCUS_MODE_COMMAND') {
+    focusModeService.handleCommand(message.command, message.payload)
+      .then((result) => sendResponse({ result }))
+      .catch((error) => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  return false;
+});
+
+// Pomodoro notification buttons drive the timer; clicking the body opens the panel
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  const action = pomodoroService.getNotificationAction(notificationId, buttonIndex);
+  if (!action) return;
+
+  if (action === 'openPanel') {
+    openSidePanel();
+  }
+  pomodoroService.handleNotificationAction(notificationId, action);
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (!pomodoroService.isOwnNotification(notificationId)) return;
+
+  openSidePanel();
+  chrome.notifications.clear(notificationId);
+});
+
+// Going idle or locking the screen pauses the work session (see IdleService)
+chrome.idle.onStateChanged.addListener((idleState) => {
+  idleService.handleStateChange(idleState);
+});
+
+// The detection interval doesn't outlive the worker, so set it every time it starts
+idleService.applySettings();
+
+// Global keyboard shortcuts, declared under "commands" in manifest.json
+chrome.commands.onCommand.addListener((command, tab) => {
+  switch (command) {
+    case 'toggle-pomodoro':
+    case 'skip-session':
+      pomodoroService.handleCommand(command === 'toggle-pomodoro' ? 'toggle' : 'skip')
+        .catch((error) => logger.error(`Shortcut "${command}" failed: ${error.message}`));
+      break;
+    case 'quick-add-task':
+      openSidePanel(tab?.windowId);
+      sendPanelCommand('focusTodoInput');
+      break;
+    case 'trigger-interaction':
+      sendPanelCommand('triggerInteraction');
+      break;
+  }
+});
+
+// Focus mode follows the work session and its settings; the toolbar follows the timer and mood
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace !== 'local') return;
+
+  if (changes.pomodoroState || changes.appSettings) {
+    focusModeService.syncRules();
+  }
+  if (changes.appSettings) {
+    idleService.applySettings();
+  }
+  if (changes.pomodoroState || changes.todos || changes.affectionLevel || changes.relationship) {
+    toolbarStatusService.update();
+  }
+});
+
+// Focus mode can only block sites once the user grants host access
+chrome.permissions.onAdded.addListener(() => focusModeService.syncRules());
+chrome.permissions.onRemoved.addListener(() => focusModeService.syncRules());
+
+chrome.runtime.onStartup.addListener(() => {
+  focusModeService.syncRules();
+  toolbarStatusService.update();
+});
+
 chrome.runtime.onInstalled.addListener(() => {
   console.log('🌸 Waifu AI Side Panel extension installed with tab spy capabilities');
+  focusModeService.syncRules();
+  toolbarStatusService.update();
 });
@@ -50,10 +50,16 @@ function addTestData() {
         window.app.affectionManager.increase(25);
     }
     
-    // Add some test interactions
+    // Add some test interactions: 5 shown, 4 answered, 1 missed
     if (window.app.interactionManager) {
-        window.app.interactionManager.totalInteractions = 5;
-        window.app.interactionManager.successfulInteractions = 4;
+        const { history } = window.app.interactionManager;
+        for (let i = 0; i < 5; i++) {
+            history.record('shown');
+        }
+        for (let i = 0; i < 4; i++) {
+            history.record('success');
+        }
+        history.record('missed');
     }
     
     // Add some test notes
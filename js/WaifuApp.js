@@ -10,14 +10,21 @@ import { AffectionManager } from './managers/AffectionManager.js';
 import { TodoManager } from './managers/TodoManager.js';
 import { TooltipManager } from './managers/TooltipManager.js';
 import { PomodoroManager } from './managers/PomodoroManager.js';
+import { AudioManager } from './managers/AudioManager.js';
 import { SettingsManager } from './managers/SettingsManager.js';
 import { UIManager } from './managers/UIManager.js';
 import { InteractionManager } from './managers/InteractionManager.js';
 import { NotepadManager } from './managers/NotepadManager.js';
 import { ShareManager } from './managers/ShareManager.js';
 import { MoodTracker } from './managers/MoodTracker.js';
+import { IdleManager } from './managers/IdleManager.js';
+import { AchievementManager } from './managers/AchievementManager.js';
+import { QuestManager } from './managers/QuestManager.js';
+import { CharacterManager } from './managers/CharacterManager.js';
 import { QuoteService } from './services/QuoteService.js';
 import { ContextAwareQuoteManager } from './services/ContextAwareQuoteManager.js';
+import { TaskRewardService } from './services/TaskRewardService.js';
+import { getDateKey } from './utils/dateKey.js';
 
 export class WaifuApp {
   constructor(storageProvider, logger) {
@@ -39,18 +46,29 @@ export class WaifuApp {
     
     this.affectionManager = new AffectionManager(storageProvider, logger);
     this.todoManager = new TodoManager(storageProvider, logger);
+    this.taskRewards = new TaskRewardService(storageProvider, logger);
+    this.poutTimer = null;
     this.tooltipManager = new TooltipManager(logger);
-    this.pomodoroManager = new PomodoroManager(storageProvider, logger);
+    this.audioManager = new AudioManager(logger);
+    this.pomodoroManager = new PomodoroManager(storageProvider, logger, this.audioManager);
     this.notepadManager = new NotepadManager(storageProvider, logger);
     this.shareManager = new ShareManager(logger, this);
     this.moodTracker = new MoodTracker(storageProvider, logger);
+    this.idleManager = new IdleManager(logger, this.contextAwareQuotes);
+    this.achievementManager = new AchievementManager(storageProvider, logger);
+    this.questManager = new QuestManager(storageProvider, logger);
+    this.characterManager = new CharacterManager(storageProvider, logger);
     
     // Initialize interaction manager
-    this.interactionManager = new InteractionManager(logger, {
+    this.interactionManager = new InteractionManager(storageProvider, logger, {
       interactionInterval: CONFIG.INTERACTION.INTERVAL,
       interactionReward: CONFIG.INTERACTION.REWARD,
       indicatorDuration: CONFIG.INTERACTION.INDICATOR_DURATION,
-      maxMissedInteractions: CONFIG.INTERACTION.MAX_MISSED
+      maxMissedInteractions: CONFIG.INTERACTION.MAX_MISSED,
+      missedBackoff: CONFIG.INTERACTION.MISSED_BACKOFF,
+      maxInterval: CONFIG.INTERACTION.MAX_INTERVAL,
+      breakDelay: CONFIG.INTERACTION.BREAK_DELAY,
+      dailyCap: CONFIG.INTERACTION.DAILY_CAP
     });
     
     // Quote timer for random quotes
@@ -60,9 +78,25 @@ export class WaifuApp {
     const affectionFill = document.getElementById('affection-fill');
     const affectionText = document.getElementById('affection-text');
     if (affectionFill && affectionText) {
-      this.affectionManager.setUIElements(affectionFill, affectionText);
+      this.affectionManager.setUIElements(
+        affectionFill,
+        affectionText,
+        document.getElementById('relationship-level')
+      );
     }
     
+    this.affectionManager.setTimelineElements({
+      chart: document.getElementById('affection-timeline-chart'),
+      empty: document.getElementById('affection-timeline-empty'),
+      milestoneList: document.getElementById('affection-milestones'),
+      rangeButtons: document.querySelectorAll('.timeline-range-btn'),
+      nextUnlock: document.getElementById('relationship-next'),
+      unlockList: document.getElementById('relationship-unlocks')
+    });
+    this.affectionManager.onRelationshipChange = ({ levelUps, unlocks }) => {
+      this.handleRelationshipChange(levelUps, unlocks);
+    };
+    
     const todoList = document.getElementById('todo-list');
     const taskCount = document.getElementById('task-count');
     if (todoList && taskCount) {
@@ -78,10 +112,49 @@ export class WaifuApp {
       pauseButton: document.getElementById('pomodoro-pause'),
       stopButton: document.getElementById('pomodoro-stop'),
       resetButton: document.getElementById('pomodoro-reset'),
+      finishButton: document.getElementById('pomodoro-finish'),
+      presetSelect: document.getElementById('pomodoro-preset-select'),
+      presetAddButton: document.getElementById('pomodoro-preset-add'),
+      presetDeleteButton: document.getElementById('pomodoro-preset-delete'),
+      presetForm: document.getElementById('pomodoro-preset-form'),
+      presetFields: {
+        name: document.getElementById('preset-name'),
+        mode: document.getElementById('preset-mode'),
+        workDuration: document.getElementById('preset-work'),
+        shortBreak: document.getElementById('preset-short-break'),
+        longBreak: document.getElementById('preset-long-break'),
+        sessionsUntilLongBreak: document.getElementById('preset-sessions'),
+        breakRatio: document.getElementById('preset-break-ratio')
+      },
+      presetSaveButton: document.getElementById('preset-save'),
+      presetError: document.getElementById('preset-error'),
+      autoStartNotice: document.getElementById('pomodoro-autostart'),
+      autoStartText: document.getElementById('pomodoro-autostart-text'),
+      autoStartCancelButton: document.getElementById('pomodoro-autostart-cancel'),
+      skipButton: document.getElementById('pomodoro-skip'),
+      extendButton: document.getElementById('pomodoro-extend'),
+      shortenButton: document.getElementById('pomodoro-shorten'),
+      interruptButton: document.getElementById('pomodoro-interrupt'),
+      interruptForm: document.getElementById('pomodoro-interrupt-form'),
+      interruptType: document.getElementById('interrupt-type'),
+      interruptNote: document.getElementById('interrupt-note'),
+      interruptLogButton: document.getElementById('interrupt-log'),
+      interruptCount: document.getElementById('interrupt-count'),
+      ambientToggleButton: document.getElementById('pomodoro-ambient-toggle'),
+      ambientMixerButton: document.getElementById('pomodoro-ambient-mixer-toggle'),
+      ambientMixer: document.getElementById('pomodoro-ambient-mixer'),
+      ambientSliders: document.querySelectorAll('.ambient-slider'),
+      statsRangeButtons: document.querySelectorAll('.stats-range-btn'),
+      goalText: document.getElementById('goal-progress-text'),
+      goalFill: document.getElementById('goal-progress-fill'),
+      streakDisplay: document.getElementById('streak-count'),
       statsDisplay: {
         workSessions: document.getElementById('work-sessions'),
         totalSessions: document.getElementById('total-sessions'),
-        productiveTime: document.getElementById('productive-time')
+        productiveTime: document.getElementById('productive-time'),
+        skippedSessions: document.getElementById('skipped-sessions'),
+        interruptions: document.getElementById('interruption-total'),
+        topInterruptions: document.getElementById('top-interruptions')
       }
     };
     
@@ -92,6 +165,47 @@ export class WaifuApp {
       this.logger.warn('Some Pomodoro UI elements are missing');
     }
     
+    this.pomodoroManager.setBreakActivityElements({
+      container: document.getElementById('break-activities'),
+      picker: document.getElementById('break-activity-picker'),
+      list: document.getElementById('break-activity-list'),
+      count: document.getElementById('break-activity-count'),
+      runner: document.getElementById('break-activity-runner'),
+      name: document.getElementById('break-activity-name'),
+      visual: document.getElementById('break-activity-visual'),
+      step: document.getElementById('break-activity-step'),
+      progressFill: document.getElementById('break-activity-progress-fill'),
+      confirmButton: document.getElementById('break-activity-confirm'),
+      cancelButton: document.getElementById('break-activity-cancel')
+    });
+    
+    this.achievementManager.setElements({
+      gallery: document.getElementById('achievement-gallery'),
+      count: document.getElementById('achievement-count'),
+      toast: document.getElementById('achievement-toast')
+    });
+    
+    this.questManager.setElements({
+      list: document.getElementById('quest-list'),
+      summary: document.getElementById('quest-summary')
+    });
+    
+    this.characterManager.setElements({
+      select: document.getElementById('character-select'),
+      description: document.getElementById('character-description'),
+      removeButton: document.getElementById('character-remove'),
+      folderInput: document.getElementById('character-folder-input'),
+      zipInput: document.getElementById('character-zip-input'),
+      status: document.getElementById('character-status')
+    });
+    
+    this.idleManager.setElements({
+      prompt: document.getElementById('idle-prompt'),
+      text: document.getElementById('idle-prompt-text'),
+      keepButton: document.getElementById('idle-keep'),
+      discardButton: document.getElementById('idle-discard')
+    });
+    
     this.setupEventHandlers();
   }
 
@@ -118,23 +232,45 @@ export class WaifuApp {
       await Promise.all([
         this.affectionManager.load(),
         this.todoManager.load(),
+        this.taskRewards.load(),
+        this.achievementManager.load(),
+        this.questManager.load(),
+        this.characterManager.load(),
+        this.interactionManager.load(),
         this.pomodoroManager.load(),
         this.notepadManager.load(),
         this.moodTracker.initialize()
       ]);
       
+      // Speak and look like the active character
+      this.applyCharacter();
+      
       // Initialize notepad manager
       await this.notepadManager.initialize();
       
       // Initialize mood tracker UI
       this.initializeMoodTracker();
       
+      // Credit progress made before achievements were tracked
+      this.achievementManager.record('workSessionCompleted', this.pomodoroManager.workSessions);
+      this.achievementManager.record('moodLogged', this.moodTracker.getLoggedDays());
+      this.achievementManager.record('notesChanged', this.notepadManager.getStats().words);
+      
+      // Note growth counts from the words already written today
+      this.questManager.record('notepadWords', this.notepadManager.getStats().words);
+      this.questManager.startDayCheck();
+      
       // Initialize share manager
       this.shareManager.initialize();
       
       // Set up settings integration (this applies loaded settings)
       this.setupSettingsIntegration();
       
+      // Let affection fade for the time away (needs the decay settings applied above)
+      const { awayHours } = await this.affectionManager.checkDecay(true);
+      this.affectionManager.startDecayCheck();
+      this.applyRelationshipContent();
+      
       // Start waifu cycling - DISABLED
       // this.waifuManager.startCycling();
       // Ensure cycling is stopped
@@ -146,17 +282,28 @@ export class WaifuApp {
       // Set up storage sync
       this.setupStorageSync();
       
+      // Celebrate Pomodoro sessions that finished while the panel was closed
+      await this.pomodoroManager.reconcilePendingCompletions();
+      this.updateInteractionFocus();
+      
       // Set up keyboard shortcuts
       this.setupKeyboardShortcuts();
       
+      // Pick up a global shortcut that opened this panel
+      this.handlePanelCommand(await this.storageProvider.load('panelCommand'));
+      
       // Check storage usage
       await this.checkStorageUsage();
       
       // Initialize context-aware quotes
       await this.contextAwareQuotes.initialize();
       
-      // Request notification permission for Pomodoro
-      await this.pomodoroManager.requestNotificationPermission();
+      // Ask about time away that ended while the panel was closed
+      this.idleManager.sync(await this.storageProvider.load('idlePeriod'));
+      
+      if (awayHours >= CONFIG.AFFECTION_DECAY.REUNION_HOURS) {
+        this.showEventQuote('affectionReunion');
+      }
       
       this.logger.log('Application initialized successfully');
     } catch (error) {
@@ -186,11 +333,19 @@ export class WaifuApp {
     // Initialize interaction manager with waifu container
     const waifuContainer = document.getElementById('waifu-container');
     if (waifuContainer) {
-      this.interactionManager.initialize(waifuContainer, (reward) => {
-        this.affectionManager.increase(reward, waifuContainer);
+      this.interactionManager.initialize(waifuContainer, (reward, result) => {
+        this.affectionManager.increase(reward, waifuContainer, 'interaction');
         this.updateWaifuMood();
-        this.showEventQuote('waifuInteraction');
+        this.showEventQuote(result?.reactions?.success || 'waifuInteraction');
+        this.achievementManager.record('interaction');
+        this.questManager.record('interactions');
       });
+      this.interactionManager.onInteractionFailed = (result) => {
+        this.showPoutReaction(result.reactions.fail);
+      };
+      this.interactionManager.onInteractionAvailable = () => {
+        this.audioManager.play('interaction');
+      };
     }
     
     // Still allow direct clicking but with no reward (just animation)
@@ -201,20 +356,26 @@ export class WaifuApp {
     
     // Override todo manager event handlers to include affection logic
     this.todoManager.onToggle = (index) => {
+      const todo = this.todoManager.todos[index];
       const completedTask = this.todoManager.toggle(index);
-      if (completedTask) {
-        this.affectionManager.increase(
-          CONFIG.AFFECTION.TASK_COMPLETION,
-          document.getElementById('waifu-container')
-        );
-        // Show task completion quote
-        this.showEventQuote('taskComplete');
+      if (todo) {
+        this.taskRewards.recordToggle(todo);
+      }
+      
+      if (completedTask && this.rewardTaskCompletion(todo) === 'suspicious') {
+        return; // Keep pouting instead of switching back to the mood sprite
       }
       this.updateWaifuMood();
     };
     
-    this.todoManager.onDelete = (index) => {
-      this.todoManager.delete(index);
+    this.todoManager.onDelete = async (index) => {
+      // Deleting a task right after completing it doesn't keep the reward
+      const revoked = this.taskRewards.getRevocableReward(this.todoManager.todos[index]);
+      
+      await this.todoManager.delete(index);
+      if (revoked > 0) {
+        this.affectionManager.revoke(revoked, 'taskDeleted');
+      }
       this.updateWaifuMood();
     };
     
@@ -226,6 +387,87 @@ export class WaifuApp {
     this.pomodoroManager.onStateChange = (action, state) => {
       this.handlePomodoroStateChange(action, state);
     };
+    
+    this.pomodoroManager.onGoalReached = (progress, streak) => {
+      // Let the session complete quote finish first
+      setTimeout(() => this.showEventQuote('pomodoroGoalReached'), CONFIG.TOOLTIP.EVENT_DURATION);
+      this.achievementManager.record('dailyGoalReached', streak.current);
+    };
+    
+    this.moodTracker.onMoodSet = (dateKey, moodLevel) => {
+      this.achievementManager.record('moodLogged', this.moodTracker.getLoggedDays());
+      
+      // Filling in past days doesn't count towards today's quest
+      if (moodLevel && dateKey === getDateKey(new Date())) {
+        this.questManager.record('mood');
+      }
+    };
+    
+    this.notepadManager.onStatsChange = (stats) => {
+      this.achievementManager.record('notesChanged', stats.words);
+      this.questManager.record('notepadWords', stats.words);
+    };
+    
+    this.questManager.onQuestComplete = () => {
+      const waifuContainer = document.getElementById('waifu-container');
+      this.affectionManager.increase(CONFIG.QUESTS.REWARD, waifuContainer, 'quest');
+      this.updateWaifuMood();
+      this.tooltipManager.show(
+        this.quoteService.getQuoteByEvent('questComplete'),
+        CONFIG.TOOLTIP.EVENT_DURATION,
+        waifuContainer
+      );
+    };
+    
+    this.characterManager.onCharacterChange = () => {
+      this.applyCharacter();
+      this.tooltipManager.show(
+        this.quoteService.getRandomQuote(),
+        CONFIG.TOOLTIP.EVENT_DURATION,
+        document.getElementById('waifu-container')
+      );
+    };
+    
+    this.achievementManager.onUnlock = (achievement) => {
+      this.tooltipManager.show(
+        achievement.quote || this.quoteService.getQuoteByEvent('achievementUnlocked'),
+        CONFIG.TOOLTIP.EVENT_DURATION,
+        document.getElementById('waifu-container')
+      );
+    };
+    
+    this.pomodoroManager.onBreakActivityStart = (activity) => {
+      this.tooltipManager.show(
+        activity.intro || this.quoteService.getQuoteByEvent('breakActivityStart'),
+        CONFIG.TOOLTIP.EVENT_DURATION,
+        document.getElementById('waifu-container')
+      );
+    };
+    
+    this.pomodoroManager.onBreakActivityComplete = (activity, rewarded) => {
+      if (rewarded) {
+        this.affectionManager.increase(
+          activity.reward ?? CONFIG.BREAK_ACTIVITIES.REWARD,
+          document.getElementById('waifu-container'),
+          'breakActivity'
+        );
+      }
+      this.updateWaifuMood();
+      this.showEventQuote('breakActivityComplete');
+    };
+    
+    this.pomodoroManager.onStreakAtRisk = () => {
+      this.showEventQuote('pomodoroStreakAtRisk');
+    };
+    
+    this.pomodoroManager.onPresetsChange = ({ activePreset, presets, ambientMixes }) => {
+      // Saving triggers applySettings, which pushes the preset to the timer
+      this.settingsManager.update({
+        pomodoroPresets: presets,
+        pomodoroActivePreset: activePreset,
+        pomodoroAmbientMixes: ambientMixes
+      });
+    };
   }
 
   addTodo() {
@@ -254,7 +496,114 @@ export class WaifuApp {
   updateWaifuMood() {
     const taskProgress = this.todoManager.getProgress();
     const affectionMood = this.affectionManager.getMoodLevel();
-    this.waifuManager.setSpriteByMood(taskProgress, affectionMood);
+    // Unlocked sprites are built-in character art, so packs keep their own
+    const { sprites } = this.affectionManager.getUnlockedContent();
+    const spriteOverrides = this.characterManager.getActive().builtIn ? sprites : {};
+    this.waifuManager.setSpriteByMood(taskProgress, affectionMood, spriteOverrides);
+  }
+
+  /**
+   * Award affection for a completed task, unless it looks like farming
+   * @returns {string} The outcome from TaskRewardService.evaluateCompletion
+   */
+  rewardTaskCompletion(todo) {
+    const { amount, outcome } = this.taskRewards.evaluateCompletion(todo, CONFIG.AFFECTION.TASK_COMPLETION);
+    
+    if (outcome === 'suspicious') {
+      this.showPoutReaction();
+      return outcome;
+    }
+    
+    if (outcome === 'rewarded') {
+      this.taskRewards.recordReward(todo, amount);
+      this.todoManager.save();
+      this.affectionManager.increase(amount, document.getElementById('waifu-container'), 'task');
+    }
+    
+    this.audioManager.play('taskComplete');
+    this.showEventQuote('taskComplete');
+    
+    if (outcome !== 'alreadyRewarded') {
+      this.achievementManager.record('taskCompleted');
+      this.questManager.record('tasks');
+    }
+    return outcome;
+  }
+
+  /**
+   * Playful sulk in place of a reward, e.g. for suspicious task toggling or a lost mini-game
+   * @param {string} quoteEvent - Event for the accompanying quote
+   */
+  showPoutReaction(quoteEvent = 'taskFarming') {
+    clearTimeout(this.poutTimer);
+    this.waifuManager.setExpression('pouting');
+    this.showEventQuote(quoteEvent);
+    
+    this.poutTimer = setTimeout(() => {
+      this.poutTimer = null;
+      this.updateWaifuMood();
+    }, CONFIG.TASK_REWARD.POUT_DURATION);
+  }
+
+  /**
+   * Celebrate a relationship level-up or newly unlocked content
+   */
+  handleRelationshipChange(levelUps, unlocks) {
+    this.applyRelationshipContent();
+    
+    if (levelUps.length > 0) {
+      this.showEventQuote('relationshipLevelUp');
+    } else if (unlocks.length > 0) {
+      this.tooltipManager.show(
+        `You unlocked ${unlocks.map(unlock => unlock.name).join(' and ')}! ♡`,
+        CONFIG.TOOLTIP.EVENT_DURATION,
+        document.getElementById('waifu-container')
+      );
+    }
+  }
+
+  /**
+   * Use the dialogue, sprites and theme unlocked by relationship levels
+   */
+  applyRelationshipContent() {
+    const { dialogue } = this.affectionManager.getUnlockedContent();
+    this.quoteService.setUnlockedCategories(dialogue);
+    this.updateWaifuMood();
+    this.applyRelationshipTheme();
+  }
+
+  /**
+   * Use the active character's sprites, dialogue and accent colours
+   */
+  applyCharacter() {
+    const character = this.characterManager.getActive();
+    
+    this.waifuManager.setCharacterSprites(character.sprites);
+    this.waifuManager.imageElement.alt = character.name;
+    this.quoteService.setDialogueCollection(character.dialogue);
+    this.interactionManager.setMiniGameContent({ replyPrompts: this.quoteService.getReplyPrompts() });
+    
+    this.updateWaifuMood();
+    this.applyRelationshipTheme();
+  }
+
+  /**
+   * Apply the most recently unlocked theme, if unlocked themes are enabled,
+   * falling back to the active character's colours
+   */
+  applyRelationshipTheme() {
+    const { themes } = this.affectionManager.getUnlockedContent();
+    const theme = this.settingsManager.getSettings().enableCustomThemes ? themes[themes.length - 1] : null;
+    const { colors } = this.characterManager.getActive();
+    
+    ['background', 'panel', 'accent'].forEach(key => {
+      const value = theme?.colors?.[key] || colors?.[key];
+      if (value) {
+        document.body.style.setProperty(`--theme-${key}`, value);
+      } else {
+        document.body.style.removeProperty(`--theme-${key}`);
+      }
+    });
   }
 
   setupSettingsIntegration() {
@@ -264,6 +613,7 @@ export class WaifuApp {
         // Populate settings UI with current values
         this.uiManager.populateSettings(this.settingsManager.getSettings());
         this.setupSettingsEventHandlers();
+        this.loadShortcuts();
       }
     });
 
@@ -346,6 +696,34 @@ export class WaifuApp {
       });
     });
 
+    // Focus mode needs access to every site; ask while the click still counts as a user gesture
+    const focusModeCheckbox = document.getElementById('focus-mode-enabled');
+    focusModeCheckbox?.addEventListener('change', () => {
+      if (!focusModeCheckbox.checked) return;
+
+      chrome.permissions.request(CONFIG.FOCUS_MODE.HOST_PERMISSIONS)
+        .then((granted) => {
+          if (!granted) {
+            focusModeCheckbox.checked = false;
+            alert('Focus mode needs access to websites to block them during work sessions.');
+          }
+        })
+        .catch((error) => {
+          focusModeCheckbox.checked = false;
+          this.logger.error(`Failed to request focus mode permission: ${error.message}`);
+        });
+    });
+
+    // Sound previews use the theme and volume currently shown in the form
+    container.querySelectorAll('.sound-preview-btn').forEach(button => {
+      button.onclick = () => {
+        this.audioManager.preview(button.dataset.sound, {
+          theme: document.getElementById('sound-theme')?.value,
+          volume: Number(document.getElementById('sound-volume')?.value)
+        });
+      };
+    });
+
     // Data management buttons
     document.getElementById('reset-settings').addEventListener('click', () => {
       if (confirm('Are you sure you want to reset all settings to defaults?')) {
@@ -391,22 +769,54 @@ export class WaifuApp {
   applySettings(settings) {
     // Apply Pomodoro settings (pass in minutes, PomodoroManager will convert to seconds)
     if (this.pomodoroManager.timer) {
+      this.pomodoroManager.setAmbientSettings(settings.pomodoroAmbientMixes, settings.pomodoroAmbientAutoPlay);
+      this.pomodoroManager.setPresets(settings.pomodoroPresets, settings.pomodoroActivePreset);
       this.pomodoroManager.updateSettings({
-        workDuration: settings.pomodoroWorkDuration,
-        shortBreak: settings.pomodoroShortBreak,
-        longBreak: settings.pomodoroLongBreak,
-        sessionsUntilLongBreak: settings.pomodoroSessionsUntilLongBreak,
+        ...this.pomodoroManager.getPresetTimerSettings({
+          workDuration: settings.pomodoroWorkDuration,
+          shortBreak: settings.pomodoroShortBreak,
+          longBreak: settings.pomodoroLongBreak,
+          sessionsUntilLongBreak: settings.pomodoroSessionsUntilLongBreak
+        }),
         notificationsEnabled: settings.pomodoroNotificationsEnabled,
         autoStartBreaks: settings.pomodoroAutoStartBreaks,
-        autoStartWork: settings.pomodoroAutoStartWork
+        autoStartWork: settings.pomodoroAutoStartWork,
+        autoStartDelay: settings.pomodoroAutoStartDelay
+      });
+      this.pomodoroManager.setGoalSettings({
+        goalType: settings.pomodoroDailyGoalType,
+        goal: settings.pomodoroDailyGoal,
+        weekendRestDays: settings.pomodoroWeekendRestDays,
+        streakFreezesPerMonth: settings.pomodoroStreakFreezes
       });
     }
 
+    // Apply sound settings
+    this.audioManager.updateSettings({
+      enabled: settings.enableSoundEffects,
+      theme: settings.soundTheme,
+      volume: settings.soundVolume,
+      events: {
+        workComplete: settings.soundWorkComplete,
+        breakComplete: settings.soundBreakComplete,
+        interaction: settings.soundInteraction,
+        taskComplete: settings.soundTaskComplete
+      }
+    });
+
     // Apply Affection settings
     CONFIG.AFFECTION.TASK_COMPLETION = settings.affectionTaskCompletion;
     CONFIG.AFFECTION.WAIFU_CLICK = settings.affectionWaifuClick;
     CONFIG.AFFECTION.POMODORO_WORK_SESSION = settings.affectionPomodoroWork;
     CONFIG.AFFECTION.POMODORO_BREAK_SESSION = settings.affectionPomodoroBreak;
+    this.affectionManager.setDecaySettings({
+      enabled: settings.affectionDecayEnabled,
+      rate: settings.affectionDecayRate,
+      graceHours: settings.affectionDecayGrace,
+      floor: settings.affectionDecayFloor
+    });
+    this.applyRelationshipTheme();
+    this.interactionManager.updateConfig({ dailyCap: settings.interactionDailyCap });
 
     // Apply Quote settings
     CONFIG.TOOLTIP.RANDOM_INTERVAL = settings.quoteRandomInterval * 1000;
@@ -471,6 +881,17 @@ export class WaifuApp {
     return true;
   }
 
+  /**
+   * Show the current global shortcut bindings in the settings view
+   */
+  async loadShortcuts() {
+    try {
+      this.uiManager.populateShortcuts(await chrome.commands.getAll());
+    } catch (error) {
+      this.logger.error(`Failed to load keyboard shortcuts: ${error.message}`);
+    }
+  }
+
   setupStorageSync() {
     this.storageProvider.onChange((changes) => {
       if (changes.todos) {
@@ -482,9 +903,81 @@ export class WaifuApp {
         this.affectionManager.sync(changes.affectionLevel.newValue || 0);
         this.updateWaifuMood();
       }
+      
+      if (changes.relationship && changes.relationship.newValue) {
+        this.affectionManager.syncRelationship(changes.relationship.newValue);
+      }
+      
+      if (changes.affectionHistory || changes.affectionMilestones) {
+        this.affectionManager.syncHistory(
+          changes.affectionHistory?.newValue,
+          changes.affectionMilestones?.newValue
+        );
+      }
+      
+      if (changes.pomodoroState && changes.pomodoroState.newValue) {
+        this.pomodoroManager.sync(changes.pomodoroState.newValue);
+        this.updatePomodoroUI(this.pomodoroManager.getCurrentState());
+        this.updateInteractionFocus();
+      }
+      
+      if (changes.pomodoroHistory) {
+        this.pomodoroManager.syncHistory(changes.pomodoroHistory.newValue || []);
+        // The background records finished sessions, so count them once they arrive
+        this.achievementManager.record('workSessionCompleted', this.pomodoroManager.workSessions);
+      }
+
+      if (changes.activeCharacter) {
+        this.characterManager.sync(changes.activeCharacter.newValue);
+      }
+
+      if (changes.achievements) {
+        this.achievementManager.sync(changes.achievements.newValue);
+      }
+
+      if (changes.dailyQuests || changes.questHistory) {
+        this.questManager.sync(changes.dailyQuests?.newValue, changes.questHistory?.newValue);
+        this.questManager.render();
+      }
+
+      if (changes.interactionStats) {
+        this.interactionManager.syncStats(changes.interactionStats.newValue);
+      }
+
+      if (changes.idlePeriod) {
+        this.idleManager.sync(changes.idlePeriod.newValue);
+      }
+      
+      if (changes.panelCommand && changes.panelCommand.newValue) {
+        this.handlePanelCommand(changes.panelCommand.newValue);
+      }
     });
   }
 
+  /**
+   * Run a command sent by a global keyboard shortcut (see background.js)
+   * @param {Object} panelCommand - { command, at }
+   */
+  handlePanelCommand(panelCommand) {
+    // A panel opened long after the shortcut shouldn't act on it
+    if (!panelCommand || Date.now() - panelCommand.at > CONFIG.SHORTCUTS.PANEL_COMMAND_TTL) return;
+
+    switch (panelCommand.command) {
+      case 'focusTodoInput': {
+        this.uiManager.showMain();
+        const todoPanel = document.getElementById('todo-container');
+        if (todoPanel?.classList.contains('collapsed') && window.PanelManager) {
+          window.PanelManager.expandPanel(todoPanel);
+        }
+        document.getElementById('todo-input')?.focus();
+        break;
+      }
+      case 'triggerInteraction':
+        this.interactionManager.handleInteraction();
+        break;
+    }
+  }
+
   setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
       // Ctrl/Cmd + Enter to focus input
@@ -566,13 +1059,19 @@ export class WaifuApp {
 
     const moodLevel = this.getMoodBasedOnProgress();
     
+    // Mix in dialogue unlocked by relationship levels
+    let quote = Math.random() < CONFIG.RELATIONSHIP.UNLOCKED_QUOTE_CHANCE
+      ? this.quoteService.getUnlockedQuote()
+      : null;
+    
     // Use context-aware quotes if available, fallback to regular quotes
-    let quote;
-    try {
-      quote = this.contextAwareQuotes.getContextualQuote();
-    } catch (error) {
-      this.logger.warn('Context-aware quotes failed, using fallback');
-      quote = this.quoteService.getRandomQuote(moodLevel);
+    if (!quote) {
+      try {
+        quote = this.contextAwareQuotes.getContextualQuote();
+      } catch (error) {
+        this.logger.warn('Context-aware quotes failed, using fallback');
+        quote = this.quoteService.getRandomQuote(moodLevel);
+      }
     }
     
     this.tooltipManager.show(
@@ -626,18 +1125,22 @@ export class WaifuApp {
 
   // Pomodoro Integration Methods
   handlePomodoroSessionComplete(state) {
-    // Award affection for completed sessions
-    if (state.completedSessionType === 'work') {
-      this.affectionManager.increase(
-        CONFIG.AFFECTION.POMODORO_WORK_SESSION,
+    // Affection was already awarded by the background timer - just celebrate it
+    if (state.affectionReward) {
+      this.affectionManager.showReward(
+        state.affectionReward,
         document.getElementById('waifu-container')
       );
+    }
+    
+    if (state.completedSessionType === 'work') {
+      // Every open panel hears about the session, so it's counted by when it ended
+      this.questManager.record('workSessions', 0, state.completedAt);
+      if (!state.reconciled) {
+        this.interactionManager.handleBreakStarted();
+      }
       this.showEventQuote('pomodoroWorkComplete');
     } else {
-      this.affectionManager.increase(
-        CONFIG.AFFECTION.POMODORO_BREAK_SESSION,
-        document.getElementById('waifu-container')
-      );
       this.showEventQuote('pomodoroBreakComplete');
     }
     
@@ -670,6 +1173,16 @@ export class WaifuApp {
     
     this.updatePomodoroUI(state);
     this.updateWaifuMood();
+    this.updateInteractionFocus();
+  }
+
+  /**
+   * Hold interaction opportunities while a work session is running
+   */
+  updateInteractionFocus() {
+    const { isRunning, currentSession, isCountUp, currentTime } = this.pomodoroManager.getCurrentState();
+    const endsAt = isCountUp ? null : Date.now() + currentTime * 1000;
+    this.interactionManager.setFocusActive(isRunning && currentSession === 'work', endsAt);
   }
 
   updatePomodoroUI(state) {
@@ -713,6 +1226,16 @@ export class WaifuApp {
       this.pomodoroManager.destroy();
     }
     
+    if (this.audioManager) {
+      this.audioManager.destroy();
+    }
+    
+    if (this.affectionManager) {
+      this.affectionManager.stopDecayCheck();
+    }
+    
+    clearTimeout(this.poutTimer);
+    
     if (this.interactionManager) {
       this.interactionManager.cleanup();
     }
@@ -721,6 +1244,18 @@ export class WaifuApp {
       this.notepadManager.cleanup();
     }
     
+    if (this.achievementManager) {
+      this.achievementManager.cleanup();
+    }
+    
+    if (this.questManager) {
+      this.questManager.stopDayCheck();
+    }
+    
+    if (this.characterManager) {
+      this.characterManager.cleanup();
+    }
+    
     if (this.shareManager) {
       this.shareManager.cleanup();
     }
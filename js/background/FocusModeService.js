@@ -0,0 +1,242 @@
+/**
+ * Focus Mode Service
+ * Redirects distracting sites to the blocked page while a Pomodoro work session
+ * is running, using declarativeNetRequest rules built from site-categories.json
+ */
+
+import { CONFIG } from '../config.js';
+import { SerialQueue } from '../utils/SerialQueue.js';
+
+export const FOCUS_OVERRIDE_ALARM = 'focus-mode-override-end';
+
+const RULE_PRIORITY = {
+  BLOCK: 1,
+  ALLOW_SPECIFIC: 2, // Paths listed under a category that isn't blocked, e.g. youtube.com/watch
+  OVERRIDE: 3
+};
+
+export class FocusModeService {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.siteCategories = null;
+
+    // Rule updates replace the whole rule set, so they must not interleave
+    this.queue = new SerialQueue();
+  }
+
+  async loadSiteCategories() {
+    if (this.siteCategories) return this.siteCategories;
+
+    try {
+      const response = await fetch(chrome.runtime.getURL('site-categories.json'));
+      if (!response.ok) {
+        throw new Error(`Failed to load site categories: ${response.status}`);
+      }
+      this.siteCategories = await response.json();
+    } catch (error) {
+      this.logger.error(`Focus mode could not load site categories: ${error.message}`);
+      return {};
+    }
+
+    return this.siteCategories;
+  }
+
+  async getSettings() {
+    const data = await this.storageProvider.get('appSettings');
+    const settings = data?.appSettings || {};
+
+    return {
+      enabled: settings.focusModeEnabled ?? CONFIG.FOCUS_MODE.ENABLED,
+      categories: settings.focusModeCategories ?? CONFIG.FOCUS_MODE.CATEGORIES
+    };
+  }
+
+  /**
+   * Redirecting sites needs host access, which is only asked for when the user turns focus mode on
+   */
+  hasHostPermission() {
+    return chrome.permissions.contains(CONFIG.FOCUS_MODE.HOST_PERMISSIONS);
+  }
+
+  async isWorkSessionRunning() {
+    const state = await this.storageProvider.load('pomodoroState');
+    return Boolean(state && state.currentSession === 'work' && state.isRunning);
+  }
+
+  /**
+   * Active overrides keyed by hostname, with expired entries dropped
+   */
+  async loadOverrides() {
+    const overrides = await this.storageProvider.load('focusModeOverrides') || {};
+    const now = Date.now();
+
+    return Object.fromEntries(
+      Object.entries(overrides).filter(([, until]) => until > now)
+    );
+  }
+
+  /**
+   * Bring the dynamic rules in line with settings, the timer and overrides
+   */
+  syncRules() {
+    return this.queue.enqueue(async () => {
+      try {
+        const [settings, isRunning, overrides, hasPermission] = await Promise.all([
+          this.getSettings(),
+          this.isWorkSessionRunning(),
+          this.loadOverrides(),
+          this.hasHostPermission()
+        ]);
+
+        if (settings.enabled && !hasPermission) {
+          this.logger.log('Focus mode is waiting for site access to be granted');
+          return;
+        }
+
+        const isActive = settings.enabled && isRunning && settings.categories.length > 0;
+        const rules = isActive
+          ? this.buildRules(await this.loadSiteCategories(), settings.categories, overrides)
+          : [];
+
+        const existing = await chrome.declarativeNetRequest.getDynamicRules();
+        await chrome.declarativeNetRequest.updateDynamicRules({
+          removeRuleIds: existing.map(rule => rule.id),
+          addRules: rules
+        });
+
+        await this.storageProvider.save('focusModeOverrides', overrides);
+        await this.scheduleOverrideAlarm(isActive ? overrides : {});
+
+        if (isActive || existing.length > 0) {
+          this.logger.log(`Focus mode ${isActive ? `active with ${rules.length} rules` : 'inactive'}`);
+        }
+      } catch (error) {
+        this.logger.error(`Failed to update focus mode rules: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Build redirect rules for blocked categories, plus allow rules for
+   * more specific entries of other categories and for active overrides
+   */
+  buildRules(siteCategories, blockedCategories, overrides) {
+    const rules = [];
+    const addRule = (priority, action, condition) => {
+      rules.push({
+        id: rules.length + 1,
+        priority,
+        action,
+        condition: { ...condition, resourceTypes: ['main_frame'] }
+      });
+    };
+
+    Object.entries(siteCategories).forEach(([category, sites]) => {
+      const isBlocked = blockedCategories.includes(category);
+
+      sites.forEach(site => {
+        if (isBlocked) {
+          addRule(RULE_PRIORITY.BLOCK, {
+            type: 'redirect',
+            redirect: {
+              // The original URL goes last so it can contain its own query string
+              regexSubstitution: `${chrome.runtime.getURL('blocked.html')}?category=${category}&url=\\0`
+            }
+          }, { regexFilter: this.getSitePattern(site) });
+        } else if (site.includes('/')) {
+          addRule(RULE_PRIORITY.ALLOW_SPECIFIC, { type: 'allow' }, { regexFilter: this.getSitePattern(site) });
+        }
+      });
+    });
+
+    Object.keys(overrides).forEach(hostname => {
+      addRule(RULE_PRIORITY.OVERRIDE, { type: 'allow' }, { requestDomains: [hostname] });
+    });
+
+    return rules;
+  }
+
+  /**
+   * Regex matching the whole URL of a site entry ("reddit.com" or "youtube.com/watch"),
+   * including subdomains
+   */
+  getSitePattern(site) {
+    const [domain, ...path] = site.split('/');
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pathPattern = path.length > 0 ? `/${escape(path.join('/'))}.*` : '([/?#:].*)?';
+
+    return `^https?://([^/?#]+\\.)?${escape(domain)}${pathPattern}$`;
+  }
+
+  /**
+   * Wake up when the earliest override expires so blocking resumes
+   */
+  async scheduleOverrideAlarm(overrides) {
+    await chrome.alarms.clear(FOCUS_OVERRIDE_ALARM);
+
+    const expiries = Object.values(overrides);
+    if (expiries.length > 0) {
+      await chrome.alarms.create(FOCUS_OVERRIDE_ALARM, { when: Math.min(...expiries) });
+    }
+  }
+
+  handleAlarm(alarm) {
+    if (alarm.name !== FOCUS_OVERRIDE_ALARM) return Promise.resolve();
+    return this.syncRules();
+  }
+
+  /**
+   * Handle a command sent from the blocked page
+   * @param {string} command - override or logBlocked
+   * @param {Object} payload - { url, category }
+   */
+  async handleCommand(command, payload = {}) {
+    switch (command) {
+      case 'override':
+        return this.grantOverride(payload.url, payload.category);
+      case 'logBlocked':
+        await this.logEvent('blocked', payload.url, payload.category);
+        return { logged: true };
+      default:
+        throw new Error(`Unknown focus mode command: ${command}`);
+    }
+  }
+
+  /**
+   * Let the user through to a blocked site for a few minutes
+   */
+  async grantOverride(url, category) {
+    // Drop "www." so the override also covers the bare domain and its other subdomains
+    const hostname = new URL(url).hostname.replace(/^www\./, '');
+    const until = Date.now() + CONFIG.FOCUS_MODE.OVERRIDE_MINUTES * 60 * 1000;
+
+    const overrides = await this.loadOverrides();
+    overrides[hostname] = until;
+    await this.storageProvider.save('focusModeOverrides', overrides);
+
+    await this.logEvent('override', url, category);
+    await this.syncRules();
+
+    this.logger.log(`Focus mode override granted for ${hostname}`);
+    return { hostname, until };
+  }
+
+  /**
+   * Append to the focus mode log (blocked visits and overrides)
+   */
+  async logEvent(type, url, category) {
+    try {
+      const log = await this.storageProvider.load('focusModeLog') || [];
+      log.push({
+        type,
+        hostname: url ? new URL(url).hostname : null,
+        category: category || null,
+        at: new Date().toISOString()
+      });
+      await this.storageProvider.save('focusModeLog', log.slice(-CONFIG.FOCUS_MODE.LOG_MAX_ENTRIES));
+    } catch (error) {
+      this.logger.error(`Failed to log focus mode event: ${error.message}`);
+    }
+  }
+}
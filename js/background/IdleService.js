@@ -0,0 +1,131 @@
+/**
+ * Idle Service
+ * Watches chrome.idle so a work session doesn't count time the user was away,
+ * and keeps the absence until the side panel asks whether to keep or discard it
+ */
+
+import { CONFIG } from '../config.js';
+import { SerialQueue } from '../utils/SerialQueue.js';
+
+export const IDLE_PERIOD_KEY = 'idlePeriod';
+
+export class IdleService {
+  constructor(storageProvider, pomodoroService, logger) {
+    this.storageProvider = storageProvider;
+    this.pomodoroService = pomodoroService;
+    this.logger = logger;
+
+    // Idle, locked and active can fire in quick succession
+    this.queue = new SerialQueue();
+  }
+
+  async getSettings() {
+    const data = await this.storageProvider.get('appSettings');
+    const settings = data?.appSettings || {};
+
+    return {
+      autoPause: settings.pomodoroIdleAutoPause ?? CONFIG.IDLE.AUTO_PAUSE,
+      thresholdMinutes: settings.pomodoroIdleThreshold ?? CONFIG.IDLE.THRESHOLD
+    };
+  }
+
+  /**
+   * Match chrome.idle's detection interval to the idle threshold setting
+   */
+  async applySettings() {
+    try {
+      const { thresholdMinutes } = await this.getSettings();
+      chrome.idle.setDetectionInterval(thresholdMinutes * 60);
+    } catch (error) {
+      this.logger.error(`Failed to apply idle settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle chrome.idle.onStateChanged
+   * @param {string} idleState - active, idle or locked
+   */
+  handleStateChange(idleState) {
+    return this.queue.enqueue(async () => {
+      try {
+        if (idleState === 'active') {
+          await this.markReturned();
+        } else {
+          await this.markAway(idleState);
+        }
+      } catch (error) {
+        this.logger.error(`Failed to handle idle state "${idleState}": ${error.message}`);
+      }
+    });
+  }
+
+  async markAway(idleState) {
+    const period = await this.storageProvider.load(IDLE_PERIOD_KEY);
+
+    // Locking the screen after going idle is the same absence
+    if (period && !period.until) return;
+
+    const { autoPause, thresholdMinutes } = await this.getSettings();
+
+    // 'idle' only fires once the threshold has passed without input; locking starts the absence now
+    const since = idleState === 'idle' ? Date.now() - thresholdMinutes * 60 * 1000 : Date.now();
+    const state = await this.pomodoroService.handleCommand('idle', { since, autoPause });
+
+    await this.storageProvider.save(IDLE_PERIOD_KEY, {
+      since,
+      until: null,
+      sessionStartedAt: state.idleSessionStartedAt,
+      pausedSession: state.idlePaused
+    });
+
+    this.logger.log(`User is ${idleState}${state.idlePaused ? ', work session paused' : ''}`);
+  }
+
+  async markReturned() {
+    const period = await this.storageProvider.load(IDLE_PERIOD_KEY);
+    if (!period || period.until) return;
+
+    const returned = { ...period, until: Date.now() };
+
+    // Not worth asking about a short absence
+    if (returned.until - returned.since < CONFIG.IDLE.MIN_AWAY_SECONDS * 1000) {
+      await this.applyDecision(returned, true);
+      return;
+    }
+
+    // The panel asks what to do with the time away
+    await this.storageProvider.save(IDLE_PERIOD_KEY, returned);
+  }
+
+  /**
+   * Apply the user's answer to the absence waiting for one
+   * @param {boolean} keep - Count the time away towards the work session
+   * @returns {Object|null} The resolved period
+   */
+  resolve(keep) {
+    return this.queue.enqueue(async () => {
+      const period = await this.storageProvider.load(IDLE_PERIOD_KEY);
+      if (!period?.until) return null;
+
+      await this.applyDecision(period, keep);
+      return period;
+    });
+  }
+
+  async applyDecision(period, keep) {
+    if (period.sessionStartedAt) {
+      // A session started while away only overlaps part of the absence
+      const idleSeconds = Math.round((period.until - Math.max(period.since, period.sessionStartedAt)) / 1000);
+
+      await this.pomodoroService.handleCommand('resolveIdle', {
+        keep,
+        idleSeconds: Math.max(0, idleSeconds),
+        sessionStartedAt: period.sessionStartedAt,
+        pausedSession: period.pausedSession
+      });
+    }
+
+    await this.storageProvider.save(IDLE_PERIOD_KEY, null);
+    this.logger.log(`${keep ? 'Kept' : 'Discarded'} ${Math.round((period.until - period.since) / 60000)} idle minute(s)`);
+  }
+}
@@ -0,0 +1,442 @@
+/**
+ * Pomodoro Background Service
+ * Owns the running Pomodoro timer in the service worker using chrome.alarms,
+ * so sessions keep counting down while the side panel is closed
+ */
+
+import { CONFIG } from '../config.js';
+import { PomodoroTimer } from '../models/PomodoroTimer.js';
+import { AffectionLevel } from '../models/AffectionLevel.js';
+import { DataValidationService } from '../services/DataValidationService.js';
+import { PomodoroHistoryService } from '../services/PomodoroHistoryService.js';
+import { AffectionDecayService } from '../services/AffectionDecayService.js';
+import { AffectionHistoryService } from '../services/AffectionHistoryService.js';
+import { RelationshipService } from '../services/RelationshipService.js';
+import { PomodoroNotificationService } from './PomodoroNotificationService.js';
+import { WaifuMoodService } from './WaifuMoodService.js';
+import { SerialQueue } from '../utils/SerialQueue.js';
+
+export const POMODORO_ALARM = 'pomodoro-session-end';
+
+// Settings that shape a session; changes to them wait until the session in progress ends
+const SESSION_SETTINGS = ['workDuration', 'shortBreak', 'longBreak', 'sessionsUntilLongBreak', 'mode', 'flowtimeBreakRatio'];
+
+export class PomodoroBackgroundService {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.notificationService = new PomodoroNotificationService(logger);
+    this.moodService = new WaifuMoodService(storageProvider, logger);
+    this.historyService = new PomodoroHistoryService(storageProvider, logger);
+    this.decayService = new AffectionDecayService(storageProvider, logger);
+    this.affectionHistory = new AffectionHistoryService(storageProvider, logger);
+    this.relationship = new RelationshipService(storageProvider, this.affectionHistory, logger);
+
+    // Serialize state mutations - the worker may receive commands and alarms concurrently
+    this.queue = new SerialQueue();
+  }
+
+  /**
+   * Build a timer from persisted state and settings
+   */
+  async loadTimer() {
+    const data = await this.storageProvider.get('pomodoroState');
+    const state = data?.pomodoroState || {};
+    const timer = new PomodoroTimer();
+
+    this.settings = {
+      workDuration: CONFIG.POMODORO.WORK_DURATION,
+      shortBreak: CONFIG.POMODORO.SHORT_BREAK,
+      longBreak: CONFIG.POMODORO.LONG_BREAK,
+      sessionsUntilLongBreak: CONFIG.POMODORO.SESSIONS_UNTIL_LONG_BREAK,
+      notificationsEnabled: CONFIG.POMODORO.NOTIFICATIONS_ENABLED,
+      autoStartBreaks: CONFIG.POMODORO.AUTO_START_BREAKS,
+      autoStartWork: CONFIG.POMODORO.AUTO_START_WORK,
+      autoStartDelay: CONFIG.POMODORO.AUTO_START_DELAY,
+      mode: 'countdown',
+      flowtimeBreakRatio: CONFIG.POMODORO.FLOWTIME_BREAK_RATIO,
+      ...state.settings
+    };
+
+    // The settings the session in progress started with, when they have changed since
+    this.sessionSettings = state.sessionSettings || null;
+
+    timer.updateSettings({ ...this.settings, ...this.sessionSettings });
+    timer.restore(state);
+    this.notificationService.setEnabled(this.settings.notificationsEnabled);
+
+    return timer;
+  }
+
+  /**
+   * Persist timer state; open panels pick it up through storage sync
+   */
+  async saveTimer(timer) {
+    await this.storageProvider.set('pomodoroState', {
+      ...timer.toJSON(),
+      settings: this.settings,
+      sessionSettings: this.sessionSettings,
+      lastSaved: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Settings changed during a session take over once no session is in progress
+   * @returns {Object} The state, refreshed when held settings were applied
+   */
+  applyHeldSettings(timer, state) {
+    if (!this.sessionSettings || timer.isRunning || timer.isPaused) return state;
+
+    this.sessionSettings = null;
+    timer.updateSettings(this.settings);
+    return { ...state, ...timer.getCurrentState() };
+  }
+
+  /**
+   * Handle a command sent from the side panel
+   * @param {string} command - start, pause, toggle, stop, reset, skip, extend, shorten, finish,
+   *   cancelAutoStart, skipBreak, snooze, interrupt, idle, resolveIdle, sync, updateSettings or getState
+   * @param {Object} payload - Command specific data
+   */
+  handleCommand(command, payload = {}) {
+    return this.queue.enqueue(async () => {
+      const timer = await this.loadTimer();
+      let state;
+
+      switch (command) {
+        case 'start':
+          // Starting again would restart the running session
+          state = timer.isRunning ? timer.getCurrentState() : timer.start();
+          break;
+        case 'pause':
+          state = timer.pause() || timer.getCurrentState();
+          break;
+        case 'toggle':
+          state = timer.isRunning ? timer.pause() : timer.start();
+          break;
+        case 'stop':
+          await this.historyService.append(timer.getSessionRecord('stopped'));
+          state = timer.stop();
+          break;
+        case 'reset':
+          await this.historyService.append(timer.getSessionRecord('reset'));
+          state = timer.reset();
+          break;
+        case 'skip':
+          await this.historyService.append(timer.getSessionRecord('skipped'));
+          state = timer.skip();
+          break;
+        case 'extend':
+        case 'shorten': {
+          const minutes = Number(payload.minutes) || CONFIG.POMODORO.ADJUST_MINUTES;
+          if (!timer.adjustDuration(command === 'extend' ? minutes : -minutes)) {
+            throw new Error('Only a countdown session in progress can be extended or shortened');
+          }
+          // Shortening past the elapsed time ends the session right away
+          state = await this.checkSessionEnd(timer);
+          break;
+        }
+        case 'cancelAutoStart':
+          state = timer.cancelAutoStart();
+          break;
+        case 'skipBreak':
+          state = timer.skipBreak();
+          if (!state) {
+            throw new Error('There is no upcoming break to skip');
+          }
+          break;
+        case 'snooze':
+          state = timer.scheduleAutoStart(CONFIG.POMODORO.SNOOZE_MINUTES * 60);
+          if (!state) {
+            throw new Error('Only a session that has not started can be snoozed');
+          }
+          break;
+        case 'finish':
+          if (!timer.isCountUp() || !timer.sessionStartedAt) {
+            throw new Error('Only a Flowtime work session can be finished');
+          }
+          state = await this.completeSession(timer);
+          break;
+        case 'interrupt':
+          state = timer.recordInterruption(payload.type, payload.note);
+          if (!state) {
+            throw new Error('Interruptions can only be logged during a work session');
+          }
+          break;
+        case 'idle': {
+          // Only a running work session counts time away worth keeping or discarding;
+          // a paused one already left it out
+          const isCounting = timer.isRunning && timer.currentSession === 'work';
+          // Back-dated to when the user went idle so the time away isn't counted
+          const paused = payload.autoPause && isCounting
+            ? timer.pause(payload.since, 'idle')
+            : null;
+          state = {
+            ...(paused || timer.getCurrentState()),
+            idlePaused: Boolean(paused),
+            idleSessionStartedAt: isCounting ? timer.sessionStartedAt : null
+          };
+          break;
+        }
+        case 'resolveIdle':
+          state = await this.resolveIdle(timer, payload);
+          break;
+        case 'updateSettings':
+          // A session in progress keeps its durations and mode; the new ones apply from the next session
+          if ((timer.isRunning || timer.isPaused) && !this.sessionSettings) {
+            this.sessionSettings = Object.fromEntries(SESSION_SETTINGS.map(key => [key, this.settings[key]]));
+          }
+          Object.entries(payload).forEach(([key, value]) => {
+            if (value !== undefined) {
+              this.settings[key] = value;
+            }
+          });
+          timer.updateSettings({ ...this.settings, ...this.sessionSettings });
+          state = timer.updateCurrentTime();
+          break;
+        case 'sync':
+        case 'getState':
+          state = await this.checkTimer(timer);
+          break;
+        default:
+          throw new Error(`Unknown Pomodoro command: ${command}`);
+      }
+
+      state = this.applyHeldSettings(timer, state);
+      await this.saveTimer(timer);
+      await this.scheduleAlarm(timer);
+
+      this.logger.log(`Pomodoro command handled: ${command}`);
+      return state;
+    });
+  }
+
+  /**
+   * Keep or discard the time away for the work session that was in progress when the user went idle
+   * @param {Object} payload - { keep, idleSeconds, sessionStartedAt, pausedSession }
+   */
+  async resolveIdle(timer, { keep, idleSeconds, sessionStartedAt, pausedSession }) {
+    if (!sessionStartedAt || timer.sessionStartedAt !== sessionStartedAt) {
+      return timer.getCurrentState();
+    }
+
+    // An auto-paused session left the time out; one that kept running already counted it,
+    // so only take it back while the timer is still counting
+    if (keep && pausedSession) {
+      timer.addElapsedTime(idleSeconds);
+    } else if (!keep && !pausedSession && timer.isRunning) {
+      timer.addElapsedTime(-idleSeconds);
+    }
+
+    if (pausedSession && timer.isPaused) {
+      timer.start();
+    }
+
+    // Kept minutes may have finished the session
+    return this.checkSessionEnd(timer);
+  }
+
+  /**
+   * Current timer state without completing or saving anything
+   */
+  peekState() {
+    return this.queue.enqueue(async () => {
+      const timer = await this.loadTimer();
+      return timer.updateCurrentTime();
+    });
+  }
+
+  /**
+   * Handle a fired chrome alarm
+   */
+  handleAlarm(alarm) {
+    if (alarm.name !== POMODORO_ALARM) return Promise.resolve(null);
+
+    return this.queue.enqueue(async () => {
+      const timer = await this.loadTimer();
+      const state = this.applyHeldSettings(timer, await this.checkTimer(timer));
+      await this.saveTimer(timer);
+      await this.scheduleAlarm(timer);
+      return state;
+    });
+  }
+
+  /**
+   * Process whatever is due: a session ending or a queued auto-start
+   */
+  async checkTimer(timer) {
+    if (timer.isAutoStartDue()) {
+      return this.autoStartNextSession(timer);
+    }
+    return this.checkSessionEnd(timer);
+  }
+
+  /**
+   * Complete the running session if its end time has passed
+   */
+  async checkSessionEnd(timer) {
+    const endTime = timer.getEndTime();
+    if (endTime === null || Date.now() < endTime) {
+      return timer.updateCurrentTime();
+    }
+
+    return this.completeSession(timer);
+  }
+
+  /**
+   * Complete the current session, record it and queue the next one
+   */
+  async completeSession(timer) {
+    let state = timer.completeSession();
+    await this.historyService.append(state.sessionRecord);
+
+    if (state.autoStartNext) {
+      state = { ...state, ...timer.scheduleAutoStart(this.settings.autoStartDelay) };
+    }
+
+    await this.handleSessionComplete(state);
+    return state;
+  }
+
+  /**
+   * Start the next session once the auto-start grace period is over
+   */
+  async autoStartNextSession(timer) {
+    const state = timer.start();
+    await this.broadcast('autoStarted', state);
+    this.logger.log(`Auto-started ${state.currentSession} session`);
+    return state;
+  }
+
+  /**
+   * Create or clear the alarm to match the next due timer event
+   */
+  async scheduleAlarm(timer) {
+    await chrome.alarms.clear(POMODORO_ALARM);
+
+    const when = timer.getEndTime() ?? timer.autoStartAt;
+    if (when !== null) {
+      await chrome.alarms.create(POMODORO_ALARM, { when });
+    }
+  }
+
+  /**
+   * Resolve a notification button click to its action
+   * @returns {string|null} start, skipBreak, snooze or openPanel
+   */
+  getNotificationAction(notificationId, buttonIndex) {
+    return this.notificationService.getClickedAction(notificationId, buttonIndex);
+  }
+
+  isOwnNotification(notificationId) {
+    return this.notificationService.isOwnNotification(notificationId);
+  }
+
+  /**
+   * Drive the timer from a notification button (openPanel is left to the caller)
+   */
+  async handleNotificationAction(notificationId, action) {
+    await chrome.notifications.clear(notificationId);
+
+    try {
+      switch (action) {
+        case 'start':
+          await this.handleCommand('start');
+          break;
+        case 'skipBreak':
+          await this.handleCommand('skipBreak');
+          await this.handleCommand('start');
+          break;
+        case 'snooze':
+          await this.handleCommand('snooze');
+          break;
+      }
+    } catch (error) {
+      this.logger.error(`Notification action "${action}" failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Award affection, notify, and hand the completion to any open panel
+   */
+  async handleSessionComplete(state) {
+    state.affectionReward = await this.awardAffection(state.completedSessionType);
+    state.completedAt = new Date().toISOString();
+
+    await this.notificationService.showSessionComplete(state, await this.moodService.getSprite());
+
+    const delivered = await this.broadcast('sessionComplete', state);
+    if (!delivered) {
+      // No panel is listening - keep it for WaifuApp to reconcile when one opens
+      await this.queuePendingCompletion(state);
+    }
+
+    this.logger.log(`${state.completedSessionType} session completed in background`);
+  }
+
+  /**
+   * Add the session reward to the stored affection level
+   * @returns {number} The amount actually awarded
+   */
+  async awardAffection(completedSessionType) {
+    try {
+      const data = await this.storageProvider.get('appSettings');
+      const settings = data?.appSettings || {};
+      const amount = completedSessionType === 'work'
+        ? settings.affectionPomodoroWork ?? CONFIG.AFFECTION.POMODORO_WORK_SESSION
+        : settings.affectionPomodoroBreak ?? CONFIG.AFFECTION.POMODORO_BREAK_SESSION;
+
+      const level = await this.storageProvider.load('affectionLevel') || 0;
+      const affection = new AffectionLevel(DataValidationService.validateAffectionLevel(level));
+
+      // Finishing a session counts as spending time together
+      await this.decayService.recordActivity();
+
+      await this.relationship.load();
+      const { gained, levelUps } = this.relationship.applyGain(affection, amount);
+
+      if (gained > 0) {
+        await this.storageProvider.save('affectionLevel', affection.level);
+        await this.affectionHistory.append({
+          source: completedSessionType === 'work' ? 'pomodoroWork' : 'pomodoroBreak',
+          delta: gained,
+          level: affection.level,
+          levelUps: levelUps.map(reached => this.relationship.getLevelDefinition(reached))
+        });
+        await this.relationship.checkUnlocks();
+      }
+
+      return gained;
+    } catch (error) {
+      this.logger.error(`Failed to award Pomodoro affection: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Send an event to open side panels
+   * @returns {boolean} Whether a panel acknowledged the event
+   */
+  async broadcast(event, state) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'POMODORO_EVENT',
+        event,
+        state
+      });
+      return Boolean(response?.received);
+    } catch (error) {
+      // Side panel might not be open - that's okay
+      return false;
+    }
+  }
+
+  /**
+   * Store a completion that happened while no panel was open
+   */
+  async queuePendingCompletion(state) {
+    const pending = await this.storageProvider.load('pomodoroPendingCompletions') || [];
+    pending.push(state);
+    await this.storageProvider.save('pomodoroPendingCompletions', pending);
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Pomodoro Notification Service
+ * Shows session completion notifications from the service worker with
+ * chrome.notifications, including buttons that drive the timer
+ */
+
+import { CONFIG } from '../config.js';
+
+export const NOTIFICATION_PREFIX = 'pomodoro-complete';
+
+export class PomodoroNotificationService {
+  constructor(logger) {
+    this.logger = logger;
+    this.enabled = true;
+  }
+
+  /**
+   * Show a Pomodoro session completion notification
+   * @param {Object} state - Timer state after completeSession
+   * @param {string} sprite - Mood sprite path used as the icon
+   */
+  async showSessionComplete(state, sprite) {
+    if (!this.enabled) {
+      this.logger.log('Notifications disabled in settings');
+      return;
+    }
+
+    const messages = {
+      work: {
+        title: 'Work Session Complete! 🍅',
+        message: `Great job! Time for a ${state.sessionDisplay.toLowerCase()}.`
+      },
+      shortBreak: {
+        title: 'Break Complete! ☕',
+        message: 'Ready to get back to work?'
+      },
+      longBreak: {
+        title: 'Long Break Complete! 🌟',
+        message: 'Refreshed and ready for more productivity!'
+      }
+    };
+
+    const notification = messages[state.completedSessionType] || messages.work;
+    const actions = this.getActions(state);
+
+    try {
+      // Replace the previous completion notification instead of stacking them
+      await this.clear();
+
+      // Button actions are encoded in the id so clicks still work after the worker restarts
+      await chrome.notifications.create(`${NOTIFICATION_PREFIX}:${actions.join(',')}`, {
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL(sprite),
+        title: notification.title,
+        message: notification.message,
+        contextMessage: 'Click to open the panel',
+        buttons: actions.map(action => ({ title: this.getActionTitle(action, state) })),
+        priority: 2
+      });
+
+      this.logger.log(`🔔 Notification created: ${notification.title}`);
+    } catch (error) {
+      this.logger.error(`Failed to display notification: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick the (at most two) buttons that make sense for what comes next
+   * @returns {string[]} Actions: start, skipBreak, snooze or openPanel
+   */
+  getActions(state) {
+    const breakIsNext = state.currentSession !== 'work';
+    const autoStarting = Boolean(state.autoStartAt);
+
+    if (breakIsNext) {
+      return autoStarting ? ['skipBreak', 'snooze'] : ['start', 'skipBreak'];
+    }
+    return autoStarting ? ['snooze', 'openPanel'] : ['start', 'snooze'];
+  }
+
+  getActionTitle(action, state) {
+    switch (action) {
+      case 'start':
+        return state.currentSession === 'work' ? 'Start work' : 'Start break';
+      case 'skipBreak':
+        return 'Skip break';
+      case 'snooze':
+        return `+${CONFIG.POMODORO.SNOOZE_MINUTES} minutes`;
+      default:
+        return 'Open panel';
+    }
+  }
+
+  /**
+   * Resolve a clicked button back to its action
+   * @returns {string|null} The action, or null for notifications we didn't create
+   */
+  getClickedAction(notificationId, buttonIndex) {
+    const [prefix, actions = ''] = notificationId.split(':');
+    if (prefix !== NOTIFICATION_PREFIX) return null;
+    return actions.split(',')[buttonIndex] || null;
+  }
+
+  isOwnNotification(notificationId) {
+    return notificationId.startsWith(NOTIFICATION_PREFIX);
+  }
+
+  /**
+   * Remove any completion notification still on screen
+   */
+  async clear() {
+    const notifications = await chrome.notifications.getAll();
+    await Promise.all(Object.keys(notifications)
+      .filter(id => this.isOwnNotification(id))
+      .map(id => chrome.notifications.clear(id)));
+  }
+
+  /**
+   * Enable or disable notifications
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  /**
+   * Check if notifications are enabled
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+}
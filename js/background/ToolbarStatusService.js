@@ -0,0 +1,83 @@
+/**
+ * Toolbar Status Service
+ * Shows the remaining Pomodoro minutes on the toolbar badge and swaps the
+ * action icon to the waifu's current mood sprite
+ */
+
+import { CONFIG } from '../config.js';
+import { SerialQueue } from '../utils/SerialQueue.js';
+
+export const BADGE_TICK_ALARM = 'toolbar-badge-tick';
+
+export class ToolbarStatusService {
+  constructor(pomodoroService, moodService, logger) {
+    this.pomodoroService = pomodoroService;
+    this.moodService = moodService;
+    this.logger = logger;
+    this.currentSprite = null;
+
+    // Badge and icon updates must not interleave
+    this.queue = new SerialQueue();
+  }
+
+  /**
+   * Refresh the badge and icon from the stored timer, todos and affection
+   */
+  update() {
+    return this.queue.enqueue(async () => {
+      try {
+        const state = await this.pomodoroService.peekState();
+        await this.updateBadge(state);
+        await this.updateIcon();
+      } catch (error) {
+        this.logger.error(`Failed to update toolbar status: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Show whole minutes left (or worked, for Flowtime) in the session colour
+   */
+  async updateBadge(state) {
+    const inSession = state.isRunning || state.isPaused;
+
+    if (!inSession) {
+      await chrome.action.setBadgeText({ text: '' });
+      await chrome.alarms.clear(BADGE_TICK_ALARM);
+      return;
+    }
+
+    const minutes = state.isCountUp
+      ? Math.floor(state.currentTime / 60)
+      : Math.ceil(state.currentTime / 60);
+    const colors = CONFIG.POMODORO.SESSION_COLORS;
+
+    await chrome.action.setBadgeText({ text: `${minutes}m` });
+    await chrome.action.setBadgeBackgroundColor({
+      color: state.isPaused ? colors.paused : colors[state.currentSession] || colors.work
+    });
+
+    // A paused session doesn't change, so only a running one needs ticking
+    if (state.isRunning) {
+      const existing = await chrome.alarms.get(BADGE_TICK_ALARM);
+      if (!existing) {
+        await chrome.alarms.create(BADGE_TICK_ALARM, { periodInMinutes: 0.5 });
+      }
+    } else {
+      await chrome.alarms.clear(BADGE_TICK_ALARM);
+    }
+  }
+
+  async updateIcon() {
+    const sprite = await this.moodService.getSprite();
+    if (sprite === this.currentSprite) return;
+
+    await chrome.action.setIcon({ path: sprite });
+    this.currentSprite = sprite;
+  }
+
+  handleAlarm(alarm) {
+    if (alarm.name !== BADGE_TICK_ALARM) return Promise.resolve();
+    return this.update();
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Waifu Mood Service
+ * Works out the mood sprite from stored todos and affection, for background UI
+ * such as notifications, where the side panel's managers aren't available
+ */
+
+import { CONFIG } from '../config.js';
+import { AffectionLevel } from '../models/AffectionLevel.js';
+import { DataValidationService } from '../services/DataValidationService.js';
+import { WaifuSpriteManager } from '../managers/WaifuSpriteManager.js';
+import { AffectionHistoryService } from '../services/AffectionHistoryService.js';
+import { RelationshipService } from '../services/RelationshipService.js';
+
+export class WaifuMoodService {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.relationship = new RelationshipService(
+      storageProvider,
+      new AffectionHistoryService(storageProvider, logger),
+      logger
+    );
+  }
+
+  /**
+   * Path of the built-in character's sprite for the current mood; installed
+   * character packs live in the panel's IndexedDB as images a path can't reach
+   */
+  async getSprite() {
+    try {
+      const [rawTodos, level] = await Promise.all([
+        this.storageProvider.load('todos'),
+        this.storageProvider.load('affectionLevel')
+      ]);
+
+      const todos = DataValidationService.validateTodos(rawTodos || []);
+      const taskProgress = {
+        total: todos.length,
+        completed: todos.filter(todo => todo.completed).length
+      };
+      const affection = new AffectionLevel(DataValidationService.validateAffectionLevel(level || 0));
+      await this.relationship.load();
+
+      return WaifuSpriteManager.getSpriteForMood(
+        taskProgress,
+        affection.getMoodLevel(),
+        this.relationship.getSpriteOverrides()
+      );
+    } catch (error) {
+      this.logger.error(`Failed to work out waifu mood: ${error.message}`);
+      return CONFIG.CHARACTERS.BUILT_IN.sprites.neutral;
+    }
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Focus Mode Blocked Page
+ * Shown instead of a distracting site while a Pomodoro work session is running
+ */
+
+import { CONFIG } from './config.js';
+
+const params = new URLSearchParams(location.search);
+const category = params.get('category');
+
+const blockedUrl = getBlockedUrl();
+
+const elements = {
+  quote: document.getElementById('blocked-quote'),
+  site: document.getElementById('blocked-site'),
+  remaining: document.getElementById('blocked-remaining'),
+  backButton: document.getElementById('blocked-back'),
+  overrideButton: document.getElementById('blocked-override')
+};
+
+let countdownInterval = null;
+
+/**
+ * The original URL is appended last and unencoded, so take everything after "url="
+ * @returns {string|null} null when it's missing or not a web address
+ */
+function getBlockedUrl() {
+  const urlIndex = location.href.indexOf('&url=');
+  if (urlIndex === -1) return null;
+
+  try {
+    const url = new URL(location.href.slice(urlIndex + '&url='.length));
+    return ['http:', 'https:'].includes(url.protocol) ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function sendMessage(type, command, payload = {}) {
+  const response = await chrome.runtime.sendMessage({ type, command, payload });
+  if (!response || response.error) {
+    throw new Error(response?.error || 'No response from background');
+  }
+  return response;
+}
+
+async function loadQuotes() {
+  try {
+    const response = await fetch(chrome.runtime.getURL('waifu_dialogue_collection.json'));
+    const dialogue = await response.json();
+    return dialogue.focus_mode_quotes || {};
+  } catch (error) {
+    console.error(`Failed to load focus mode quotes: ${error.message}`);
+    return {};
+  }
+}
+
+function pickQuote(quotes) {
+  if (!Array.isArray(quotes) || quotes.length === 0) return null;
+  return quotes[Math.floor(Math.random() * quotes.length)];
+}
+
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const remainingSeconds = seconds % 60;
+  return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
+}
+
+function showSessionOver() {
+  clearInterval(countdownInterval);
+  elements.remaining.textContent = '00:00';
+  elements.quote.textContent = "Session's over! You're free to go ♡";
+  if (!blockedUrl) return;
+
+  elements.overrideButton.textContent = 'Continue to site';
+  elements.overrideButton.onclick = () => location.replace(blockedUrl);
+}
+
+/**
+ * Count down the remaining work session time from the background timer
+ */
+async function startCountdown() {
+  try {
+    const { state } = await sendMessage('POMODORO_COMMAND', 'getState');
+
+    if (!state.isRunning || state.currentSession !== 'work') {
+      showSessionOver();
+      return;
+    }
+
+    const endsAt = Date.now() + state.currentTime * 1000;
+    const update = () => {
+      const seconds = Math.max(0, Math.ceil((endsAt - Date.now()) / 1000));
+      elements.remaining.textContent = formatTime(seconds);
+      if (seconds === 0) {
+        showSessionOver();
+      }
+    };
+
+    update();
+    countdownInterval = setInterval(update, 1000);
+  } catch (error) {
+    console.error(`Failed to get Pomodoro state: ${error.message}`);
+  }
+}
+
+async function requestOverride(quotes) {
+  elements.overrideButton.disabled = true;
+
+  try {
+    await sendMessage('FOCUS_MODE_COMMAND', 'override', { url: blockedUrl, category });
+    elements.quote.textContent = pickQuote(quotes.override) || 'Five minutes only!';
+    setTimeout(() => location.replace(blockedUrl), 1500);
+  } catch (error) {
+    console.error(`Focus mode override failed: ${error.message}`);
+    elements.overrideButton.disabled = false;
+  }
+}
+
+async function goBack() {
+  if (history.length > 1) {
+    history.back();
+    return;
+  }
+
+  const tab = await chrome.tabs.getCurrent();
+  if (tab) {
+    chrome.tabs.remove(tab.id);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const quotes = await loadQuotes();
+  elements.quote.textContent = pickQuote(quotes.blocked) || elements.quote.textContent;
+  elements.overrideButton.textContent = `Let me through for ${CONFIG.FOCUS_MODE.OVERRIDE_MINUTES} minutes`;
+
+  if (blockedUrl) {
+    elements.site.textContent = `${new URL(blockedUrl).hostname}${category ? ` · ${category}` : ''}`;
+    elements.overrideButton.onclick = () => requestOverride(quotes);
+    sendMessage('FOCUS_MODE_COMMAND', 'logBlocked', { url: blockedUrl, category }).catch(() => {});
+  } else {
+    elements.overrideButton.disabled = true;
+  }
+
+  elements.backButton.addEventListener('click', goBack);
+  startCountdown();
+});
@@ -4,13 +4,6 @@
  */
 
 export const CONFIG = {
-  SPRITES: [
-    'assets/saber_neutral.png',
-    'assets/saber_plooshie.png',
-    'assets/saber_pouting.png',
-    'assets/saber_angry.png',
-    'assets/saber_happy.png'
-  ],
   AFFECTION: {
     MAX: 100,
     TASK_COMPLETION: 5,
@@ -19,11 +12,103 @@ export const CONFIG = {
     POMODORO_WORK_SESSION: 8,
     POMODORO_BREAK_SESSION: 3
   },
+  TASK_REWARD: {
+    DIMINISH_WINDOW: 30 * 60 * 1000, // each reward in this window shrinks the next one
+    DIMINISH_FACTOR: 0.7,
+    REVOKE_WINDOW: 5 * 60 * 1000,    // deleting a task rewarded this recently takes the reward back
+    SUSPICIOUS_WINDOW: 60 * 1000,
+    SUSPICIOUS_TOGGLES: 3,           // toggles of one task within the window
+    SUSPICIOUS_COMPLETIONS: 5,       // completions of any tasks within the window
+    POUT_DURATION: 4000
+  },
+  AFFECTION_DECAY: {
+    ENABLED: true,
+    RATE: 5,                   // points lost per day of neglect
+    GRACE_HOURS: 24,           // hours away before affection starts to fade
+    FLOOR: 20,                 // decay never takes affection below this
+    REUNION_HOURS: 48,         // "missed you" greeting when returning after this long
+    CHECK_INTERVAL: 60 * 60 * 1000 // re-check while the panel stays open
+  },
+  RELATIONSHIP: {
+    DATA_FILE: 'relationship_levels.json',
+    LEVEL_START: 50,           // affection a new relationship level starts with
+    UNLOCKED_QUOTE_CHANCE: 0.3 // share of random quotes drawn from unlocked dialogue
+  },
+  ACHIEVEMENTS: {
+    DATA_FILE: 'achievements.json',
+    TOAST_DURATION: 5000,
+    SAVE_DELAY: 1000           // batch progress writes from rapid events such as typing
+  },
+  QUESTS: {
+    COUNT: 3,                  // quests on the board each day
+    REWARD: 10,                // bonus affection per completed quest
+    LOOKBACK_DAYS: 7,          // recent days targets are based on
+    STRETCH: 1.2,              // targets aim a little above the recent daily average
+    HISTORY_DAYS: 90,
+    CHECK_INTERVAL: 10 * 60 * 1000, // look for a new day while the panel stays open
+    // mode: count adds one per event, once counts the first event of the day,
+    // growth counts how far a reported total rose since the day started
+    TYPES: {
+      tasks: { label: 'Complete {target} task(s)', icon: '✅', mode: 'count', min: 1, max: 10, fallback: 3 },
+      workSessions: { label: 'Finish {target} work session(s)', icon: '🍅', mode: 'count', min: 1, max: 12, fallback: 2 },
+      interactions: { label: 'Answer {target} interaction signal(s)', icon: '💝', mode: 'count', min: 1, max: 10, fallback: 2 },
+      mood: { label: 'Log your mood', icon: '🎨', mode: 'once', min: 1, max: 1, fallback: 1 },
+      notepadWords: { label: 'Write {target} words in the notepad', icon: '📝', mode: 'growth', min: 50, max: 1000, fallback: 100, step: 10 }
+    }
+  },
+  BREAK_ACTIVITIES: {
+    DATA_FILE: 'break_activities.json',
+    REWARD: 3,              // affection for a completed activity unless it sets its own
+    MAX_LOG_ENTRIES: 1000
+  },
+  CHARACTERS: {
+    FORMAT_VERSION: 1,         // newest character.json format this version can read
+    MANIFEST_FILE: 'character.json',
+    REQUIRED_EXPRESSIONS: ['neutral', 'happy', 'pouting'],
+    IMAGE_TYPES: { png: 'image/png', jpg: 'image/jpeg', jpeg: 'image/jpeg', gif: 'image/gif', webp: 'image/webp' },
+    MAX_PACK_SIZE: 20 * 1024 * 1024,  // total unpacked size
+    MAX_SPRITE_SIZE: 2 * 1024 * 1024,
+    DB_NAME: 'waifu-characters',
+    BUILT_IN: {
+      id: 'saber',
+      name: 'Saber',
+      personality: {
+        summary: 'A proud knight who cheers you on and sulks when tasks pile up',
+        traits: ['loyal', 'proud', 'affectionate'],
+        speechStyle: 'Cheerful, with kaomoji and hearts'
+      },
+      sprites: {
+        neutral: 'assets/saber_neutral.png',
+        happy: 'assets/saber_happy.png',
+        pouting: 'assets/saber_pouting.png',
+        angry: 'assets/saber_angry.png',
+        plooshie: 'assets/saber_plooshie.png'
+      },
+      dialogue: 'waifu_dialogue_collection.json',
+      colors: {}
+    }
+  },
+  AFFECTION_HISTORY: {
+    MAX_ENTRIES: 2000,         // oldest changes are dropped; milestones are kept separately
+    LEVEL_MILESTONES: [50, 100]
+  },
   INTERACTION: {
     INTERVAL: 5 * 60 * 1000, // 5 minutes between interaction opportunities
     REWARD: 10, // Affection reward for timed interactions
     INDICATOR_DURATION: 30 * 1000, // 30 seconds to interact
-    MAX_MISSED: 3 // Reduce interval after missing this many
+    MAX_MISSED: 3, // Back off after missing this many in a row
+    MISSED_BACKOFF: 1.5, // Interval multiplier per further miss
+    MAX_INTERVAL: 30 * 60 * 1000,
+    BREAK_DELAY: 5 * 1000, // Offer one this soon after a work session ends
+    DAILY_CAP: 12,
+    HISTORY_MAX_EVENTS: 2000, // oldest events are dropped; all-time totals are kept separately
+    MINI_GAMES: {
+      // rewardScale multiplies REWARD; a quick or clean win scores up to 1, a slow one down to MIN_SCORE
+      MIN_SCORE: 0.5,
+      headPat: { rewardScale: 1, timeLimit: 15 * 1000, distance: 800 }, // px of stroking the sprite
+      replyChoice: { rewardScale: 1.2, timeLimit: 15 * 1000 },
+      kaomojiMemory: { rewardScale: 1.5, timeLimit: 30 * 1000, pairs: 3, previewTime: 2000, flipBackDelay: 700, maxMistakes: 3 }
+    }
   },
   SPRITE_CYCLE_INTERVAL: 5000,
   ANIMATION_DURATION: 300,
@@ -39,6 +124,33 @@ export const CONFIG = {
     EVENT_DURATION: 3000,   // 3 seconds for event-triggered quotes
     AUTO_ENABLED: true
   },
+  FOCUS_MODE: {
+    ENABLED: false,
+    BLOCKABLE_CATEGORIES: ['social', 'entertainment', 'shopping', 'news'], // keys in site-categories.json
+    CATEGORIES: ['social', 'entertainment'],
+    OVERRIDE_MINUTES: 5,
+    LOG_MAX_ENTRIES: 500,
+    HOST_PERMISSIONS: { origins: ['<all_urls>'] } // optional in manifest.json, asked for when focus mode is turned on
+  },
+  SOUND: {
+    ENABLED: true,
+    THEME: 'chime',   // chime, bell, arcade or marimba
+    VOLUME: 70        // percent
+  },
+  IDLE: {
+    AUTO_PAUSE: true,        // pause a running work session when the user goes idle or locks the screen
+    THRESHOLD: 3,            // minutes without input before the user counts as idle
+    MIN_AWAY_SECONDS: 60     // shorter absences are kept without asking
+  },
+  SHORTCUTS: {
+    PANEL_COMMAND_TTL: 10000 // ms a shortcut's panel command stays valid for a panel that is still opening
+  },
+  AMBIENT: {
+    AUTO_PLAY: false,  // play during work sessions, fade out at breaks
+    FADE_IN: 2,        // seconds
+    FADE_OUT: 3,       // seconds
+    DEFAULT_MIX: { white: 0, pink: 0, brown: 0, rain: 0.5, clock: 0 } // volumes 0-1
+  },
   PRIVACY: {
     TAB_SPY_ENABLED: true,
     CONTEXT_AWARE_QUOTES: true,
@@ -51,6 +163,31 @@ export const CONFIG = {
     SESSIONS_UNTIL_LONG_BREAK: 2,
     NOTIFICATIONS_ENABLED: true,
     AUTO_START_BREAKS: false,
-    AUTO_START_WORK: false
+    AUTO_START_WORK: false,
+    AUTO_START_DELAY: 10,    // seconds of countdown before an auto-started session
+    SNOOZE_MINUTES: 5,       // "+5 minutes" notification button delays the next session
+    ADJUST_MINUTES: 5,       // step of the extend/shorten buttons for the running session
+    SESSION_COLORS: {
+      work: '#ff69b4',
+      shortBreak: '#4CAF50',
+      longBreak: '#2196F3',
+      paused: '#9E9E9E'
+    },
+    HISTORY_RETENTION_DAYS: 365,
+    HISTORY_MAX_ENTRIES: 2000,
+    DAILY_GOAL_TYPE: 'sessions', // 'sessions' or 'minutes'
+    DAILY_GOAL: 4,
+    WEEKEND_REST_DAYS: false,
+    STREAK_FREEZES_PER_MONTH: 1,
+    STREAK_RISK_HOUR: 20,    // local hour after which an unmet goal puts the streak at risk
+    FLOWTIME_BREAK_RATIO: 5, // Flowtime break = minutes worked / ratio
+    DEFAULT_PRESET: 'settings', // 'settings' uses the durations from the settings panel
+    MAX_CUSTOM_PRESETS: 20,
+    PRESETS: [
+      { id: 'classic', name: 'Classic 25/5', mode: 'countdown', workDuration: 25, shortBreak: 5, longBreak: 15, sessionsUntilLongBreak: 4 },
+      { id: '52-17', name: '52/17', mode: 'countdown', workDuration: 52, shortBreak: 17, longBreak: 30, sessionsUntilLongBreak: 4 },
+      { id: 'deep-work', name: 'Deep Work 90', mode: 'countdown', workDuration: 90, shortBreak: 20, longBreak: 30, sessionsUntilLongBreak: 2 },
+      { id: 'flowtime', name: 'Flowtime', mode: 'flowtime', workDuration: 25, shortBreak: 5, longBreak: 15, sessionsUntilLongBreak: 4, breakRatio: 5 }
+    ]
   }
 };
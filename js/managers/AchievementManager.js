@@ -0,0 +1,268 @@
+/**
+ * Achievement Manager
+ * Tracks stats from app events, unlocks the badges defined in achievements.json,
+ * and renders the badge gallery and unlock toasts
+ */
+
+import { CONFIG } from '../config.js';
+import { SerialQueue } from '../utils/SerialQueue.js';
+
+export class AchievementManager {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'achievements';
+    this.definitions = { stats: {}, achievements: [] };
+    this.progress = { stats: {}, unlocked: {} }; // unlocked: id -> ISO unlock time
+    this.saveTimer = null;
+    this.queue = new SerialQueue(); // Saves merge with storage first, so they mustn't overlap
+    this.toastTimer = null;
+    this.toastQueue = [];
+    this.elements = {
+      gallery: null,
+      count: null,
+      toast: null
+    };
+
+    // Called with each newly unlocked achievement
+    this.onUnlock = null;
+  }
+
+  setElements(elements) {
+    Object.assign(this.elements, elements);
+    this.render();
+  }
+
+  async load() {
+    await this.loadDefinitions();
+
+    try {
+      const progress = await this.storageProvider.load(this.storageKey);
+      this.progress = {
+        stats: progress?.stats || {},
+        unlocked: progress?.unlocked || {}
+      };
+    } catch (error) {
+      this.logger.error(`Failed to load achievements: ${error.message}`);
+      this.progress = { stats: {}, unlocked: {} };
+    }
+
+    this.render();
+  }
+
+  async loadDefinitions() {
+    try {
+      const response = await fetch(chrome.runtime.getURL(CONFIG.ACHIEVEMENTS.DATA_FILE));
+      if (!response.ok) {
+        throw new Error(`Failed to load achievements: ${response.status}`);
+      }
+
+      const data = await response.json();
+      this.definitions = {
+        stats: data.stats || {},
+        achievements: (data.achievements || []).filter(achievement => {
+          const valid = achievement?.id && data.stats?.[achievement.stat] && achievement.goal > 0;
+          if (!valid) {
+            this.logger.warn(`Ignoring invalid achievement "${achievement?.id}"`);
+          }
+          return valid;
+        })
+      };
+      this.logger.log(`Loaded ${this.definitions.achievements.length} achievements`);
+    } catch (error) {
+      this.logger.error(`Failed to load achievement definitions: ${error.message}`);
+      this.definitions = { stats: {}, achievements: [] };
+    }
+  }
+
+  /**
+   * Save on top of what other panels saved, so none of their unlocks are lost
+   */
+  save() {
+    return this.queue.enqueue(async () => {
+      try {
+        this.merge(await this.storageProvider.load(this.storageKey));
+        await this.storageProvider.save(this.storageKey, this.progress);
+      } catch (error) {
+        this.logger.error(`Failed to save achievements: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Fold in progress from another panel: the higher value of each stat, and
+   * every unlock at its earliest time
+   */
+  merge(progress) {
+    Object.entries(progress?.stats || {}).forEach(([name, value]) => {
+      this.progress.stats[name] = Math.max(this.progress.stats[name] || 0, value);
+    });
+    Object.entries(progress?.unlocked || {}).forEach(([id, unlockedAt]) => {
+      const current = this.progress.unlocked[id];
+      if (!current || new Date(unlockedAt) < new Date(current)) {
+        this.progress.unlocked[id] = unlockedAt;
+      }
+    });
+  }
+
+  /**
+   * Take progress saved by another panel
+   */
+  sync(progress) {
+    this.merge(progress);
+    this.render();
+  }
+
+  /**
+   * Events like note typing fire rapidly - batch their writes
+   */
+  scheduleSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, CONFIG.ACHIEVEMENTS.SAVE_DELAY);
+  }
+
+  /**
+   * Update the stats that follow an event and unlock any achievements they complete
+   * @param {string} event - Event name from achievements.json (taskCompleted, interaction, ...)
+   * @param {number} value - Reported value for 'max' stats
+   * @returns {Array} Newly unlocked achievements
+   */
+  record(event, value = 0) {
+    const { stats } = this.progress;
+    const changed = Object.entries(this.definitions.stats)
+      .filter(([name, definition]) => {
+        if (definition.event !== event) return false;
+
+        const current = stats[name] || 0;
+        const next = definition.mode === 'max' ? Math.max(current, Number(value) || 0) : current + 1;
+        stats[name] = next;
+        return next !== current;
+      })
+      .map(([name]) => name);
+
+    if (changed.length === 0) return [];
+
+    const unlocks = this.definitions.achievements.filter(achievement => {
+      return changed.includes(achievement.stat) &&
+        !this.progress.unlocked[achievement.id] &&
+        stats[achievement.stat] >= achievement.goal;
+    });
+
+    if (unlocks.length > 0) {
+      const now = new Date().toISOString();
+      unlocks.forEach(achievement => {
+        this.progress.unlocked[achievement.id] = now;
+        this.logger.log(`Achievement unlocked: ${achievement.name}`);
+        this.showToast(achievement);
+        this.onUnlock?.(achievement);
+      });
+      this.save();
+    } else {
+      this.scheduleSave();
+    }
+
+    this.render();
+    return unlocks;
+  }
+
+  /**
+   * Unlocked achievements, oldest first
+   */
+  getUnlocked() {
+    return this.definitions.achievements
+      .filter(achievement => this.progress.unlocked[achievement.id])
+      .map(achievement => ({ ...achievement, unlockedAt: this.progress.unlocked[achievement.id] }))
+      .sort((a, b) => new Date(a.unlockedAt) - new Date(b.unlockedAt));
+  }
+
+  getTotal() {
+    return this.definitions.achievements.length;
+  }
+
+  render() {
+    const { gallery, count } = this.elements;
+
+    if (count) {
+      count.textContent = `${this.getUnlocked().length}/${this.getTotal()} unlocked`;
+    }
+
+    if (!gallery) return;
+
+    gallery.replaceChildren();
+    this.definitions.achievements.forEach(achievement => {
+      gallery.appendChild(this.createBadge(achievement));
+    });
+  }
+
+  createBadge(achievement) {
+    const unlockedAt = this.progress.unlocked[achievement.id];
+    const progress = Math.min(this.progress.stats[achievement.stat] || 0, achievement.goal);
+
+    const badge = document.createElement('li');
+    badge.className = `achievement-badge ${unlockedAt ? 'unlocked' : 'locked'}`;
+    badge.title = unlockedAt
+      ? `${achievement.description} - unlocked ${new Date(unlockedAt).toLocaleDateString()}`
+      : `${achievement.description} (${progress}/${achievement.goal})`;
+
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.textContent = unlockedAt ? achievement.icon : '🔒';
+
+    const name = document.createElement('span');
+    name.className = 'achievement-name';
+    name.textContent = achievement.name;
+
+    badge.append(icon, name);
+    return badge;
+  }
+
+  /**
+   * Show an unlock toast, queueing it behind any toast already showing
+   */
+  showToast(achievement) {
+    this.toastQueue.push(achievement);
+    if (!this.toastTimer) {
+      this.showNextToast();
+    }
+  }
+
+  showNextToast() {
+    const { toast } = this.elements;
+    const achievement = this.toastQueue.shift();
+
+    if (!toast || !achievement) {
+      toast?.classList.add('hidden');
+      this.toastTimer = null;
+      return;
+    }
+
+    toast.replaceChildren();
+
+    const icon = document.createElement('span');
+    icon.className = 'achievement-icon';
+    icon.textContent = achievement.icon;
+
+    const text = document.createElement('div');
+    const title = document.createElement('strong');
+    const name = document.createElement('span');
+    title.textContent = 'Achievement unlocked!';
+    name.textContent = achievement.name;
+    text.append(title, name);
+
+    toast.append(icon, text);
+    toast.classList.remove('hidden');
+
+    this.toastTimer = setTimeout(() => this.showNextToast(), CONFIG.ACHIEVEMENTS.TOAST_DURATION);
+  }
+
+  cleanup() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.save();
+    }
+    clearTimeout(this.toastTimer);
+  }
+}
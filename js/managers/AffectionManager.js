@@ -3,22 +3,45 @@
  * Manages affection levels, persistence, and UI updates
  */
 
+import { CONFIG } from '../config.js';
 import { AffectionLevel } from '../models/AffectionLevel.js';
 import { DataValidationService } from '../services/DataValidationService.js';
 import { AnimationService } from '../services/AnimationService.js';
+import { AffectionDecayService } from '../services/AffectionDecayService.js';
+import { AffectionHistoryService } from '../services/AffectionHistoryService.js';
+import { RelationshipService } from '../services/RelationshipService.js';
+import { AffectionTimelineUI } from './affection/AffectionTimelineUI.js';
 
 export class AffectionManager {
   constructor(storageProvider, logger) {
     this.storageProvider = storageProvider;
     this.logger = logger;
     this.affection = new AffectionLevel();
+    this.decayService = new AffectionDecayService(storageProvider, logger);
+    this.historyService = new AffectionHistoryService(storageProvider, logger);
+    this.relationship = new RelationshipService(storageProvider, this.historyService, logger);
+    this.timelineUI = new AffectionTimelineUI();
+    this.timelineUI.onRangeChange = () => this.renderTimeline();
+    this.decayCheckInterval = null;
     this.fillElement = null;
     this.textElement = null;
+    this.levelElement = null;
+    
+    // Called with { levelUps, unlocks } when the relationship levels up or unlocks content
+    this.onRelationshipChange = null;
   }
 
-  setUIElements(fillElement, textElement) {
+  setUIElements(fillElement, textElement, levelElement = null) {
     this.fillElement = fillElement;
     this.textElement = textElement;
+    this.levelElement = levelElement;
+  }
+
+  /**
+   * @param {Object} elements - { chart, empty, milestoneList, rangeButtons }
+   */
+  setTimelineElements(elements) {
+    this.timelineUI.setElements(elements);
   }
 
   async load() {
@@ -27,6 +50,17 @@ export class AffectionManager {
       this.affection = new AffectionLevel(DataValidationService.validateAffectionLevel(level));
       this.updateUI();
       this.logger.log(`Loaded affection level: ${this.affection.level}`);
+
+      const history = await this.historyService.load();
+      if (history.length === 0 && this.affection.level > 0) {
+        // Start the curve from the level earned before history was kept
+        await this.historyService.append({ source: 'initial', delta: 0, level: this.affection.level });
+      }
+      
+      await this.relationship.load();
+      this.updateUI();
+      this.notifyRelationshipChange([], await this.relationship.checkUnlocks());
+      this.renderTimeline();
     } catch (error) {
       this.logger.error(`Failed to load affection: ${error.message}`);
       this.affection = new AffectionLevel();
@@ -42,22 +76,178 @@ export class AffectionManager {
     }
   }
 
-  increase(amount, container = null) {
-    if (this.affection.increase(amount)) {
+  /**
+   * @param {string} source - What earned the affection (task, interaction, ...) for the history
+   */
+  increase(amount, container = null, source = 'other') {
+    this.decayService.recordActivity();
+    
+    const { gained, levelUps } = this.relationship.applyGain(this.affection, amount);
+    if (gained > 0) {
       this.updateUI();
-      this.triggerShimmerEffect(); // Add shimmer effect on increase
       this.save();
+      this.recordChange(source, gained, levelUps).catch(error => {
+        this.logger.error(`Failed to record affection change: ${error.message}`);
+      });
+      this.showReward(gained, container);
       
-      if (container) {
-        AnimationService.createAffectionBoost(container, amount);
-      }
-      
-      this.logger.log(`Affection increased by ${amount} to ${this.affection.level}`);
+      this.logger.log(`Affection increased by ${gained} to ${this.affection.level}`);
       return true;
     }
     return false;
   }
 
+  async recordChange(source, delta, levelUps = []) {
+    await this.historyService.append({
+      source,
+      delta,
+      level: this.affection.level,
+      levelUps: levelUps.map(level => this.relationship.getLevelDefinition(level))
+    });
+    
+    // Unlock conditions can depend on the milestones the change just reached
+    const unlocks = await this.relationship.checkUnlocks();
+    this.notifyRelationshipChange(levelUps, unlocks);
+    this.renderTimeline();
+  }
+
+  notifyRelationshipChange(levelUps, unlocks) {
+    if (levelUps.length === 0 && unlocks.length === 0) return;
+    
+    if (levelUps.length > 0) {
+      this.logger.log(`Relationship reached level ${this.relationship.state.level}`);
+    }
+    this.updateUI();
+    this.onRelationshipChange?.({ levelUps, unlocks });
+  }
+
+  renderTimeline() {
+    const range = this.timelineUI.range;
+    this.timelineUI.render(
+      this.historyService.getTimeline(range),
+      this.historyService.getMilestones(),
+      this.historyService.getRangeStart(range)
+    );
+    this.timelineUI.renderRelationship({
+      title: this.relationship.getLevelDefinition().title,
+      level: this.relationship.state.level,
+      unlocked: this.relationship.getUnlocked(),
+      next: this.relationship.getNextUnlock()
+    });
+  }
+
+  /**
+   * Follow relationship progress made in another context (e.g. Pomodoro rewards from the background)
+   */
+  syncRelationship(state) {
+    const previous = this.relationship.state;
+    this.relationship.sync(state);
+    
+    const { level, unlocked } = this.relationship.state;
+    const levelUps = [];
+    for (let reached = previous.level + 1; reached <= level; reached++) {
+      levelUps.push(reached);
+    }
+    const unlocks = this.relationship.getUnlocked().filter(unlock => !previous.unlocked.includes(unlock.id));
+    
+    this.updateUI();
+    this.renderTimeline();
+    this.notifyRelationshipChange(levelUps, unlocks);
+    this.logger.log(`Synced relationship level: ${level} (${unlocked.length} unlocked)`);
+  }
+
+  /**
+   * Unlocked relationship content by type
+   * @returns {Object} { dialogue, sprites, themes }
+   */
+  getUnlockedContent() {
+    return {
+      dialogue: this.relationship.getUnlocked('dialogue').map(unlock => unlock.category),
+      sprites: this.relationship.getSpriteOverrides(),
+      themes: this.relationship.getUnlocked('theme')
+    };
+  }
+
+  /**
+   * Follow history written by another context (e.g. Pomodoro rewards from the background)
+   */
+  syncHistory(entries, milestones) {
+    this.historyService.sync(entries, milestones);
+    this.renderTimeline();
+  }
+
+  /**
+   * Take back affection that shouldn't be kept, e.g. for a task deleted right after completing it
+   * @param {string} source - Reason recorded in the history
+   */
+  revoke(amount, source) {
+    const before = this.affection.level;
+    
+    if (this.affection.decrease(amount)) {
+      this.updateUI();
+      this.save();
+      this.recordChange(source, this.affection.level - before).catch(error => {
+        this.logger.error(`Failed to record affection change: ${error.message}`);
+      });
+      this.logger.log(`Affection revoked by ${before - this.affection.level} (${source})`);
+    }
+  }
+
+  /**
+   * Update decay rules
+   * @param {Object} settings - { enabled, rate, graceHours, floor }
+   */
+  setDecaySettings(settings) {
+    this.decayService.updateSettings(settings);
+  }
+
+  /**
+   * Apply decay for the time since the user was last active
+   * @param {boolean} visit - Opening the panel counts as activity once decay is applied
+   * @returns {Object} { lost, awayHours }
+   */
+  async checkDecay(visit = false) {
+    const { lost, awayMs } = await this.decayService.applyDecay(this.affection);
+    
+    if (lost > 0) {
+      this.updateUI();
+      await this.save();
+      await this.recordChange('decay', -lost);
+    }
+    
+    if (visit) {
+      await this.decayService.recordActivity();
+    }
+    
+    return { lost, awayHours: awayMs / (60 * 60 * 1000) };
+  }
+
+  /**
+   * Keep decaying while the panel stays open without activity
+   */
+  startDecayCheck() {
+    this.stopDecayCheck();
+    this.decayCheckInterval = setInterval(() => this.checkDecay(), CONFIG.AFFECTION_DECAY.CHECK_INTERVAL);
+  }
+
+  stopDecayCheck() {
+    if (this.decayCheckInterval) {
+      clearInterval(this.decayCheckInterval);
+      this.decayCheckInterval = null;
+    }
+  }
+
+  /**
+   * Play the reward effects for affection gained elsewhere (e.g. by the background timer)
+   */
+  showReward(amount, container = null) {
+    this.triggerShimmerEffect(); // Add shimmer effect on increase
+    
+    if (container) {
+      AnimationService.createAffectionBoost(container, amount);
+    }
+  }
+
   triggerShimmerEffect() {
     if (!this.fillElement) return;
     
@@ -88,6 +278,10 @@ export class AffectionManager {
     };
     
     this.fillElement.style.background = colors[mood];
+    
+    if (this.levelElement) {
+      this.levelElement.textContent = `Lv ${this.relationship.state.level} · ${this.relationship.getLevelDefinition().title}`;
+    }
   }
 
   getMoodLevel() {
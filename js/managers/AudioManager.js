@@ -0,0 +1,177 @@
+/**
+ * Audio Manager
+ * Plays synthesized sound effects for timer, interaction and task events
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Each theme voices every event as a short phrase of [frequency (Hz), start offset (s)] notes.
+ * Partials are frequency multiples layered on each note, with decreasing loudness.
+ */
+const SOUND_THEMES = {
+  chime: {
+    wave: 'sine',
+    decay: 1.2,
+    partials: [1, 2],
+    sounds: {
+      workComplete: [[523.25, 0], [659.25, 0.12], [783.99, 0.24], [1046.5, 0.36]],
+      breakComplete: [[783.99, 0], [659.25, 0.12], [523.25, 0.24]],
+      interaction: [[1318.51, 0], [1760, 0.1]],
+      taskComplete: [[880, 0], [1174.66, 0.08]]
+    }
+  },
+  bell: {
+    wave: 'sine',
+    decay: 2.5,
+    partials: [1, 2.76, 5.4],
+    sounds: {
+      workComplete: [[392, 0], [523.25, 0.35]],
+      breakComplete: [[523.25, 0], [392, 0.35]],
+      interaction: [[1046.5, 0]],
+      taskComplete: [[659.25, 0]]
+    }
+  },
+  arcade: {
+    wave: 'square',
+    decay: 0.12,
+    partials: [1],
+    sounds: {
+      workComplete: [[523.25, 0], [659.25, 0.08], [783.99, 0.16], [1046.5, 0.24], [1318.51, 0.32]],
+      breakComplete: [[1046.5, 0], [783.99, 0.08], [523.25, 0.16]],
+      interaction: [[987.77, 0], [1318.51, 0.06]],
+      taskComplete: [[1567.98, 0], [2093, 0.07]]
+    }
+  },
+  marimba: {
+    wave: 'triangle',
+    decay: 0.5,
+    partials: [1, 4],
+    sounds: {
+      workComplete: [[440, 0], [554.37, 0.1], [659.25, 0.2], [880, 0.3]],
+      breakComplete: [[659.25, 0], [554.37, 0.1], [440, 0.2]],
+      interaction: [[880, 0], [880, 0.12]],
+      taskComplete: [[659.25, 0], [880, 0.09]]
+    }
+  }
+};
+
+export class AudioManager {
+  static EVENTS = ['workComplete', 'breakComplete', 'interaction', 'taskComplete'];
+
+  constructor(logger) {
+    this.logger = logger;
+    this.audioContext = null;
+    this.enabled = CONFIG.SOUND.ENABLED;
+    this.theme = CONFIG.SOUND.THEME;
+    this.volume = CONFIG.SOUND.VOLUME / 100;
+    this.events = Object.fromEntries(AudioManager.EVENTS.map(event => [event, true]));
+  }
+
+  /**
+   * Update playback settings
+   * @param {Object} settings - { enabled, theme, volume (0-100), events: { [event]: boolean } }
+   */
+  updateSettings({ enabled, theme, volume, events } = {}) {
+    if (enabled !== undefined) {
+      this.enabled = enabled;
+    }
+    if (theme !== undefined && SOUND_THEMES[theme]) {
+      this.theme = theme;
+    }
+    if (volume !== undefined) {
+      this.volume = Math.max(0, Math.min(100, volume)) / 100;
+    }
+    Object.entries(events || {}).forEach(([event, eventEnabled]) => {
+      if (eventEnabled !== undefined && event in this.events) {
+        this.events[event] = eventEnabled;
+      }
+    });
+  }
+
+  /**
+   * Play the sound for an event, if sounds and that event are enabled
+   * @param {string} event - workComplete, breakComplete, interaction or taskComplete
+   */
+  play(event) {
+    if (!this.enabled || !this.events[event]) return;
+    this.playSound(event, this.theme, this.volume);
+  }
+
+  /**
+   * Play an event's sound regardless of the enable toggles
+   * @param {string} event - Event to preview
+   * @param {Object} options - Unsaved { theme, volume (0-100) } to preview with
+   */
+  preview(event, { theme = this.theme, volume } = {}) {
+    this.playSound(event, SOUND_THEMES[theme] ? theme : this.theme, volume !== undefined ? volume / 100 : this.volume);
+  }
+
+  getContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+    }
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+    return this.audioContext;
+  }
+
+  playSound(event, themeId, volume) {
+    const theme = SOUND_THEMES[themeId];
+    const notes = theme?.sounds[event];
+    if (!notes || volume <= 0) return;
+
+    try {
+      const context = this.getContext();
+      const start = context.currentTime + 0.01;
+
+      notes.forEach(([frequency, offset]) => {
+        theme.partials.forEach((partial, index) => {
+          this.playTone(context, theme, frequency * partial, start + offset, (0.3 * volume) / (index + 1));
+        });
+      });
+    } catch (error) {
+      this.logger.error(`Failed to play ${event} sound: ${error.message}`);
+    }
+  }
+
+  playTone(context, theme, frequency, startTime, level) {
+    const oscillator = context.createOscillator();
+    const gainNode = context.createGain();
+
+    oscillator.type = theme.wave;
+    oscillator.frequency.setValueAtTime(frequency, startTime);
+
+    // Quick attack, exponential decay
+    gainNode.gain.setValueAtTime(0, startTime);
+    gainNode.gain.linearRampToValueAtTime(level, startTime + 0.01);
+    gainNode.gain.exponentialRampToValueAtTime(0.0001, startTime + theme.decay);
+
+    oscillator.connect(gainNode);
+    gainNode.connect(context.destination);
+    oscillator.start(startTime);
+    oscillator.stop(startTime + theme.decay);
+  }
+
+  /**
+   * Enable or disable audio
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  /**
+   * Check if audio is enabled
+   */
+  isEnabled() {
+    return this.enabled;
+  }
+
+  destroy() {
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * Character Manager
+ * Installs character packs into IndexedDB, lists them in the Characters
+ * panel and switches the active character
+ */
+
+import { CONFIG } from '../config.js';
+import { CharacterPackStore } from '../providers/CharacterPackStore.js';
+import { CharacterPackService } from '../services/CharacterPackService.js';
+
+export class CharacterManager {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'activeCharacter';
+    this.store = new CharacterPackStore();
+    this.packService = new CharacterPackService(logger);
+    this.packs = [];
+    this.active = this.getBuiltIn();
+    this.objectUrls = [];
+    this.elements = {
+      select: null,
+      description: null,
+      removeButton: null,
+      folderInput: null,
+      zipInput: null,
+      status: null
+    };
+
+    // Called with the new active character after a switch
+    this.onCharacterChange = null;
+  }
+
+  setElements(elements) {
+    Object.assign(this.elements, elements);
+
+    this.elements.select?.addEventListener('change', (e) => this.switchTo(e.target.value));
+    this.elements.removeButton?.addEventListener('click', () => {
+      if (!this.active.builtIn && confirm(`Remove ${this.active.name}? You can install the pack again later.`)) {
+        this.remove(this.active.id);
+      }
+    });
+    this.elements.folderInput?.addEventListener('change', async (e) => {
+      if (e.target.files.length > 0) {
+        await this.install(this.packService.readFolder(e.target.files));
+      }
+      e.target.value = '';
+    });
+    this.elements.zipInput?.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        await this.install(this.packService.readZip(file));
+      }
+      e.target.value = '';
+    });
+
+    this.render();
+  }
+
+  /**
+   * The built-in character, with dialogue left to QuoteService's own collection
+   */
+  getBuiltIn() {
+    const { BUILT_IN } = CONFIG.CHARACTERS;
+    return { ...BUILT_IN, sprites: { ...BUILT_IN.sprites }, dialogue: null, builtIn: true };
+  }
+
+  async load() {
+    await this.loadPacks();
+
+    try {
+      this.activate(await this.storageProvider.load(this.storageKey));
+    } catch (error) {
+      this.logger.error(`Failed to load active character: ${error.message}`);
+    }
+
+    this.render();
+  }
+
+  async loadPacks() {
+    try {
+      this.packs = await this.store.getAll();
+      this.logger.log(`Loaded ${this.packs.length} character packs`);
+    } catch (error) {
+      this.logger.error(`Failed to load character packs: ${error.message}`);
+      this.packs = [];
+    }
+  }
+
+  /**
+   * Make a pack the active character; unknown ids fall back to the built-in one
+   */
+  activate(id) {
+    const pack = this.packs.find(candidate => candidate.id === id);
+
+    this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.objectUrls = [];
+
+    if (!pack) {
+      this.active = this.getBuiltIn();
+      return;
+    }
+
+    const sprites = Object.fromEntries(Object.entries(pack.sprites).map(([expression, blob]) => {
+      const url = URL.createObjectURL(blob);
+      this.objectUrls.push(url);
+      return [expression, url];
+    }));
+    this.active = { ...pack, sprites, builtIn: false };
+  }
+
+  getActive() {
+    return this.active;
+  }
+
+  async switchTo(id) {
+    const previous = this.active;
+    this.activate(id);
+
+    try {
+      await this.storageProvider.save(this.storageKey, this.active.id);
+    } catch (error) {
+      this.logger.error(`Failed to save active character: ${error.message}`);
+    }
+
+    this.render();
+    if (this.isDifferent(previous)) {
+      this.logger.log(`Switched character to ${this.active.name}`);
+      this.notifyChange();
+    }
+  }
+
+  /**
+   * Whether the active character changed since previous, including a reinstalled pack
+   */
+  isDifferent(previous) {
+    return this.active.id !== previous.id || this.active.installedAt !== previous.installedAt;
+  }
+
+  /**
+   * Take a switch, install or removal made in another panel
+   */
+  async sync(id) {
+    await this.loadPacks();
+
+    const previous = this.active;
+    const pack = this.packs.find(candidate => candidate.id === id);
+    if (id !== previous.id || pack?.installedAt !== previous.installedAt) {
+      this.activate(id);
+      this.notifyChange();
+    }
+    this.render();
+  }
+
+  notifyChange() {
+    if (this.onCharacterChange) {
+      this.onCharacterChange(this.active);
+    }
+  }
+
+  /**
+   * Store a pack read by CharacterPackService and switch to it
+   * @param {Promise<Object>} reading - { isValid, errors, value }
+   * @returns {Promise<boolean>} Whether the pack was installed
+   */
+  async install(reading) {
+    this.showStatus('Reading character pack...');
+    const { isValid, errors, value: pack } = await reading;
+
+    if (!isValid) {
+      this.showStatus("Couldn't install the character pack:", errors);
+      return false;
+    }
+
+    const replaced = this.packs.some(candidate => candidate.id === pack.id);
+    try {
+      await this.store.put(pack);
+    } catch (error) {
+      this.logger.error(`Failed to save character pack: ${error.message}`);
+      this.showStatus("Couldn't save the character pack:", [error.message]);
+      return false;
+    }
+
+    this.packs = [...this.packs.filter(candidate => candidate.id !== pack.id), pack];
+    this.logger.log(`Installed character pack: ${pack.name}`);
+    this.showStatus(`${replaced ? 'Updated' : 'Installed'} ${pack.name} ♡`);
+    await this.switchTo(pack.id);
+    return true;
+  }
+
+  async remove(id) {
+    try {
+      await this.store.delete(id);
+    } catch (error) {
+      this.logger.error(`Failed to remove character pack: ${error.message}`);
+      this.showStatus("Couldn't remove the character pack:", [error.message]);
+      return;
+    }
+
+    const pack = this.packs.find(candidate => candidate.id === id);
+    this.packs = this.packs.filter(candidate => candidate.id !== id);
+    this.showStatus(`Removed ${pack?.name || id}`);
+
+    if (this.active.id === id) {
+      await this.switchTo(CONFIG.CHARACTERS.BUILT_IN.id);
+    } else {
+      this.render();
+    }
+  }
+
+  /**
+   * @param {string} message - Empty to hide the status
+   * @param {Array<string>} errors - Validation problems listed under the message
+   */
+  showStatus(message, errors = []) {
+    const { status } = this.elements;
+    if (!status) return;
+
+    status.replaceChildren();
+    status.classList.toggle('hidden', !message);
+    status.classList.toggle('error', errors.length > 0);
+    if (!message) return;
+
+    const text = document.createElement('p');
+    text.textContent = message;
+    status.appendChild(text);
+
+    if (errors.length > 0) {
+      const list = document.createElement('ul');
+      errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        list.appendChild(item);
+      });
+      status.appendChild(list);
+    }
+  }
+
+  render() {
+    const { select, description, removeButton } = this.elements;
+
+    if (select) {
+      const characters = [
+        this.getBuiltIn(),
+        ...[...this.packs].sort((a, b) => a.name.localeCompare(b.name))
+      ];
+      select.replaceChildren(...characters.map(character => {
+        const option = document.createElement('option');
+        option.value = character.id;
+        option.textContent = character.builtIn ? `${character.name} (built-in)` : character.name;
+        return option;
+      }));
+      select.value = this.active.id;
+    }
+
+    if (description) {
+      const { summary, traits } = this.active.personality;
+      description.textContent = [summary, traits.length > 0 ? traits.join(' · ') : '']
+        .filter(Boolean)
+        .join(' — ');
+    }
+
+    removeButton?.classList.toggle('hidden', this.active.builtIn);
+  }
+
+  cleanup() {
+    this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+    this.objectUrls = [];
+  }
+}
@@ -0,0 +1,99 @@
+/**
+ * Idle Manager
+ * Side panel half of idle detection: pauses productivity tracking while the user
+ * is away and has the waifu ask whether to keep the time (see IdleService)
+ */
+
+export class IdleManager {
+  /**
+   * @param {ContextAwareQuoteManager} contextAwareQuotes - Owner of productivity tracking
+   */
+  constructor(logger, contextAwareQuotes) {
+    this.logger = logger;
+    this.contextAwareQuotes = contextAwareQuotes;
+    this.period = null;
+    this.elements = {
+      prompt: null,
+      text: null,
+      keepButton: null,
+      discardButton: null
+    };
+  }
+
+  setElements(elements) {
+    Object.assign(this.elements, elements);
+
+    this.elements.keepButton?.addEventListener('click', () => this.resolve(true));
+    this.elements.discardButton?.addEventListener('click', () => this.resolve(false));
+  }
+
+  /**
+   * Follow the idle period written by the background
+   * @param {Object|null} period - { since, until, sessionStartedAt, pausedSession }
+   */
+  sync(period) {
+    this.period = period || null;
+
+    if (!period) {
+      // Answered here, in another panel, or too short to ask about
+      this.contextAwareQuotes.resumeTracking();
+      this.hidePrompt();
+    } else if (!period.until) {
+      this.contextAwareQuotes.pauseTracking(period.since);
+      this.hidePrompt();
+    } else {
+      this.contextAwareQuotes.resumeTracking();
+      this.showPrompt(period);
+    }
+  }
+
+  showPrompt(period) {
+    const { prompt, text, keepButton } = this.elements;
+    if (!prompt) return;
+
+    const minutes = Math.max(1, Math.round((period.until - period.since) / 60000));
+    const subject = period.pausedSession
+      ? 'I paused your work session'
+      : period.sessionStartedAt ? 'Your work session kept running' : 'I stopped counting your time';
+
+    text.textContent = `Welcome back! You were away for ${minutes} minute${minutes === 1 ? '' : 's'}. ${subject} - should I count that time?`;
+    keepButton.textContent = `Keep ${minutes}m`;
+    prompt.classList.remove('hidden');
+  }
+
+  hidePrompt() {
+    this.elements.prompt?.classList.add('hidden');
+  }
+
+  /**
+   * Answer the prompt; the background updates the timer and clears the period
+   * @param {boolean} keep - Count the time away
+   */
+  async resolve(keep) {
+    const period = this.period;
+    if (!period?.until) return;
+
+    this.hidePrompt();
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'IDLE_COMMAND',
+        command: 'resolve',
+        payload: { keep }
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      if (keep) {
+        this.contextAwareQuotes.creditIdleTime(period.until - period.since);
+      }
+
+      this.logger.log(`Idle time ${keep ? 'kept' : 'discarded'}`);
+    } catch (error) {
+      this.logger.error(`Failed to resolve idle time: ${error.message}`);
+      this.showPrompt(period);
+    }
+  }
+}
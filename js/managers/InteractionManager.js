@@ -3,28 +3,48 @@
  * Manages timed interaction opportunities with the waifu
  */
 
+import { CONFIG } from '../config.js';
 import { AnimationService } from '../services/AnimationService.js';
+import { InteractionHistoryService } from '../services/InteractionHistoryService.js';
+import { HeadPatGame } from './interaction/HeadPatGame.js';
+import { ReplyChoiceGame } from './interaction/ReplyChoiceGame.js';
+import { KaomojiMemoryGame } from './interaction/KaomojiMemoryGame.js';
 
 export class InteractionManager {
-    constructor(logger, config = {}) {
+    constructor(storageProvider, logger, config = {}) {
         this.logger = logger;
+        this.history = new InteractionHistoryService(storageProvider, logger);
         
         // Configuration with defaults
         this.config = {
             interactionInterval: config.interactionInterval || 5 * 60 * 1000, // 5 minutes default
             interactionReward: config.interactionReward || 10, // Higher reward for timed interactions
             indicatorDuration: config.indicatorDuration || 30 * 1000, // 30 seconds to interact
-            maxMissedInteractions: config.maxMissedInteractions || 3,
+            maxMissedInteractions: config.maxMissedInteractions || 3, // Back off after missing this many in a row
+            missedBackoff: config.missedBackoff || 1.5, // Interval multiplier per miss once backing off
+            maxInterval: config.maxInterval || 30 * 60 * 1000,
+            breakDelay: config.breakDelay || 5 * 1000, // Wait before offering one at the start of a break
+            dailyCap: config.dailyCap || 12,
             ...config
         };
         
         // State
         this.isInteractionAvailable = false;
         this.interactionTimer = null;
+        this.nextInteractionAt = null;
         this.indicatorTimer = null;
-        this.missedInteractions = 0;
-        this.totalInteractions = 0;
-        this.successfulInteractions = 0;
+        
+        // Scheduling
+        this.currentInterval = this.config.interactionInterval;
+        this.consecutiveMisses = 0;
+        this.isFocusActive = false; // A work session is running
+        this.focusEndsAt = null;    // When the running work session ends, null when open-ended
+        this.isDeferred = false;    // An opportunity came due during focus
+        
+        // Mini-games played when a signal is answered (see registerMiniGame)
+        this.miniGames = [HeadPatGame, ReplyChoiceGame, KaomojiMemoryGame];
+        this.miniGameContent = {};
+        this.activeGame = null;
         
         // UI elements
         this.waifuContainer = null;
@@ -32,6 +52,26 @@ export class InteractionManager {
         
         // Callbacks
         this.onInteractionCallback = null;
+        this.onInteractionAvailable = null;
+        this.onInteractionFailed = null;
+    }
+
+    /**
+     * Add a mini-game to the random pick
+     * @param {Function} GameClass - MiniGame subclass
+     */
+    registerMiniGame(GameClass) {
+        if (!this.miniGames.includes(GameClass)) {
+            this.miniGames.push(GameClass);
+        }
+    }
+
+    /**
+     * Content the mini-games draw from, e.g. { replyPrompts } for ReplyChoiceGame
+     * @param {Object} content
+     */
+    setMiniGameContent(content) {
+        this.miniGameContent = { ...this.miniGameContent, ...content };
     }
 
     /**
@@ -166,15 +206,57 @@ export class InteractionManager {
 
     /**
      * Start the interaction timer
+     * @param {number} delay - Defaults to the current, possibly backed-off, interval
      */
-    startInteractionTimer() {
+    startInteractionTimer(delay = this.currentInterval) {
         this.stopInteractionTimer();
         
+        this.nextInteractionAt = Date.now() + delay;
         this.interactionTimer = setTimeout(() => {
+            this.nextInteractionAt = null;
             this.showInteractionOpportunity();
-        }, this.config.interactionInterval);
+        }, delay);
         
-        this.logger.log(`Next interaction opportunity in ${this.config.interactionInterval / 1000}s`);
+        this.logger.log(`Next interaction opportunity in ${Math.round(delay / 1000)}s`);
+    }
+
+    isDailyCapReached() {
+        return this.history.getStats('today').totalInteractions >= this.config.dailyCap;
+    }
+
+    getTimeUntilTomorrow() {
+        const tomorrow = new Date();
+        tomorrow.setHours(24, 0, 0, 0);
+        return tomorrow - Date.now();
+    }
+
+    /**
+     * Keep opportunities out of running work sessions
+     * @param {boolean} active - Whether a work session is running
+     * @param {number|null} endsAt - When it ends, null for Flowtime work
+     */
+    setFocusActive(active, endsAt = null) {
+        this.focusEndsAt = active ? endsAt : null;
+        if (this.isFocusActive === active) return;
+        this.isFocusActive = active;
+        
+        // Offer what came due during focus once it ends
+        if (!active && this.isDeferred) {
+            this.isDeferred = false;
+            this.startInteractionTimer(this.config.breakDelay);
+        }
+    }
+
+    /**
+     * A work session just finished - the best moment for an opportunity
+     */
+    handleBreakStarted() {
+        this.setFocusActive(false);
+        
+        if (this.isInteractionAvailable || this.activeGame || this.isDailyCapReached()) return;
+        
+        this.isDeferred = false;
+        this.startInteractionTimer(this.config.breakDelay);
     }
 
     /**
@@ -185,20 +267,40 @@ export class InteractionManager {
             clearTimeout(this.interactionTimer);
             this.interactionTimer = null;
         }
+        this.nextInteractionAt = null;
     }
 
     /**
      * Show an interaction opportunity
+     * @param {boolean} force - Skip the focus and daily cap checks
      */
-    showInteractionOpportunity() {
+    showInteractionOpportunity(force = false) {
         if (this.isInteractionAvailable) return;
         
+        if (!force && this.isDailyCapReached()) {
+            this.logger.log(`Daily interaction cap (${this.config.dailyCap}) reached`);
+            this.startInteractionTimer(this.getTimeUntilTomorrow());
+            return;
+        }
+        
+        if (!force && this.isFocusActive) {
+            // Wait for the session to end instead of interrupting it
+            this.stopInteractionTimer();
+            this.isDeferred = true;
+            this.logger.log('Interaction opportunity deferred until the work session ends');
+            return;
+        }
+        
         this.isInteractionAvailable = true;
-        this.totalInteractions++;
+        this.history.record('shown');
         
         // Show the indicator
         this.showIndicator();
         
+        if (this.onInteractionAvailable) {
+            this.onInteractionAvailable();
+        }
+        
         // Set up timeout to hide the indicator
         this.indicatorTimer = setTimeout(() => {
             this.hideInteractionOpportunity(true); // true = missed
@@ -241,11 +343,15 @@ export class InteractionManager {
         this.hideIndicator();
         
         if (missed) {
-            this.missedInteractions++;
-            this.logger.log(`Interaction missed (${this.missedInteractions}/${this.config.maxMissedInteractions})`);
+            this.history.record('missed');
+            this.consecutiveMisses++;
+            this.logger.log(`Interaction missed (${this.consecutiveMisses}/${this.config.maxMissedInteractions} in a row)`);
             
-            // Optionally adjust timing based on missed interactions
             this.handleMissedInteraction();
+        } else if (this.consecutiveMisses > 0 || this.currentInterval !== this.config.interactionInterval) {
+            // Answered - back to the usual pace
+            this.consecutiveMisses = 0;
+            this.currentInterval = this.config.interactionInterval;
         }
         
         // Schedule next interaction
@@ -267,36 +373,93 @@ export class InteractionManager {
     }
 
     /**
-     * Handle a successful interaction
+     * Answer the interaction signal with a random mini-game
      */
     handleInteraction() {
-        if (!this.isInteractionAvailable) return;
+        if (!this.isInteractionAvailable || this.activeGame) return;
+        
+        // Answered in time - the game has its own time limit from here
+        if (this.indicatorTimer) {
+            clearTimeout(this.indicatorTimer);
+            this.indicatorTimer = null;
+        }
+        this.hideIndicator();
+        
+        const available = this.miniGames.filter(GameClass => GameClass.isAvailable(this.miniGameContent));
+        if (available.length === 0 || !this.waifuContainer) {
+            // Nothing playable - fall back to the plain heart click
+            this.completeInteraction({ game: null, success: true, score: 1, reactions: null });
+            return;
+        }
         
-        this.successfulInteractions++;
+        const GameClass = available[Math.floor(Math.random() * available.length)];
+        this.activeGame = new GameClass(this.waifuContainer, this.miniGameContent);
+        this.activeGame.start((result) => this.handleMiniGameResult(result));
+        
+        this.logger.log(`Started ${GameClass.id} mini-game`);
+    }
+
+    /**
+     * Settle a finished mini-game
+     * @param {Object} result - { game, success, score, reactions } from MiniGame.finish
+     */
+    handleMiniGameResult(result) {
+        if (this.activeGame) {
+            this.activeGame.cleanup();
+            this.activeGame = null;
+        }
+        
+        if (result.success) {
+            this.completeInteraction(result);
+            return;
+        }
+        
+        this.history.record('fail', result.game);
+        
+        if (this.onInteractionFailed) {
+            this.onInteractionFailed(result);
+        }
+        
+        this.hideInteractionOpportunity(false);
+        this.logger.log(`${result.game} mini-game lost`);
+    }
+
+    /**
+     * Reward a won interaction
+     * @param {Object} result - Mini-game result; reward scales by the game's rewardScale and score
+     */
+    completeInteraction(result) {
+        const reward = this.calculateReward(result);
+        this.history.record('success', result.game);
         
         // Trigger the interaction callback
         if (this.onInteractionCallback) {
-            this.onInteractionCallback(this.config.interactionReward);
+            this.onInteractionCallback(reward, result);
         }
         
         // Hide the opportunity
         this.hideInteractionOpportunity(false);
         
         // Add some visual feedback
-        this.showInteractionFeedback();
+        this.showInteractionFeedback(reward);
         
-        this.logger.log(`Interaction successful! +${this.config.interactionReward} affection`);
+        this.logger.log(`Interaction successful! +${reward} affection`);
+    }
+
+    calculateReward({ game, score }) {
+        const rewardScale = game ? CONFIG.INTERACTION.MINI_GAMES[game].rewardScale : 1;
+        return Math.max(1, Math.round(this.config.interactionReward * rewardScale * score));
     }
 
     /**
      * Show visual feedback for successful interaction
      */
-    showInteractionFeedback() {
+    showInteractionFeedback(reward = this.config.interactionReward) {
         if (!this.waifuContainer) return;
         
         // Create floating text
         const feedback = document.createElement('div');
-        feedback.textContent = `+${this.config.interactionReward} 💖`;
+        feedback.textContent = `+${reward} 💖`;
         feedback.style.cssText = `
             position: absolute;
             top: 50%;
@@ -349,37 +512,76 @@ export class InteractionManager {
      * Handle missed interactions
      */
     handleMissedInteraction() {
-        // If too many missed interactions, slightly reduce the interval
-        if (this.missedInteractions >= this.config.maxMissedInteractions) {
-            const reduction = Math.min(0.8, this.missedInteractions * 0.1);
-            this.config.interactionInterval *= (1 - reduction);
-            this.missedInteractions = 0; // Reset counter
+        // Several misses in a row mean the user is busy - ask less often
+        if (this.consecutiveMisses >= this.config.maxMissedInteractions) {
+            this.currentInterval = Math.min(
+                this.config.maxInterval,
+                this.currentInterval * this.config.missedBackoff
+            );
             
-            this.logger.log(`Interaction interval reduced to ${this.config.interactionInterval / 1000}s due to missed interactions`);
+            this.logger.log(`Interaction interval backed off to ${Math.round(this.currentInterval / 1000)}s after missed interactions`);
         }
     }
 
+    /**
+     * Load persisted interaction statistics
+     */
+    async load() {
+        await this.history.load();
+    }
+
+    /**
+     * Take statistics recorded by another open panel
+     */
+    syncStats(data) {
+        this.history.sync(data);
+    }
+
     /**
      * Get interaction statistics
+     * @param {string} range - 'today' or 'all'
      */
-    getStats() {
+    getStats(range = 'all') {
+        const stats = this.history.getStats(range);
         return {
-            totalInteractions: this.totalInteractions,
-            successfulInteractions: this.successfulInteractions,
-            missedInteractions: this.missedInteractions,
-            successRate: this.totalInteractions > 0 ? 
-                (this.successfulInteractions / this.totalInteractions * 100).toFixed(1) + '%' : '0%',
-            nextInteractionIn: this.interactionTimer ? 
-                Math.ceil((this.config.interactionInterval - (Date.now() % this.config.interactionInterval)) / 1000) : 0
+            ...stats,
+            successRate: stats.totalInteractions > 0 ? 
+                (stats.successfulInteractions / stats.totalInteractions * 100).toFixed(1) + '%' : '0%',
+            nextInteractionIn: this.getNextInteractionIn()
         };
     }
 
+    /**
+     * Seconds until the next opportunity shows
+     * @returns {number|null} 0 while one is showing, null when none is scheduled
+     *     or it waits on a work session with no set end
+     */
+    getNextInteractionIn() {
+        if (this.isInteractionAvailable) return 0;
+        
+        let nextAt = this.nextInteractionAt;
+        if (this.isDeferred) {
+            nextAt = this.focusEndsAt ? this.focusEndsAt + this.config.breakDelay : null;
+        }
+        return nextAt ? Math.max(0, Math.ceil((nextAt - Date.now()) / 1000)) : null;
+    }
+
+    /**
+     * Interaction statistics for each of the last few days, oldest first
+     */
+    getDailyStats(days = 7) {
+        return this.history.getDailyStats(days);
+    }
+
     /**
      * Update configuration
      * @param {Object} newConfig - New configuration options
      */
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
+        if (newConfig.interactionInterval) {
+            this.currentInterval = this.config.interactionInterval;
+        }
         this.logger.log('InteractionManager configuration updated');
     }
 
@@ -387,16 +589,16 @@ export class InteractionManager {
      * Force an interaction opportunity (for testing)
      */
     forceInteraction() {
-        this.showInteractionOpportunity();
+        this.showInteractionOpportunity(true);
     }
 
     /**
      * Reset all statistics
      */
     resetStats() {
-        this.totalInteractions = 0;
-        this.successfulInteractions = 0;
-        this.missedInteractions = 0;
+        this.history.reset();
+        this.consecutiveMisses = 0;
+        this.currentInterval = this.config.interactionInterval;
         this.logger.log('Interaction statistics reset');
     }
 
@@ -406,6 +608,11 @@ export class InteractionManager {
     cleanup() {
         this.stopInteractionTimer();
         
+        if (this.activeGame) {
+            this.activeGame.cleanup();
+            this.activeGame = null;
+        }
+        
         if (this.indicatorTimer) {
             clearTimeout(this.indicatorTimer);
         }
@@ -3,6 +3,8 @@
  * Handles daily mood tracking with calendar grid display
  */
 
+import { getDateKey } from '../utils/dateKey.js';
+
 export class MoodTracker {
   constructor(storageProvider, logger) {
     this.storageProvider = storageProvider;
@@ -18,6 +20,9 @@ export class MoodTracker {
       4: { color: '#FF9EBF', name: 'Good', emoji: '😊' },       // Soft pink
       5: { color: '#FF69B4', name: 'Great', emoji: '😄' }       // App's signature pink
     };
+    
+    // Called with (dateKey, moodLevel) whenever a mood is logged
+    this.onMoodSet = null;
   }
 
   async initialize() {
@@ -45,21 +50,25 @@ export class MoodTracker {
   }
 
   setMood(date, moodLevel) {
-    const dateKey = this.getDateKey(date);
+    const dateKey = getDateKey(date);
     this.moodData[dateKey] = {
       mood: moodLevel,
       timestamp: Date.now()
     };
     this.saveMoodData();
+    
+    if (this.onMoodSet) {
+      this.onMoodSet(dateKey, moodLevel);
+    }
   }
 
   getMood(date) {
-    const dateKey = this.getDateKey(date);
+    const dateKey = getDateKey(date);
     return this.moodData[dateKey]?.mood || null;
   }
 
-  getDateKey(date) {
-    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  getLoggedDays() {
+    return Object.keys(this.moodData).length;
   }
 
   generateCalendarHTML() {
@@ -162,7 +171,7 @@ export class MoodTracker {
     
     return `
       <div class="calendar-day ${otherMonthClass} ${todayClass}" 
-           data-date="${this.getDateKey(date)}"
+           data-date="${getDateKey(date)}"
            ${clickable ? 'data-clickable="true"' : ''}
            style="${moodStyle}">
         <div class="day-number">${dayNumber}</div>
@@ -17,6 +17,9 @@ export class NotepadManager {
         
         this.isInitialized = false;
         
+        // Called with the notes statistics whenever the notes change
+        this.onStatsChange = null;
+        
         this.setupCoreCallbacks();
         this.setupUICallbacks();
     }
@@ -27,6 +30,10 @@ export class NotepadManager {
     setupCoreCallbacks() {
         this.core.setChangeCallback((notes) => {
             this.uiManager.setContent(notes);
+            
+            if (this.onStatsChange) {
+                this.onStatsChange(this.core.getStats());
+            }
         });
     }
 
@@ -1,29 +1,66 @@
 /**
  * Pomodoro Manager
- * Manages Pomodoro timer functionality and UI integration
+ * Side panel view of the Pomodoro timer; the running session is owned by the
+ * background service worker (see PomodoroBackgroundService)
  */
 
+import { CONFIG } from '../config.js';
 import { PomodoroTimer } from '../models/PomodoroTimer.js';
 import { PomodoroUIManager } from './pomodoro/PomodoroUIManager.js';
-import { AudioManager } from './pomodoro/AudioManager.js';
-import { NotificationManager } from './pomodoro/NotificationManager.js';
+import { AmbientSoundManager } from './pomodoro/AmbientSoundManager.js';
+import { BreakActivityManager } from './pomodoro/BreakActivityManager.js';
+import { PomodoroHistoryService } from '../services/PomodoroHistoryService.js';
+import { PomodoroGoalService } from '../services/PomodoroGoalService.js';
+import { PomodoroPresetService } from '../services/PomodoroPresetService.js';
+import { getDateKey } from '../utils/dateKey.js';
 
 export class PomodoroManager {
-  constructor(storageProvider, logger) {
+  /**
+   * @param {AudioManager} audioManager - Shared sound effect player
+   */
+  constructor(storageProvider, logger, audioManager) {
     this.storageProvider = storageProvider;
     this.logger = logger;
     this.timer = new PomodoroTimer();
     this.timerInterval = null;
     this.uiManager = new PomodoroUIManager();
-    this.audioManager = new AudioManager(logger);
-    this.notificationManager = new NotificationManager(logger);
+    this.audioManager = audioManager;
+    this.ambientManager = new AmbientSoundManager(logger);
+    this.breakActivities = new BreakActivityManager(storageProvider, logger);
+    this.historyService = new PomodoroHistoryService(storageProvider, logger);
+    this.goalService = new PomodoroGoalService(this.historyService);
+    this.presetService = new PomodoroPresetService();
+    this.statsRange = 'today';
+    
+    // Ambient sound mixes keyed by preset id; auto-play follows work sessions
+    this.ambientMixes = {};
+    this.ambientAutoPlay = CONFIG.AMBIENT.AUTO_PLAY;
+    this.isWorkSessionRunning = false;
+    
+    // Dates (YYYY-MM-DD) the goal/streak reactions last fired, so each fires once a day
+    this.goalReachedDate = null;
+    this.streakRiskDate = null;
+    this.streakCheckInterval = null;
     
     // Event callbacks
     this.onSessionComplete = null;
     this.onTick = null;
     this.onStateChange = null;
+    this.onGoalReached = null;
+    this.onStreakAtRisk = null;
+    this.onPresetsChange = null; // Receives { activePreset, presets, ambientMixes } to persist in settings
+    this.onBreakActivityStart = null;
+    this.onBreakActivityComplete = null;
+    
+    this.breakActivities.onStart = (activity) => {
+      if (this.onBreakActivityStart) this.onBreakActivityStart(activity);
+    };
+    this.breakActivities.onComplete = (activity, rewarded) => {
+      if (this.onBreakActivityComplete) this.onBreakActivityComplete(activity, rewarded);
+    };
     
     this.setupUICallbacks();
+    this.setupRuntimeListener();
   }
 
   /**
@@ -34,8 +71,23 @@ export class PomodoroManager {
       onStart: () => this.start(),
       onPause: () => this.pause(),
       onStop: () => this.stop(),
+      onFinish: () => this.finish(),
       onReset: () => this.reset(),
-      getStats: () => this.timer.getStats()
+      onSkip: () => this.skip(),
+      onExtend: () => this.adjustDuration('extend'),
+      onShorten: () => this.adjustDuration('shorten'),
+      onCancelAutoStart: () => this.cancelAutoStart(),
+      onInterrupt: (type, note) => this.interrupt(type, note),
+      onSelectPreset: (id) => this.selectPreset(id),
+      onSavePreset: (data) => this.savePreset(data),
+      onDeletePreset: (id) => this.deletePreset(id),
+      onToggleAmbient: () => this.toggleAmbient(),
+      onAmbientVolume: (sound, volume) => this.setAmbientVolume(sound, volume),
+      onAmbientVolumeCommit: () => this.saveAmbientMix(),
+      onStatsRangeChange: (range) => this.setStatsRange(range),
+      getStats: () => this.getStats(this.statsRange),
+      getGoalProgress: () => this.getGoalProgress(),
+      getStreak: () => this.getStreak()
     });
   }
 
@@ -44,16 +96,70 @@ export class PomodoroManager {
     this.updateUI();
   }
 
+  setBreakActivityElements(elements) {
+    this.breakActivities.setElements(elements);
+  }
+
+  /**
+   * Listen for timer events from the background service worker
+   */
+  setupRuntimeListener() {
+    if (typeof chrome === 'undefined' || !chrome.runtime?.onMessage) return;
+    
+    this.messageListener = (message, sender, sendResponse) => {
+      if (message?.type !== 'POMODORO_EVENT') return false;
+      
+      if (message.event === 'sessionComplete') {
+        this.handleSessionComplete(message.state);
+      } else if (message.event === 'autoStarted') {
+        this.handleAutoStarted(message.state);
+      }
+      
+      sendResponse({ received: true });
+      return false;
+    };
+    
+    chrome.runtime.onMessage.addListener(this.messageListener);
+  }
+
+  /**
+   * Send a timer command to the background service worker
+   * @returns {Object|null} The resulting timer state
+   */
+  async sendCommand(command, payload = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'POMODORO_COMMAND',
+        command,
+        payload
+      });
+      
+      if (!response || response.error) {
+        throw new Error(response?.error || 'No response from background');
+      }
+      
+      return response.state;
+    } catch (error) {
+      this.logger.error(`Pomodoro command "${command}" failed: ${error.message}`);
+      return null;
+    }
+  }
+
   async load() {
     try {
+      // Ask the background for the live state so a session that ended while closed is completed first
+      await this.sendCommand('getState');
+      await this.historyService.load();
+      this.uiManager.invalidateStats();
+      await this.breakActivities.load();
+      
+      // A goal already met before the panel opened has been celebrated
+      this.checkGoal(false);
+      this.startStreakCheck();
+      
       const data = await this.storageProvider.get('pomodoroState');
       if (data && data.pomodoroState) {
-        const state = data.pomodoroState;
-        this.timer.completedSessions = state.completedSessions || 0;
-        this.timer.totalWorkSessions = state.totalWorkSessions || 0;
-        this.timer.currentSession = state.currentSession || 'work';
-        this.timer.currentTime = this.timer.getCurrentSessionDuration();
-        
+        this.sync(data.pomodoroState);
         this.logger.log('Pomodoro state loaded from storage');
       }
       this.updateUI();
@@ -62,27 +168,241 @@ export class PomodoroManager {
     }
   }
 
-  async save() {
+  /**
+   * Re-attach the view to the timer state owned by the background
+   */
+  sync(state) {
+    // Stored state carries the settings, including any the session in progress still runs on
+    if (state.settings) {
+      this.timer.updateSettings({ ...state.settings, ...state.sessionSettings });
+    }
+    this.timer.restore(state);
+    
+    if (this.timer.isRunning || this.timer.autoStartAt) {
+      this.startTimer();
+    } else {
+      this.stopTimer();
+    }
+    
+    this.updateAmbient();
+    this.updateBreakActivities();
+    this.updateUI();
+  }
+
+  /**
+   * Offer guided activities while a break is on, paused or not
+   */
+  updateBreakActivities() {
+    const { currentSession, isRunning, isPaused, sessionStartedAt } = this.timer;
+    const isBreak = (isRunning || isPaused) && currentSession !== 'work';
+    this.breakActivities.setBreakSession(isBreak ? currentSession : null, sessionStartedAt);
+  }
+
+  /**
+   * Fade ambient sound in when a work session starts (if auto-play is on)
+   * and out when it pauses, stops or turns into a break
+   */
+  updateAmbient() {
+    const isWorking = this.timer.isRunning && this.timer.currentSession === 'work';
+    if (isWorking === this.isWorkSessionRunning) return;
+    
+    this.isWorkSessionRunning = isWorking;
+    
+    if (isWorking) {
+      if (this.ambientAutoPlay && this.ambientManager.hasAudibleSound()) {
+        this.ambientManager.play();
+      }
+    } else {
+      this.ambientManager.stop();
+    }
+    
+    this.uiManager.updateAmbient(this.ambientManager.getMix(), this.ambientManager.isPlaying);
+  }
+
+  toggleAmbient() {
+    if (this.ambientManager.isPlaying) {
+      this.ambientManager.stop();
+    } else {
+      this.ambientManager.play();
+    }
+    
+    this.uiManager.updateAmbient(this.ambientManager.getMix(), this.ambientManager.isPlaying);
+  }
+
+  /**
+   * Change one sound's volume live (saved by saveAmbientMix)
+   * @param {string} sound - white, pink, brown, rain or clock
+   * @param {number} volume - 0-1
+   */
+  setAmbientVolume(sound, volume) {
+    this.ambientManager.setMix({ [sound]: volume });
+  }
+
+  /**
+   * Save the current mix for the active preset
+   */
+  saveAmbientMix() {
+    const presetId = this.presetService.getActivePreset().id;
+    this.notifyPresetsChange({
+      ambientMixes: { ...this.ambientMixes, [presetId]: this.ambientManager.getMix() }
+    });
+  }
+
+  /**
+   * Load ambient sound settings
+   * @param {Object} mixes - Volumes keyed by preset id
+   * @param {boolean} autoPlay - Play during work sessions
+   */
+  setAmbientSettings(mixes, autoPlay) {
+    if (mixes !== undefined) {
+      this.ambientMixes = mixes;
+    }
+    if (autoPlay !== undefined) {
+      this.ambientAutoPlay = autoPlay;
+    }
+    
+    this.loadAmbientMix();
+  }
+
+  /**
+   * Switch the ambient mix to the one saved for the active preset
+   */
+  loadAmbientMix() {
+    const presetId = this.presetService.getActivePreset().id;
+    this.ambientManager.setMix(this.ambientMixes[presetId] || CONFIG.AMBIENT.DEFAULT_MIX);
+    this.uiManager.updateAmbient(this.ambientManager.getMix(), this.ambientManager.isPlaying);
+  }
+
+  /**
+   * Refresh stats after the background appended to the session history
+   */
+  syncHistory(sessions) {
+    this.historyService.sync(sessions);
+    this.checkGoal();
+    this.uiManager.invalidateStats();
+    this.updateUI();
+  }
+
+  /**
+   * Mark today's goal as reached, notifying onGoalReached the first time
+   * @param {boolean} notify - Whether to fire the callback
+   */
+  checkGoal(notify = true) {
+    const progress = this.getGoalProgress();
+    const today = getDateKey(new Date());
+    
+    if (!progress.reached) {
+      // Raising the goal re-arms today's celebration
+      this.goalReachedDate = null;
+      return;
+    }
+    
+    if (this.goalReachedDate === today) return;
+    
+    this.goalReachedDate = today;
+    
+    if (notify && this.onGoalReached) {
+      this.onGoalReached(progress, this.getStreak());
+    }
+    
+    this.logger.log(`Daily Pomodoro goal reached: ${progress.value}/${progress.target} ${progress.type}`);
+  }
+
+  /**
+   * Periodically warn when an active streak is still unprotected late in the day
+   */
+  startStreakCheck() {
+    this.stopStreakCheck();
+    this.checkStreakRisk();
+    this.streakCheckInterval = setInterval(() => this.checkStreakRisk(), 5 * 60 * 1000);
+  }
+
+  stopStreakCheck() {
+    if (this.streakCheckInterval) {
+      clearInterval(this.streakCheckInterval);
+      this.streakCheckInterval = null;
+    }
+  }
+
+  checkStreakRisk() {
+    const now = new Date();
+    const today = getDateKey(now);
+    
+    // Also picks up a new day for the today range, goal and streak
+    this.uiManager.invalidateStats();
+    this.updateUI();
+    
+    if (now.getHours() < CONFIG.POMODORO.STREAK_RISK_HOUR || this.streakRiskDate === today) return;
+    
+    const streak = this.getStreak();
+    if (!streak.atRisk) return;
+    
+    this.streakRiskDate = today;
+    
+    if (this.onStreakAtRisk) {
+      this.onStreakAtRisk(streak, this.getGoalProgress());
+    }
+    
+    this.logger.log(`Pomodoro streak of ${streak.current} day(s) is at risk`);
+  }
+
+  /**
+   * Progress towards today's focus goal
+   */
+  getGoalProgress() {
+    return this.goalService.getGoalProgress();
+  }
+
+  /**
+   * Consecutive-day goal streak
+   */
+  getStreak() {
+    return this.goalService.getStreak();
+  }
+
+  /**
+   * Update daily goal and streak rules
+   */
+  setGoalSettings(settings) {
+    this.goalService.updateSettings(settings);
+    this.checkGoal(false);
+    this.uiManager.invalidateStats();
+    this.updateUI();
+  }
+
+  setStatsRange(range) {
+    this.statsRange = range;
+    this.uiManager.invalidateStats();
+    this.updateUI();
+  }
+
+  /**
+   * Hand completions that happened while the panel was closed to onSessionComplete
+   */
+  async reconcilePendingCompletions() {
     try {
-      const state = {
-        completedSessions: this.timer.completedSessions,
-        totalWorkSessions: this.timer.totalWorkSessions,
-        currentSession: this.timer.currentSession,
-        lastSaved: new Date().toISOString()
-      };
+      const pending = await this.storageProvider.load('pomodoroPendingCompletions') || [];
+      if (pending.length === 0) return;
+      
+      await this.storageProvider.save('pomodoroPendingCompletions', []);
       
-      await this.storageProvider.set('pomodoroState', state);
-      this.logger.log('Pomodoro state saved to storage');
+      pending.forEach(state => {
+        if (this.onSessionComplete) {
+          this.onSessionComplete({ ...state, reconciled: true });
+        }
+      });
+      
+      this.logger.log(`Reconciled ${pending.length} Pomodoro session(s) completed while closed`);
     } catch (error) {
-      this.logger.error(`Failed to save Pomodoro state: ${error.message}`);
+      this.logger.error(`Failed to reconcile Pomodoro sessions: ${error.message}`);
     }
   }
 
-  start() {
-    const state = this.timer.start();
-    this.startTimer();
-    this.updateUI(state);
-    this.save();
+  async start() {
+    const state = await this.sendCommand('start');
+    if (!state) return;
+    
+    this.sync(state);
     
     if (this.onStateChange) {
       this.onStateChange('started', state);
@@ -91,12 +411,10 @@ export class PomodoroManager {
     this.logger.log(`Pomodoro ${state.currentSession} session started`);
   }
 
-  pause() {
-    const state = this.timer.pause();
-    if (state) {
-      this.stopTimer();
-      this.updateUI(state);
-      this.save();
+  async pause() {
+    const state = await this.sendCommand('pause');
+    if (state && state.isPaused) {
+      this.sync(state);
       
       if (this.onStateChange) {
         this.onStateChange('paused', state);
@@ -106,11 +424,11 @@ export class PomodoroManager {
     }
   }
 
-  stop() {
-    const state = this.timer.stop();
-    this.stopTimer();
-    this.updateUI(state);
-    this.save();
+  async stop() {
+    const state = await this.sendCommand('stop');
+    if (!state) return;
+    
+    this.sync(state);
     
     if (this.onStateChange) {
       this.onStateChange('stopped', state);
@@ -119,11 +437,11 @@ export class PomodoroManager {
     this.logger.log('Pomodoro timer stopped');
   }
 
-  reset() {
-    const state = this.timer.reset();
-    this.stopTimer();
-    this.updateUI(state);
-    this.save();
+  async reset() {
+    const state = await this.sendCommand('reset');
+    if (!state) return;
+    
+    this.sync(state);
     
     if (this.onStateChange) {
       this.onStateChange('reset', state);
@@ -132,23 +450,103 @@ export class PomodoroManager {
     this.logger.log('Pomodoro timer reset');
   }
 
+  /**
+   * Move on to the next session without completing the current one
+   */
+  async skip() {
+    const state = await this.sendCommand('skip');
+    if (!state) return;
+    
+    this.sync(state);
+    
+    if (this.onStateChange) {
+      this.onStateChange('skipped', state);
+    }
+    
+    this.logger.log(`Pomodoro ${state.skippedSessionType} session skipped`);
+  }
+
+  /**
+   * Add or remove CONFIG.POMODORO.ADJUST_MINUTES from the current session
+   * @param {string} command - 'extend' or 'shorten'
+   */
+  async adjustDuration(command) {
+    const state = await this.sendCommand(command, { minutes: CONFIG.POMODORO.ADJUST_MINUTES });
+    if (!state) return;
+    
+    // A shortened session may have completed, which the background broadcasts separately
+    this.sync(state);
+    
+    if (this.onStateChange) {
+      this.onStateChange(command === 'extend' ? 'extended' : 'shortened', state);
+    }
+    
+    this.logger.log(`Pomodoro session ${command === 'extend' ? 'extended' : 'shortened'} by ${CONFIG.POMODORO.ADJUST_MINUTES} minutes`);
+  }
+
+  /**
+   * End a Flowtime work session and start earning its break
+   */
+  async finish() {
+    const state = await this.sendCommand('finish');
+    if (!state) return;
+    
+    // The background also broadcasts sessionComplete, which triggers the celebration
+    this.sync(state);
+    this.logger.log('Flowtime session finished');
+  }
+
+  async cancelAutoStart() {
+    const state = await this.sendCommand('cancelAutoStart');
+    if (!state) return;
+    
+    this.sync(state);
+    
+    if (this.onStateChange) {
+      this.onStateChange('autoStartCancelled', state);
+    }
+    
+    this.logger.log('Pomodoro auto-start cancelled');
+  }
+
+  /**
+   * Log an interruption against the current work session
+   * @param {string} type - 'internal' or 'external'
+   * @param {string} note - Optional reason
+   */
+  async interrupt(type, note = '') {
+    const state = await this.sendCommand('interrupt', { type, note });
+    if (!state) return;
+    
+    this.sync(state);
+    
+    if (this.onStateChange) {
+      this.onStateChange('interrupted', { ...state, interruption: { type, note } });
+    }
+    
+    this.logger.log(`Pomodoro ${type} interruption logged`);
+  }
+
+  /**
+   * Start the display countdown (the background alarm completes the session)
+   */
   startTimer() {
     this.stopTimer(); // Clear any existing timer
+    this.syncRequested = false;
     
     this.timerInterval = setInterval(() => {
-      const state = this.timer.tick();
+      const state = this.timer.updateCurrentTime();
+      this.updateUI(state);
       
-      if (state) {
-        this.updateUI(state);
-        
-        if (this.onTick) {
-          this.onTick(state);
-        }
-        
-        // Check for session completion
-        if (state.sessionCompleted) {
-          this.handleSessionComplete(state);
-        }
+      if (this.onTick) {
+        this.onTick(state);
+      }
+      
+      // Nudge the background so completion isn't delayed by alarm granularity
+      const isDue = state.isRunning ? !state.isCountUp && state.currentTime <= 0 : state.autoStartIn === 0;
+      if (isDue && !this.syncRequested) {
+        this.syncRequested = true;
+        this.sendCommand('sync');
       }
     }, 1000);
   }
@@ -161,14 +559,11 @@ export class PomodoroManager {
   }
 
   handleSessionComplete(state) {
-    this.stopTimer();
-    this.save();
+    this.uiManager.invalidateStats();
+    this.sync(state);
     
     // Play completion sound
-    this.audioManager.playCompletionSound();
-    
-    // Show notification
-    this.notificationManager.showSessionComplete(state);
+    this.audioManager.play(state.completedSessionType === 'work' ? 'workComplete' : 'breakComplete');
     
     // Trigger callbacks
     if (this.onSessionComplete) {
@@ -180,7 +575,16 @@ export class PomodoroManager {
     }
     
     this.logger.log(`${state.completedSessionType} session completed. Next: ${state.sessionDisplay}`);
-    this.updateUI(state);
+  }
+
+  handleAutoStarted(state) {
+    this.sync(state);
+    
+    if (this.onStateChange) {
+      this.onStateChange('started', { ...state, autoStarted: true });
+    }
+    
+    this.logger.log(`Pomodoro ${state.currentSession} session auto-started`);
   }
 
   updateUI(state = null) {
@@ -192,57 +596,115 @@ export class PomodoroManager {
     return this.timer.getCurrentState();
   }
 
-  getStats() {
-    return this.timer.getStats();
+  /**
+   * Get statistics computed from the session history
+   * @param {string} range - 'today', 'week' or 'all'
+   */
+  getStats(range = 'all') {
+    return this.historyService.getStats(range);
   }
 
-  setCustomDurations(work, shortBreak, longBreak) {
-    return this.timer.setCustomDurations(work, shortBreak, longBreak);
+  /**
+   * Load presets from settings
+   * @param {Array} customPresets - User-defined presets
+   * @param {string} activePresetId - Selected preset id
+   */
+  setPresets(customPresets, activePresetId) {
+    if (customPresets !== undefined) {
+      this.presetService.setCustomPresets(customPresets);
+    }
+    if (activePresetId !== undefined) {
+      this.presetService.setActivePreset(activePresetId);
+    }
+    
+    this.uiManager.updatePresets(this.getPresets(), this.presetService.getActivePreset().id);
+    this.loadAmbientMix();
   }
 
-  async requestNotificationPermission() {
-    return await this.notificationManager.requestPermission();
+  getPresets() {
+    return this.presetService.getPresets();
   }
 
-  updateSettings(settings) {
-    // Update timer durations (convert minutes to seconds)
-    if (settings.workDuration) {
-      this.timer.workDuration = settings.workDuration * 60;
-    }
-    if (settings.shortBreak) {
-      this.timer.shortBreakDuration = settings.shortBreak * 60;
-    }
-    if (settings.longBreak) {
-      this.timer.longBreakDuration = settings.longBreak * 60;
-    }
-    if (settings.sessionsUntilLongBreak) {
-      this.timer.sessionsUntilLongBreak = settings.sessionsUntilLongBreak;
+  getActivePreset() {
+    return this.presetService.getActivePreset();
+  }
+
+  /**
+   * Timer settings for the active preset
+   * @param {Object} baseSettings - Durations from the settings panel
+   */
+  getPresetTimerSettings(baseSettings) {
+    return this.presetService.getTimerSettings(baseSettings);
+  }
+
+  selectPreset(id) {
+    if (this.timer.isRunning || this.timer.isPaused) {
+      this.logger.warn('Cannot switch presets during a session');
+      return false;
     }
     
-    // Update notification settings
-    if (settings.notificationsEnabled !== undefined) {
-      this.notificationManager.setEnabled(settings.notificationsEnabled);
+    this.notifyPresetsChange({ activePreset: id });
+    return true;
+  }
+
+  /**
+   * Save a new custom preset and make it active
+   * @returns {boolean} Whether the preset was valid
+   */
+  savePreset(data) {
+    try {
+      const preset = this.presetService.createPreset(data);
+      this.notifyPresetsChange({
+        presets: this.presetService.withPreset(preset),
+        activePreset: this.timer.isRunning || this.timer.isPaused ? undefined : preset.id
+      });
+      this.logger.log(`Pomodoro preset "${preset.name}" saved`);
+      return true;
+    } catch (error) {
+      this.logger.error(`Failed to save Pomodoro preset: ${error.message}`);
+      this.uiManager.showPresetError(error.message);
+      return false;
     }
+  }
+
+  deletePreset(id) {
+    const preset = this.presetService.getPreset(id);
+    if (!preset || preset.builtIn) return false;
     
-    // Update audio settings
-    if (settings.audioEnabled !== undefined) {
-      this.audioManager.setEnabled(settings.audioEnabled);
+    const isActive = this.presetService.getActivePreset().id === id;
+    const { [id]: deletedMix, ...ambientMixes } = this.ambientMixes;
+    this.notifyPresetsChange({
+      presets: this.presetService.withoutPreset(id),
+      activePreset: isActive ? CONFIG.POMODORO.DEFAULT_PRESET : undefined,
+      ambientMixes
+    });
+    this.logger.log(`Pomodoro preset "${preset.name}" deleted`);
+    return true;
+  }
+
+  notifyPresetsChange(changes) {
+    if (this.onPresetsChange) {
+      this.onPresetsChange(changes);
     }
+  }
+
+  setCustomDurations(work, shortBreak, longBreak) {
+    if (this.timer.isRunning) return false;
     
-    // Update auto-start settings
-    if (settings.autoStartBreaks !== undefined) {
-      this.timer.autoStartBreaks = settings.autoStartBreaks;
-    }
-    if (settings.autoStartWork !== undefined) {
-      this.timer.autoStartWork = settings.autoStartWork;
+    this.updateSettings({ workDuration: work, shortBreak, longBreak });
+    return true;
+  }
+
+  updateSettings(settings) {
+    // Update the local view; the background timer receives the same settings and
+    // holds them back until the session in progress ends
+    if (!this.timer.isRunning && !this.timer.isPaused) {
+      this.timer.updateSettings(settings);
     }
     
-    // Reset timer to new duration if not running
-    if (!this.timer.isRunning) {
-      this.timer.currentTime = this.timer.getCurrentSessionDuration();
-      this.updateUI();
-    }
+    this.sendCommand('updateSettings', settings);
     
+    this.updateUI();
     this.logger.log('Pomodoro settings updated');
   }
 
@@ -250,28 +712,49 @@ export class PomodoroManager {
    * Get work sessions count (for external access)
    */
   get workSessions() {
-    return this.timer ? this.timer.totalWorkSessions || 0 : 0;
+    return this.getStats().totalWorkSessions;
   }
 
   /**
    * Get total sessions count (for external access)
    */
   get totalSessions() {
-    return this.timer ? this.timer.completedSessions || 0 : 0;
+    return this.getStats().completedSessions;
   }
 
   /**
    * Get productive time in minutes (for external access)
    */
   get productiveTime() {
-    if (!this.timer) return 0;
-    const stats = this.timer.getStats();
-    return stats.totalProductiveTime || 0;
+    return this.getStats().productiveTime;
+  }
+
+  /**
+   * Get interruption summary for today and all time (for external access)
+   */
+  get interruptionStats() {
+    const today = this.getStats('today');
+    const allTime = this.getStats('all');
+    
+    return {
+      today: today.interruptions,
+      total: allTime.interruptions,
+      byDay: allTime.interruptionsByDay,
+      topReasons: allTime.topInterruptionReasons
+    };
   }
 
   destroy() {
+    // The background keeps the session running - only detach the view
     this.stopTimer();
-    this.save();
+    this.stopStreakCheck();
+    this.ambientManager.destroy();
+    this.breakActivities.cleanup();
+    
+    if (this.messageListener) {
+      chrome.runtime.onMessage.removeListener(this.messageListener);
+    }
+    
     this.logger.log('Pomodoro manager destroyed');
   }
 }
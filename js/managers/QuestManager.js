@@ -0,0 +1,337 @@
+/**
+ * Quest Manager
+ * Generates a daily quest board from the user's recent activity, tracks
+ * today's progress and keeps a history of finished days for stats
+ */
+
+import { CONFIG } from '../config.js';
+import { getDateKey } from '../utils/dateKey.js';
+import { SerialQueue } from '../utils/SerialQueue.js';
+
+export class QuestManager {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'dailyQuests';
+    this.historyKey = 'questHistory';
+    this.state = this.createState(null);
+    this.history = [];
+    this.checkInterval = null;
+
+    // Every change reloads the board first and runs one at a time, so open panels
+    // build on each other's progress and a day is only archived once
+    this.queue = new SerialQueue();
+    this.elements = {
+      list: null,
+      summary: null
+    };
+
+    // Called with each quest completed today
+    this.onQuestComplete = null;
+  }
+
+  /**
+   * @param {string|null} date - Day key the board is for
+   * @param {Object} activity - Daily activity totals by day key, carried between boards
+   */
+  createState(date, activity = {}) {
+    return {
+      date,
+      quests: [],     // { type, target, completedAt }
+      baselines: {},  // Reported totals at the start of the day, for growth quests
+      counted: [],    // Ids of events already counted today, e.g. a session every panel hears about
+      activity
+    };
+  }
+
+  setElements(elements) {
+    Object.assign(this.elements, elements);
+    this.render();
+  }
+
+  async load() {
+    await this.queue.enqueue(async () => {
+      await this.loadStored();
+      await this.rollOver();
+    });
+    this.render();
+  }
+
+  async loadStored() {
+    try {
+      const [state, history] = await Promise.all([
+        this.storageProvider.load(this.storageKey),
+        this.storageProvider.load(this.historyKey)
+      ]);
+      this.sync(state, history);
+    } catch (error) {
+      this.logger.error(`Failed to load daily quests: ${error.message}`);
+      this.state = this.createState(null);
+      this.history = [];
+    }
+  }
+
+  /**
+   * Take a board or history saved by another panel
+   * @param {Object|undefined} state - Left as is when undefined
+   * @param {Array|undefined} history - Left as is when undefined
+   */
+  sync(state, history) {
+    if (state !== undefined) {
+      this.state = state?.date ? { ...this.createState(state.date), ...state } : this.createState(null);
+    }
+    if (history !== undefined) {
+      this.history = Array.isArray(history) ? history : [];
+    }
+  }
+
+  async save() {
+    try {
+      await this.storageProvider.save(this.storageKey, this.state);
+    } catch (error) {
+      this.logger.error(`Failed to save daily quests: ${error.message}`);
+    }
+  }
+
+  /**
+   * Archive the previous board and generate today's once the day changes
+   */
+  ensureToday() {
+    return this.queue.enqueue(async () => {
+      await this.loadStored();
+      await this.rollOver();
+    });
+  }
+
+  /**
+   * ensureToday for tasks already running in the queue
+   */
+  async rollOver() {
+    const today = getDateKey();
+    if (this.state.date === today) return;
+
+    if (this.state.date && this.state.quests.length > 0) {
+      await this.archive(this.state);
+    }
+
+    const activity = this.pruneActivity(this.state.activity, today);
+    this.state = this.createState(today, activity);
+    this.state.quests = this.generateQuests();
+
+    await this.save();
+    this.render();
+    this.logger.log(`Generated ${this.state.quests.length} daily quests for ${today}`);
+  }
+
+  startDayCheck() {
+    this.stopDayCheck();
+    this.checkInterval = setInterval(() => this.ensureToday(), CONFIG.QUESTS.CHECK_INTERVAL);
+  }
+
+  stopDayCheck() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  pruneActivity(activity, today) {
+    const cutoff = new Date(`${today}T00:00:00`);
+    cutoff.setDate(cutoff.getDate() - CONFIG.QUESTS.LOOKBACK_DAYS);
+    const cutoffKey = getDateKey(cutoff);
+
+    return Object.fromEntries(Object.entries(activity || {}).filter(([day]) => day >= cutoffKey && day < today));
+  }
+
+  async archive(state) {
+    if (this.history.some(day => day.date === state.date)) return;
+
+    const dayActivity = state.activity[state.date] || {};
+
+    this.history.push({
+      date: state.date,
+      quests: state.quests.map(quest => ({
+        type: quest.type,
+        target: quest.target,
+        progress: Math.min(dayActivity[quest.type] || 0, quest.target),
+        completed: Boolean(quest.completedAt)
+      }))
+    });
+    this.history = this.history.slice(-CONFIG.QUESTS.HISTORY_DAYS);
+
+    try {
+      await this.storageProvider.save(this.historyKey, this.history);
+    } catch (error) {
+      this.logger.error(`Failed to save quest history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Pick today's quests, with targets a little above the recent daily average
+   */
+  generateQuests() {
+    const types = Object.keys(CONFIG.QUESTS.TYPES);
+
+    // Shuffle so the board changes from day to day
+    for (let i = types.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [types[i], types[j]] = [types[j], types[i]];
+    }
+
+    return types.slice(0, CONFIG.QUESTS.COUNT).map(type => ({
+      type,
+      target: this.getTarget(type),
+      completedAt: null
+    }));
+  }
+
+  getTarget(type) {
+    const { min, max, fallback, step = 1 } = CONFIG.QUESTS.TYPES[type];
+
+    // Only days the user did this at all, so a day off doesn't drag the target down
+    const totals = Object.values(this.state.activity)
+      .map(day => day[type] || 0)
+      .filter(total => total > 0);
+
+    if (totals.length === 0) return fallback;
+
+    const average = totals.reduce((sum, total) => sum + total, 0) / totals.length;
+    const target = Math.ceil((average * CONFIG.QUESTS.STRETCH) / step) * step;
+    return Math.max(min, Math.min(max, target));
+  }
+
+  /**
+   * Count activity towards today's quests
+   * @param {string} type - Quest type from CONFIG.QUESTS.TYPES
+   * @param {number} value - Reported total for growth types
+   * @param {string|null} eventId - Counts the event once however many panels report it
+   */
+  record(type, value = 0, eventId = null) {
+    if (!CONFIG.QUESTS.TYPES[type]) return Promise.resolve();
+
+    return this.queue.enqueue(async () => {
+      await this.loadStored();
+      await this.rollOver();
+      await this.apply(type, value, eventId);
+    });
+  }
+
+  async apply(type, value, eventId) {
+    const definition = CONFIG.QUESTS.TYPES[type];
+    const { activity, baselines, counted, date } = this.state;
+
+    if (eventId) {
+      if (counted.includes(eventId)) return;
+      counted.push(eventId);
+    }
+
+    const day = activity[date] || (activity[date] = {});
+    const current = day[type] || 0;
+
+    if (definition.mode === 'growth' && baselines[type] === undefined) {
+      // First report today only sets the starting point
+      baselines[type] = value;
+      await this.save();
+      return;
+    }
+
+    if (definition.mode === 'growth') {
+      day[type] = Math.max(current, value - baselines[type]);
+    } else if (definition.mode === 'once') {
+      day[type] = 1;
+    } else {
+      day[type] = current + 1;
+    }
+
+    if (day[type] === current) {
+      if (eventId) await this.save();
+      return;
+    }
+
+    this.checkCompletion(type);
+    await this.save();
+    this.render();
+  }
+
+  checkCompletion(type) {
+    const progress = this.getProgress(type);
+
+    this.state.quests
+      .filter(quest => quest.type === type && !quest.completedAt && progress >= quest.target)
+      .forEach(quest => {
+        quest.completedAt = new Date().toISOString();
+        this.logger.log(`Quest completed: ${this.getLabel(quest)}`);
+        this.onQuestComplete?.(quest);
+      });
+  }
+
+  getProgress(type) {
+    return this.state.activity[this.state.date]?.[type] || 0;
+  }
+
+  getLabel(quest) {
+    return CONFIG.QUESTS.TYPES[quest.type].label
+      .replace('{target}', quest.target)
+      .replace(/\((\w+)\)/, quest.target === 1 ? '' : '$1');
+  }
+
+  /**
+   * Totals over the kept quest history
+   * @returns {Object} { days, assigned, completed, perfectDays, completionRate }
+   */
+  getHistoryStats() {
+    const quests = this.history.flatMap(day => day.quests);
+    const completed = quests.filter(quest => quest.completed).length;
+
+    return {
+      days: this.history.length,
+      assigned: quests.length,
+      completed,
+      perfectDays: this.history.filter(day => day.quests.length > 0 && day.quests.every(quest => quest.completed)).length,
+      completionRate: quests.length > 0 ? Math.round((completed / quests.length) * 100) : 0
+    };
+  }
+
+  render() {
+    const { list, summary } = this.elements;
+
+    if (list) {
+      list.replaceChildren();
+      this.state.quests.forEach(quest => list.appendChild(this.createQuestElement(quest)));
+    }
+
+    if (summary) {
+      const stats = this.getHistoryStats();
+      const doneToday = this.state.quests.filter(quest => quest.completedAt).length;
+      summary.textContent = stats.days > 0
+        ? `Today ${doneToday}/${this.state.quests.length} · ${stats.completed} quests done over ${stats.days} days (${stats.completionRate}%) · ${stats.perfectDays} perfect days`
+        : `Today ${doneToday}/${this.state.quests.length} · New quests every morning`;
+    }
+  }
+
+  createQuestElement(quest) {
+    const { icon } = CONFIG.QUESTS.TYPES[quest.type];
+    const progress = Math.min(this.getProgress(quest.type), quest.target);
+
+    const item = document.createElement('li');
+    item.className = `quest-item ${quest.completedAt ? 'completed' : ''}`;
+
+    const label = document.createElement('span');
+    label.className = 'quest-label';
+    label.textContent = `${quest.completedAt ? '✔️' : icon} ${this.getLabel(quest)}`;
+
+    const count = document.createElement('span');
+    count.className = 'quest-count';
+    count.textContent = `${progress}/${quest.target}`;
+
+    const bar = document.createElement('div');
+    bar.className = 'quest-progress';
+    const fill = document.createElement('div');
+    fill.className = 'quest-progress-fill';
+    fill.style.width = `${(progress / quest.target) * 100}%`;
+    bar.appendChild(fill);
+
+    item.append(label, count, bar);
+    return item;
+  }
+}
@@ -21,12 +21,28 @@ export class SettingsManager {
       pomodoroNotificationsEnabled: CONFIG.POMODORO.NOTIFICATIONS_ENABLED,
       pomodoroAutoStartBreaks: CONFIG.POMODORO.AUTO_START_BREAKS,
       pomodoroAutoStartWork: CONFIG.POMODORO.AUTO_START_WORK,
+      pomodoroAutoStartDelay: CONFIG.POMODORO.AUTO_START_DELAY,
+      pomodoroDailyGoalType: CONFIG.POMODORO.DAILY_GOAL_TYPE,
+      pomodoroDailyGoal: CONFIG.POMODORO.DAILY_GOAL,
+      pomodoroWeekendRestDays: CONFIG.POMODORO.WEEKEND_REST_DAYS,
+      pomodoroStreakFreezes: CONFIG.POMODORO.STREAK_FREEZES_PER_MONTH,
+      pomodoroActivePreset: CONFIG.POMODORO.DEFAULT_PRESET,
+      pomodoroPresets: [], // User-defined presets; built-ins live in CONFIG.POMODORO.PRESETS
+      pomodoroAmbientAutoPlay: CONFIG.AMBIENT.AUTO_PLAY,
+      pomodoroAmbientMixes: {}, // Ambient sound volumes keyed by preset id
+      pomodoroIdleAutoPause: CONFIG.IDLE.AUTO_PAUSE,
+      pomodoroIdleThreshold: CONFIG.IDLE.THRESHOLD,
       
       // Affection Settings
       affectionTaskCompletion: CONFIG.AFFECTION.TASK_COMPLETION,
       affectionWaifuClick: CONFIG.AFFECTION.WAIFU_CLICK,
       affectionPomodoroWork: CONFIG.AFFECTION.POMODORO_WORK_SESSION,
       affectionPomodoroBreak: CONFIG.AFFECTION.POMODORO_BREAK_SESSION,
+      affectionDecayEnabled: CONFIG.AFFECTION_DECAY.ENABLED,
+      affectionDecayRate: CONFIG.AFFECTION_DECAY.RATE, // points per day
+      affectionDecayGrace: CONFIG.AFFECTION_DECAY.GRACE_HOURS,
+      affectionDecayFloor: CONFIG.AFFECTION_DECAY.FLOOR,
+      interactionDailyCap: CONFIG.INTERACTION.DAILY_CAP,
       
       // Quote Settings
       quoteRandomInterval: CONFIG.TOOLTIP.RANDOM_INTERVAL / 1000, // Convert to seconds for UI
@@ -39,6 +55,19 @@ export class SettingsManager {
       tabSpyEnabled: CONFIG.PRIVACY.TAB_SPY_ENABLED,
       productivityTracking: CONFIG.PRIVACY.PRODUCTIVITY_TRACKING,
       
+      // Focus Mode Settings
+      focusModeEnabled: CONFIG.FOCUS_MODE.ENABLED,
+      focusModeCategories: [...CONFIG.FOCUS_MODE.CATEGORIES],
+      
+      // Sound Settings
+      enableSoundEffects: CONFIG.SOUND.ENABLED,
+      soundTheme: CONFIG.SOUND.THEME,
+      soundVolume: CONFIG.SOUND.VOLUME,
+      soundWorkComplete: true,
+      soundBreakComplete: true,
+      soundInteraction: true,
+      soundTaskComplete: true,
+      
       // Sprite Settings
       spriteCycleInterval: CONFIG.SPRITE_CYCLE_INTERVAL / 1000, // Convert to seconds for UI
       
@@ -49,7 +78,6 @@ export class SettingsManager {
       // Feature Flags
       enableExperimentalFeatures: false,
       enableDebugMode: false,
-      enableSoundEffects: false,
       enableVoiceQuotes: false,
       enableCustomThemes: false,
       enableAdvancedStats: false
@@ -96,6 +124,18 @@ export class SettingsManager {
     this.save();
   }
 
+  /**
+   * Set several settings with a single save
+   */
+  update(changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.settings[key] = value;
+      }
+    });
+    this.save();
+  }
+
   getSettings() {
     return { ...this.settings };
   }
@@ -109,18 +149,42 @@ export class SettingsManager {
       pomodoroNotificationsEnabled: CONFIG.POMODORO.NOTIFICATIONS_ENABLED,
       pomodoroAutoStartBreaks: CONFIG.POMODORO.AUTO_START_BREAKS,
       pomodoroAutoStartWork: CONFIG.POMODORO.AUTO_START_WORK,
+      pomodoroAutoStartDelay: CONFIG.POMODORO.AUTO_START_DELAY,
+      pomodoroDailyGoalType: CONFIG.POMODORO.DAILY_GOAL_TYPE,
+      pomodoroDailyGoal: CONFIG.POMODORO.DAILY_GOAL,
+      pomodoroWeekendRestDays: CONFIG.POMODORO.WEEKEND_REST_DAYS,
+      pomodoroStreakFreezes: CONFIG.POMODORO.STREAK_FREEZES_PER_MONTH,
+      pomodoroActivePreset: CONFIG.POMODORO.DEFAULT_PRESET,
+      pomodoroPresets: [], // User-defined presets; built-ins live in CONFIG.POMODORO.PRESETS
+      pomodoroAmbientAutoPlay: CONFIG.AMBIENT.AUTO_PLAY,
+      pomodoroAmbientMixes: {}, // Ambient sound volumes keyed by preset id
+      pomodoroIdleAutoPause: CONFIG.IDLE.AUTO_PAUSE,
+      pomodoroIdleThreshold: CONFIG.IDLE.THRESHOLD,
       affectionTaskCompletion: CONFIG.AFFECTION.TASK_COMPLETION,
       affectionWaifuClick: CONFIG.AFFECTION.WAIFU_CLICK,
       affectionPomodoroWork: CONFIG.AFFECTION.POMODORO_WORK_SESSION,
       affectionPomodoroBreak: CONFIG.AFFECTION.POMODORO_BREAK_SESSION,
+      affectionDecayEnabled: CONFIG.AFFECTION_DECAY.ENABLED,
+      affectionDecayRate: CONFIG.AFFECTION_DECAY.RATE,
+      affectionDecayGrace: CONFIG.AFFECTION_DECAY.GRACE_HOURS,
+      affectionDecayFloor: CONFIG.AFFECTION_DECAY.FLOOR,
+      interactionDailyCap: CONFIG.INTERACTION.DAILY_CAP,
       quoteRandomInterval: CONFIG.TOOLTIP.RANDOM_INTERVAL / 1000,
       quoteDisplayDuration: CONFIG.TOOLTIP.DISPLAY_DURATION / 1000,
       quoteEventDuration: CONFIG.TOOLTIP.EVENT_DURATION / 1000,
       quoteAutoEnabled: CONFIG.TOOLTIP.AUTO_ENABLED,
+      focusModeEnabled: CONFIG.FOCUS_MODE.ENABLED,
+      focusModeCategories: [...CONFIG.FOCUS_MODE.CATEGORIES],
+      enableSoundEffects: CONFIG.SOUND.ENABLED,
+      soundTheme: CONFIG.SOUND.THEME,
+      soundVolume: CONFIG.SOUND.VOLUME,
+      soundWorkComplete: true,
+      soundBreakComplete: true,
+      soundInteraction: true,
+      soundTaskComplete: true,
       spriteCycleInterval: CONFIG.SPRITE_CYCLE_INTERVAL / 1000,
       enableExperimentalFeatures: false,
       enableDebugMode: false,
-      enableSoundEffects: false,
       enableVoiceQuotes: false,
       enableCustomThemes: false,
       enableAdvancedStats: false
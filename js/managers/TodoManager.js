@@ -39,7 +39,9 @@ export class TodoManager {
         text: todo.text,
         completed: todo.completed,
         id: todo.id,
-        createdAt: todo.createdAt
+        createdAt: todo.createdAt,
+        rewardedAt: todo.rewardedAt,
+        rewardAmount: todo.rewardAmount
       }));
       
       await this.storageProvider.save('todos', todoData);
@@ -57,7 +59,8 @@ export class TodoManager {
       const essentialTodos = this.todos.map(todo => ({
         text: todo.text,
         completed: todo.completed,
-        id: todo.id
+        id: todo.id,
+        rewardedAt: todo.rewardedAt
       }));
       await this.storageProvider.save('todos', essentialTodos);
       this.logger.warn('Saved essential todos only due to storage constraints');
@@ -6,6 +6,7 @@
 import { IconMapper } from '../services/IconMapper.js';
 import { SettingsTemplate } from '../services/SettingsTemplate.js';
 import { DataValidationService } from '../services/DataValidationService.js';
+import { CONFIG } from '../config.js';
 
 export class UIManager {
   constructor(logger) {
@@ -91,6 +92,9 @@ export class UIManager {
         ${this.buildAffectionSection()}
         ${this.buildQuotesSection()}
         ${this.buildPrivacySection()}
+        ${this.buildFocusModeSection()}
+        ${this.buildSoundSection()}
+        ${this.buildShortcutsSection()}
         ${this.buildAISection()}
         ${this.buildAppearanceSection()}
         ${this.buildFeatureFlagsSection()}
@@ -121,6 +125,17 @@ export class UIManager {
         ${this.createCheckboxInput('notifications-enabled', 'Enable Notifications')}
         ${this.createCheckboxInput('auto-start-breaks', 'Auto-start Breaks')}
         ${this.createCheckboxInput('auto-start-work', 'Auto-start Work Sessions')}
+        ${this.createNumberInput('auto-start-delay', 'Auto-start Countdown (seconds):', 3, 60, 1)}
+        ${this.createSelectInput('daily-goal-type', 'Daily Goal Type:', [
+          { value: 'sessions', text: 'Work sessions' },
+          { value: 'minutes', text: 'Focus minutes' }
+        ])}
+        ${this.createNumberInput('daily-goal', 'Daily Goal:', 1, 600, 1)}
+        ${this.createCheckboxInput('weekend-rest-days', 'Weekends are Rest Days')}
+        ${this.createNumberInput('streak-freezes', 'Streak Freezes per Month:', 0, 5, 1)}
+        ${this.createCheckboxInput('ambient-auto-play', 'Auto-play Ambient Sound during Work')}
+        ${this.createCheckboxInput('idle-auto-pause', 'Pause Work Sessions when I\'m Away')}
+        ${this.createNumberInput('idle-threshold', 'Away after Idle (minutes):', 1, 30, 1)}
       </div>
     `;
   }
@@ -133,6 +148,11 @@ export class UIManager {
         ${this.createNumberInput('affection-click', 'Waifu Click Reward:', 1, 50, 1)}
         ${this.createNumberInput('affection-work', 'Work Session Reward:', 1, 100, 1)}
         ${this.createNumberInput('affection-break', 'Break Session Reward:', 1, 50, 1)}
+        ${this.createCheckboxInput('affection-decay', 'Affection Fades when I\'m Away')}
+        ${this.createNumberInput('affection-decay-rate', 'Fade Rate (points per day):', 0, 50, 1)}
+        ${this.createNumberInput('affection-decay-grace', 'Grace Period (hours):', 1, 168, 1)}
+        ${this.createNumberInput('affection-decay-floor', 'Never Fade Below:', 0, 100, 1)}
+        ${this.createNumberInput('interaction-daily-cap', 'Interaction Signals per Day:', 1, 50, 1)}
       </div>
     `;
   }
@@ -165,6 +185,24 @@ export class UIManager {
     `;
   }
 
+  buildFocusModeSection() {
+    const template = new SettingsTemplate();
+    const focusSection = template.sections.find(section => section.id === 'focus');
+    return template.generateSection(focusSection);
+  }
+
+  buildSoundSection() {
+    const template = new SettingsTemplate();
+    const soundSection = template.sections.find(section => section.id === 'sound');
+    return template.generateSection(soundSection);
+  }
+
+  buildShortcutsSection() {
+    const template = new SettingsTemplate();
+    const shortcutsSection = template.sections.find(section => section.id === 'shortcuts');
+    return template.generateSection(shortcutsSection);
+  }
+
   buildAISection() {
     const template = new SettingsTemplate();
     const aiSection = template.sections.find(section => section.id === 'ai');
@@ -186,9 +224,8 @@ export class UIManager {
         <h3>Feature Flags</h3>
         ${this.createCheckboxInput('experimental-features', 'Enable Experimental Features')}
         ${this.createCheckboxInput('debug-mode', 'Debug Mode')}
-        ${this.createCheckboxInput('sound-effects', 'Sound Effects (Coming Soon)')}
         ${this.createCheckboxInput('voice-quotes', 'Voice Quotes (Coming Soon)')}
-        ${this.createCheckboxInput('custom-themes', 'Custom Themes (Coming Soon)')}
+        ${this.createCheckboxInput('custom-themes', 'Use Unlocked Relationship Theme')}
         ${this.createCheckboxInput('advanced-stats', 'Advanced Statistics (Coming Soon)')}
       </div>
     `;
@@ -215,6 +252,17 @@ export class UIManager {
     `;
   }
 
+  createSelectInput(id, label, options) {
+    return `
+      <div class="setting-item">
+        <label for="${id}">${label}</label>
+        <select id="${id}" class="form-select">
+          ${options.map(option => `<option value="${option.value}">${option.text}</option>`).join('')}
+        </select>
+      </div>
+    `;
+  }
+
   createTextareaInput(id, label, placeholder = '', rows = 4) {
     return `
       <div class="setting-item textarea-item">
@@ -302,6 +350,30 @@ export class UIManager {
     this.onViewChange = callback;
   }
 
+  /**
+   * Show the extension's global shortcuts and the keys bound to them
+   * @param {Array} commands - Result of chrome.commands.getAll()
+   */
+  populateShortcuts(commands) {
+    const list = document.getElementById('shortcut-list');
+    if (!list) return;
+
+    list.replaceChildren(...commands
+      .filter(command => command.description)
+      .map(command => {
+        const item = document.createElement('li');
+        const description = document.createElement('span');
+        const key = document.createElement('kbd');
+
+        description.textContent = command.description;
+        key.textContent = command.shortcut || 'Not set';
+        key.classList.toggle('unset', !command.shortcut);
+
+        item.append(description, key);
+        return item;
+      }));
+  }
+
   // Methods for updating settings UI
   populateSettings(settings) {
     // Pomodoro settings
@@ -312,12 +384,25 @@ export class UIManager {
     document.getElementById('notifications-enabled').checked = settings.pomodoroNotificationsEnabled;
     document.getElementById('auto-start-breaks').checked = settings.pomodoroAutoStartBreaks;
     document.getElementById('auto-start-work').checked = settings.pomodoroAutoStartWork;
+    document.getElementById('auto-start-delay').value = settings.pomodoroAutoStartDelay;
+    document.getElementById('daily-goal-type').value = settings.pomodoroDailyGoalType;
+    document.getElementById('daily-goal').value = settings.pomodoroDailyGoal;
+    document.getElementById('weekend-rest-days').checked = settings.pomodoroWeekendRestDays;
+    document.getElementById('streak-freezes').value = settings.pomodoroStreakFreezes;
+    document.getElementById('ambient-auto-play').checked = settings.pomodoroAmbientAutoPlay;
+    document.getElementById('idle-auto-pause').checked = settings.pomodoroIdleAutoPause;
+    document.getElementById('idle-threshold').value = settings.pomodoroIdleThreshold;
 
     // Affection settings
     document.getElementById('affection-task').value = settings.affectionTaskCompletion;
     document.getElementById('affection-click').value = settings.affectionWaifuClick;
     document.getElementById('affection-work').value = settings.affectionPomodoroWork;
     document.getElementById('affection-break').value = settings.affectionPomodoroBreak;
+    document.getElementById('affection-decay').checked = settings.affectionDecayEnabled;
+    document.getElementById('affection-decay-rate').value = settings.affectionDecayRate;
+    document.getElementById('affection-decay-grace').value = settings.affectionDecayGrace;
+    document.getElementById('affection-decay-floor').value = settings.affectionDecayFloor;
+    document.getElementById('interaction-daily-cap').value = settings.interactionDailyCap;
 
     // Quote settings
     document.getElementById('quote-interval').value = settings.quoteRandomInterval;
@@ -341,6 +426,28 @@ export class UIManager {
       productivityTrackingCheckbox.checked = settings.productivityTracking;
     }
 
+    // Focus mode settings
+    const focusModeCheckbox = document.getElementById('focus-mode-enabled');
+    if (focusModeCheckbox) {
+      focusModeCheckbox.checked = settings.focusModeEnabled;
+    }
+    CONFIG.FOCUS_MODE.BLOCKABLE_CATEGORIES.forEach(category => {
+      const categoryCheckbox = document.getElementById(`focus-block-${category}`);
+      if (categoryCheckbox) {
+        categoryCheckbox.checked = (settings.focusModeCategories || []).includes(category);
+      }
+    });
+
+    // Sound settings
+    document.getElementById('sound-effects').checked = settings.enableSoundEffects;
+    document.getElementById('sound-theme').value = settings.soundTheme;
+    document.getElementById('sound-volume').value = settings.soundVolume;
+    document.getElementById('sound-volume-value').textContent = settings.soundVolume;
+    document.getElementById('sound-work-complete').checked = settings.soundWorkComplete;
+    document.getElementById('sound-break-complete').checked = settings.soundBreakComplete;
+    document.getElementById('sound-interaction').checked = settings.soundInteraction;
+    document.getElementById('sound-task-complete').checked = settings.soundTaskComplete;
+
     // Appearance settings
     document.getElementById('sprite-cycle').value = settings.spriteCycleInterval;
 
@@ -362,7 +469,6 @@ export class UIManager {
     // Feature flags
     document.getElementById('experimental-features').checked = settings.enableExperimentalFeatures;
     document.getElementById('debug-mode').checked = settings.enableDebugMode;
-    document.getElementById('sound-effects').checked = settings.enableSoundEffects;
     document.getElementById('voice-quotes').checked = settings.enableVoiceQuotes;
     document.getElementById('custom-themes').checked = settings.enableCustomThemes;
     document.getElementById('advanced-stats').checked = settings.enableAdvancedStats;
@@ -379,12 +485,25 @@ export class UIManager {
       pomodoroNotificationsEnabled: document.getElementById('notifications-enabled')?.checked,
       pomodoroAutoStartBreaks: document.getElementById('auto-start-breaks')?.checked,
       pomodoroAutoStartWork: document.getElementById('auto-start-work')?.checked,
+      pomodoroAutoStartDelay: document.getElementById('auto-start-delay')?.value,
+      pomodoroDailyGoalType: document.getElementById('daily-goal-type')?.value,
+      pomodoroDailyGoal: document.getElementById('daily-goal')?.value,
+      pomodoroWeekendRestDays: document.getElementById('weekend-rest-days')?.checked,
+      pomodoroStreakFreezes: document.getElementById('streak-freezes')?.value,
+      pomodoroAmbientAutoPlay: document.getElementById('ambient-auto-play')?.checked,
+      pomodoroIdleAutoPause: document.getElementById('idle-auto-pause')?.checked,
+      pomodoroIdleThreshold: document.getElementById('idle-threshold')?.value,
 
       // Affection settings
       affectionTaskCompletion: document.getElementById('affection-task')?.value,
       affectionWaifuClick: document.getElementById('affection-click')?.value,
       affectionPomodoroWork: document.getElementById('affection-work')?.value,
       affectionPomodoroBreak: document.getElementById('affection-break')?.value,
+      affectionDecayEnabled: document.getElementById('affection-decay')?.checked,
+      affectionDecayRate: document.getElementById('affection-decay-rate')?.value,
+      affectionDecayGrace: document.getElementById('affection-decay-grace')?.value,
+      affectionDecayFloor: document.getElementById('affection-decay-floor')?.value,
+      interactionDailyCap: document.getElementById('interaction-daily-cap')?.value,
 
       // Quote settings
       quoteRandomInterval: document.getElementById('quote-interval')?.value,
@@ -396,6 +515,20 @@ export class UIManager {
       tabSpyEnabled: document.getElementById('tab-spy-enabled')?.checked || false,
       productivityTracking: document.getElementById('productivity-tracking')?.checked || false,
 
+      // Focus mode settings
+      focusModeEnabled: document.getElementById('focus-mode-enabled')?.checked || false,
+      focusModeCategories: CONFIG.FOCUS_MODE.BLOCKABLE_CATEGORIES
+        .filter(category => document.getElementById(`focus-block-${category}`)?.checked),
+
+      // Sound settings
+      enableSoundEffects: document.getElementById('sound-effects')?.checked,
+      soundTheme: document.getElementById('sound-theme')?.value,
+      soundVolume: document.getElementById('sound-volume')?.value,
+      soundWorkComplete: document.getElementById('sound-work-complete')?.checked,
+      soundBreakComplete: document.getElementById('sound-break-complete')?.checked,
+      soundInteraction: document.getElementById('sound-interaction')?.checked,
+      soundTaskComplete: document.getElementById('sound-task-complete')?.checked,
+
       // Appearance settings
       spriteCycleInterval: document.getElementById('sprite-cycle')?.value,
 
@@ -406,7 +539,6 @@ export class UIManager {
       // Feature flags
       enableExperimentalFeatures: document.getElementById('experimental-features')?.checked,
       enableDebugMode: document.getElementById('debug-mode')?.checked,
-      enableSoundEffects: document.getElementById('sound-effects')?.checked,
       enableVoiceQuotes: document.getElementById('voice-quotes')?.checked,
       enableCustomThemes: document.getElementById('custom-themes')?.checked,
       enableAdvancedStats: document.getElementById('advanced-stats')?.checked
@@ -10,7 +10,8 @@ export class WaifuSpriteManager {
   constructor(imageElement, logger) {
     this.imageElement = imageElement;
     this.logger = logger;
-    this.currentSprite = CONFIG.SPRITES[0];
+    this.sprites = { ...CONFIG.CHARACTERS.BUILT_IN.sprites }; // expression -> sprite path or URL
+    this.currentSprite = this.sprites.neutral;
     this.cycleInterval = null;
   }
 
@@ -36,8 +37,23 @@ export class WaifuSpriteManager {
   }
 
   cycleRandomSprite() {
-    const randomIndex = Math.floor(Math.random() * CONFIG.SPRITES.length);
-    this.setSprite(CONFIG.SPRITES[randomIndex]);
+    const sprites = Object.values(this.sprites);
+    this.setSprite(sprites[Math.floor(Math.random() * sprites.length)]);
+  }
+
+  /**
+   * Use the active character's sprites
+   * @param {Object} sprites - Expression -> sprite path or URL
+   */
+  setCharacterSprites(sprites) {
+    this.sprites = sprites;
+  }
+
+  /**
+   * Show one of the character's expressions, e.g. 'pouting'
+   */
+  setExpression(expression) {
+    this.setSprite(this.sprites[expression] || this.sprites.neutral);
   }
 
   setSprite(spritePath) {
@@ -46,32 +62,39 @@ export class WaifuSpriteManager {
     this.logger.log(`Sprite changed to: ${spritePath}`);
   }
 
-  setSpriteByMood(taskProgress, affectionMood) {
-    let sprite;
-    
+  setSpriteByMood(taskProgress, affectionMood, spriteOverrides = {}) {
+    this.setSprite(WaifuSpriteManager.getSpriteForMood(taskProgress, affectionMood, spriteOverrides, this.sprites));
+  }
+
+  /**
+   * Pick the sprite for the current task progress and affection mood
+   * @param {Object} spriteOverrides - Unlocked sprites by the affection mood they replace
+   * @param {Object} sprites - The character's sprites by expression
+   */
+  static getSpriteForMood(taskProgress, affectionMood, spriteOverrides = {}, sprites = CONFIG.CHARACTERS.BUILT_IN.sprites) {
     // Task-based mood has priority
     if (taskProgress.total === 0) {
-      sprite = 'assets/saber_neutral.png';
+      return sprites.neutral;
     } else if (taskProgress.completed === taskProgress.total) {
-      sprite = 'assets/saber_happy.png';
+      return sprites.happy;
     } else if (taskProgress.completed === 0) {
-      sprite = 'assets/saber_pouting.png';
-    } else {
-      // Use affection-based mood for partial completion
-      switch (affectionMood) {
-        case 'very_high':
-          sprite = 'assets/saber_happy.png';
-          break;
-        case 'high':
-        case 'medium':
-          sprite = 'assets/saber_neutral.png';
-          break;
-        default:
-          sprite = 'assets/saber_pouting.png';
-      }
+      return sprites.pouting;
     }
     
-    this.setSprite(sprite);
+    // Use affection-based mood for partial completion
+    if (spriteOverrides[affectionMood]) {
+      return spriteOverrides[affectionMood];
+    }
+    
+    switch (affectionMood) {
+      case 'very_high':
+        return sprites.happy;
+      case 'high':
+      case 'medium':
+        return sprites.neutral;
+      default:
+        return sprites.pouting;
+    }
   }
 
   addClickHandler(callback) {
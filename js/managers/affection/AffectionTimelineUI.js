@@ -0,0 +1,203 @@
+/**
+ * Affection Timeline UI
+ * Draws the affection curve and relationship milestones as an inline SVG,
+ * and lists the content unlocked by relationship levels
+ */
+
+import { CONFIG } from '../../config.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 300;
+const HEIGHT = 100;
+
+const UNLOCK_ICONS = {
+  dialogue: '💬',
+  sprite: '🖼️',
+  theme: '🎨'
+};
+
+export class AffectionTimelineUI {
+  constructor() {
+    this.elements = {
+      chart: null,
+      empty: null,
+      milestoneList: null,
+      rangeButtons: null,
+      nextUnlock: null,
+      unlockList: null
+    };
+    this.range = 'week';
+    this.onRangeChange = null;
+  }
+
+  setElements(elements) {
+    Object.assign(this.elements, elements);
+
+    this.elements.rangeButtons?.forEach(button => {
+      button.addEventListener('click', () => {
+        this.elements.rangeButtons.forEach(other => {
+          other.classList.toggle('active', other === button);
+        });
+        this.range = button.dataset.range;
+        this.onRangeChange?.(this.range);
+      });
+    });
+  }
+
+  /**
+   * @param {Array} points - { time, level, source, delta } from AffectionHistoryService.getTimeline
+   * @param {Array} milestones - { id, label, at } from AffectionHistoryService.getMilestones
+   * @param {number} start - Range start timestamp
+   */
+  render(points, milestones, start) {
+    const { chart, empty } = this.elements;
+    if (!chart) return;
+
+    chart.replaceChildren();
+
+    const hasPoints = points.length > 0;
+    chart.classList.toggle('hidden', !hasPoints);
+    empty?.classList.toggle('hidden', hasPoints);
+
+    if (hasPoints) {
+      this.drawChart(chart, points, milestones, start, Date.now());
+    }
+
+    this.renderMilestoneList(milestones);
+  }
+
+  drawChart(chart, points, milestones, start, end) {
+    const span = Math.max(end - start, 1);
+    const x = time => ((time - start) / span) * WIDTH;
+    const y = level => HEIGHT - (level / CONFIG.AFFECTION.MAX) * HEIGHT;
+
+    // Affection changes in steps, so hold each level until the next change
+    const coordinates = [];
+    points.forEach((point, index) => {
+      if (index > 0) {
+        coordinates.push([x(point.time), y(points[index - 1].level)]);
+      }
+      coordinates.push([x(point.time), y(point.level)]);
+    });
+    coordinates.push([WIDTH, y(points[points.length - 1].level)]);
+
+    const line = coordinates.map(([px, py]) => `${px.toFixed(1)},${py.toFixed(1)}`).join(' ');
+    const firstX = coordinates[0][0].toFixed(1);
+
+    chart.appendChild(this.createSvgElement('line', {
+      class: 'timeline-guide', x1: 0, x2: WIDTH, y1: y(50), y2: y(50)
+    }));
+    chart.appendChild(this.createSvgElement('polygon', {
+      class: 'timeline-area', points: `${firstX},${HEIGHT} ${line} ${WIDTH},${HEIGHT}`
+    }));
+    chart.appendChild(this.createSvgElement('polyline', {
+      class: 'timeline-line', points: line
+    }));
+
+    points.filter(point => point.source === 'decay').forEach(point => {
+      const dot = this.createSvgElement('circle', {
+        class: 'timeline-decay', cx: x(point.time), cy: y(point.level), r: 2
+      });
+      dot.appendChild(this.createTitle(`Time apart: ${point.delta} (${new Date(point.time).toLocaleDateString()})`));
+      chart.appendChild(dot);
+    });
+
+    milestones.forEach(milestone => {
+      const time = new Date(milestone.at).getTime();
+      if (time < start || time > end) return;
+
+      const level = this.getLevelAt(points, time);
+      const marker = this.createSvgElement('circle', {
+        class: 'timeline-milestone', cx: x(time), cy: y(level), r: 4
+      });
+      marker.appendChild(this.createTitle(`${milestone.label} - ${new Date(time).toLocaleDateString()}`));
+      chart.appendChild(marker);
+    });
+  }
+
+  getLevelAt(points, time) {
+    let level = points[0].level;
+    points.forEach(point => {
+      if (point.time <= time) {
+        level = point.level;
+      }
+    });
+    return level;
+  }
+
+  renderMilestoneList(milestones) {
+    const { milestoneList } = this.elements;
+    if (!milestoneList) return;
+
+    milestoneList.replaceChildren();
+
+    if (milestones.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'milestone-empty';
+      item.textContent = 'No milestones yet - keep spending time together!';
+      milestoneList.appendChild(item);
+      return;
+    }
+
+    milestones.forEach(milestone => {
+      const item = document.createElement('li');
+      const label = document.createElement('span');
+      const date = document.createElement('span');
+
+      label.textContent = milestone.label;
+      date.className = 'milestone-date';
+      date.textContent = new Date(milestone.at).toLocaleDateString();
+
+      item.append(label, date);
+      milestoneList.appendChild(item);
+    });
+  }
+
+  /**
+   * @param {Object} relationship - { level, title, unlocked, next } from RelationshipService
+   */
+  renderRelationship({ level, title, unlocked, next }) {
+    const { nextUnlock, unlockList } = this.elements;
+
+    if (nextUnlock) {
+      nextUnlock.textContent = next
+        ? `Lv ${level} ${title} · Next: ${next.unlock.name} ${this.describeUnlockCondition(next, level)}`
+        : `Lv ${level} ${title} · Everything unlocked ♡`;
+    }
+
+    if (!unlockList) return;
+
+    unlockList.replaceChildren();
+    unlocked.forEach(unlock => {
+      const item = document.createElement('li');
+      item.textContent = `${UNLOCK_ICONS[unlock.type]} ${unlock.name}`;
+      unlockList.appendChild(item);
+    });
+  }
+
+  describeUnlockCondition(next, level) {
+    if (next.level > level) {
+      return `at Lv ${next.level}`;
+    }
+
+    const { streakDays, milestone } = next.unlock.requires || {};
+    const conditions = [];
+    if (streakDays) conditions.push(`a ${streakDays}-day streak`);
+    if (milestone) conditions.push(`the ${milestone} milestone`);
+    return `after ${conditions.join(' and ')}`;
+  }
+
+  createSvgElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    return element;
+  }
+
+  createTitle(text) {
+    const title = this.createSvgElement('title', {});
+    title.textContent = text;
+    return title;
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Head Pat Game
+ * Stroke the waifu sprite by dragging across it until the pat meter fills
+ */
+
+import { MiniGame } from './MiniGame.js';
+
+export class HeadPatGame extends MiniGame {
+    static id = 'headPat';
+    static reactions = { success: 'miniGameHeadPatSuccess', fail: 'miniGameHeadPatFail' };
+
+    constructor(waifuContainer, content) {
+        super(waifuContainer, content);
+        this.sprite = waifuContainer.querySelector('img');
+        this.distance = 0;
+        this.lastPoint = null;
+        this.meterFill = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.suppressClick = (e) => e.stopPropagation();
+    }
+
+    static isAvailable() {
+        return Boolean(document.getElementById('waifu-sprite'));
+    }
+
+    render() {
+        this.element.appendChild(this.createElement('p', 'mini-game-prompt', 'Pat my head~ 🤚 Drag across me!'));
+
+        const meter = this.createElement('div', 'mini-game-meter');
+        this.meterFill = this.createElement('div', 'mini-game-meter-fill');
+        meter.appendChild(this.meterFill);
+        this.element.appendChild(meter);
+
+        if (this.sprite) {
+            this.sprite.classList.add('patting');
+            this.sprite.draggable = false;
+            this.sprite.addEventListener('pointerdown', this.handlePointerDown);
+            this.sprite.addEventListener('pointermove', this.handlePointerMove);
+            this.sprite.addEventListener('pointerup', this.handlePointerUp);
+            this.sprite.addEventListener('pointerleave', this.handlePointerUp);
+        }
+
+        // Patting ends in a click - keep it from triggering the sprite's click quote
+        this.waifuContainer.addEventListener('click', this.suppressClick, true);
+    }
+
+    handlePointerDown(e) {
+        this.lastPoint = { x: e.clientX, y: e.clientY };
+    }
+
+    handlePointerMove(e) {
+        if (!this.lastPoint) return;
+
+        this.distance += Math.hypot(e.clientX - this.lastPoint.x, e.clientY - this.lastPoint.y);
+        this.lastPoint = { x: e.clientX, y: e.clientY };
+
+        const progress = Math.min(1, this.distance / this.settings.distance);
+        this.meterFill.style.width = `${progress * 100}%`;
+
+        if (progress >= 1) {
+            this.finish(true, this.getSpeedScore());
+        }
+    }
+
+    handlePointerUp() {
+        this.lastPoint = null;
+    }
+
+    cleanup() {
+        if (this.sprite) {
+            this.sprite.classList.remove('patting');
+            this.sprite.draggable = true;
+            this.sprite.removeEventListener('pointerdown', this.handlePointerDown);
+            this.sprite.removeEventListener('pointermove', this.handlePointerMove);
+            this.sprite.removeEventListener('pointerup', this.handlePointerUp);
+            this.sprite.removeEventListener('pointerleave', this.handlePointerUp);
+        }
+
+        // A pat that fills the meter mid-drag still ends in a click once released
+        const releaseClick = () => this.waifuContainer.removeEventListener('click', this.suppressClick, true);
+        if (this.lastPoint) {
+            document.addEventListener('pointerup', () => setTimeout(releaseClick), { once: true });
+        } else {
+            releaseClick();
+        }
+
+        super.cleanup();
+    }
+}
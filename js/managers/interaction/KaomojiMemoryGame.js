@@ -0,0 +1,91 @@
+/**
+ * Kaomoji Memory Game
+ * Remember where each kaomoji was shown, then turn over the matching pairs
+ */
+
+import { MiniGame } from './MiniGame.js';
+
+const KAOMOJI = ['(◕‿◕)', '(≧▽≦)', '(´｡• ᵕ •｡`)', '(ﾉ◕ヮ◕)ﾉ', '(｀へ´)', '(=^･ω･^=)', '(๑˃ᴗ˂)ﻭ', '(╥﹏╥)'];
+
+export class KaomojiMemoryGame extends MiniGame {
+    static id = 'kaomojiMemory';
+    static reactions = { success: 'miniGameMemorySuccess', fail: 'miniGameMemoryFail' };
+
+    constructor(waifuContainer, content) {
+        super(waifuContainer, content);
+        this.cards = [];
+        this.flipped = [];
+        this.matched = 0;
+        this.mistakes = 0;
+        this.locked = true; // Until the preview is over
+    }
+
+    render() {
+        const faces = [...KAOMOJI].sort(() => Math.random() - 0.5).slice(0, this.settings.pairs);
+        const deck = [...faces, ...faces].sort(() => Math.random() - 0.5);
+
+        this.element.appendChild(this.createElement('p', 'mini-game-prompt', 'Remember them... then find the pairs!'));
+
+        const grid = this.createElement('div', 'mini-game-cards');
+        this.cards = deck.map(face => {
+            const card = this.createElement('button', 'mini-game-card revealed', face);
+            card.dataset.face = face;
+            card.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.flip(card);
+            });
+            grid.appendChild(card);
+            return card;
+        });
+        this.element.appendChild(grid);
+
+        this.later(() => {
+            this.cards.forEach(card => this.hide(card));
+            this.locked = false;
+        }, this.settings.previewTime);
+    }
+
+    flip(card) {
+        if (this.locked || card.classList.contains('revealed')) return;
+
+        card.classList.add('revealed');
+        card.textContent = card.dataset.face;
+        this.flipped.push(card);
+
+        if (this.flipped.length < 2) return;
+
+        const [first, second] = this.flipped;
+        this.flipped = [];
+
+        if (first.dataset.face === second.dataset.face) {
+            first.classList.add('matched');
+            second.classList.add('matched');
+            this.matched++;
+
+            if (this.matched === this.settings.pairs) {
+                // Mistakes cost a share of the speed score
+                const penalty = this.mistakes / (this.settings.maxMistakes + 1);
+                this.finish(true, this.getSpeedScore() * (1 - penalty));
+            }
+            return;
+        }
+
+        this.mistakes++;
+        if (this.mistakes > this.settings.maxMistakes) {
+            this.finish(false);
+            return;
+        }
+
+        this.locked = true;
+        this.later(() => {
+            this.hide(first);
+            this.hide(second);
+            this.locked = false;
+        }, this.settings.flipBackDelay);
+    }
+
+    hide(card) {
+        card.classList.remove('revealed');
+        card.textContent = '?';
+    }
+}
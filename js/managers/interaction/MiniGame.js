@@ -0,0 +1,116 @@
+/**
+ * Mini Game
+ * Base class for the short games played when an interaction signal is answered.
+ * Subclasses set a static id matching their CONFIG.INTERACTION.MINI_GAMES entry,
+ * render into this.element and call finish() with the outcome
+ */
+
+import { CONFIG } from '../../config.js';
+
+export class MiniGame {
+    static id = null;
+
+    // Quote events for the waifu's reaction to a win or a loss
+    static reactions = { success: 'waifuInteraction', fail: 'waifuInteraction' };
+
+    /**
+     * Whether the game can be played with the content on hand
+     * @param {Object} content - Content from InteractionManager.setMiniGameContent
+     */
+    static isAvailable(content) {
+        return true;
+    }
+
+    /**
+     * @param {HTMLElement} waifuContainer - The waifu container element
+     * @param {Object} content - Content from InteractionManager.setMiniGameContent
+     */
+    constructor(waifuContainer, content = {}) {
+        this.waifuContainer = waifuContainer;
+        this.content = content;
+        this.settings = CONFIG.INTERACTION.MINI_GAMES[this.constructor.id];
+        this.element = null;
+        this.timers = [];
+        this.startedAt = 0;
+        this.finished = false;
+        this.onFinish = null;
+    }
+
+    /**
+     * Show the game and start its time limit
+     * @param {Function} onFinish - Called once with { game, success, score, reactions }
+     */
+    start(onFinish) {
+        this.onFinish = onFinish;
+        this.startedAt = Date.now();
+
+        this.element = document.createElement('div');
+        this.element.className = `mini-game mini-game-${this.constructor.id}`;
+        this.render();
+        this.waifuContainer.appendChild(this.element);
+
+        this.later(() => this.finish(false), this.settings.timeLimit);
+    }
+
+    /**
+     * Build the game UI inside this.element
+     */
+    render() {}
+
+    /**
+     * setTimeout that cleanup() clears
+     */
+    later(callback, delay) {
+        const timer = setTimeout(callback, delay);
+        this.timers.push(timer);
+        return timer;
+    }
+
+    /**
+     * Score a win by how much of the time limit was left
+     */
+    getSpeedScore() {
+        const { MIN_SCORE } = CONFIG.INTERACTION.MINI_GAMES;
+        const elapsed = (Date.now() - this.startedAt) / this.settings.timeLimit;
+        return Math.max(MIN_SCORE, 1 - elapsed * (1 - MIN_SCORE));
+    }
+
+    /**
+     * End the game; later calls are ignored
+     * @param {boolean} success - Whether the game was won
+     * @param {number} score - 0-1 share of the game's full reward
+     */
+    finish(success, score = 1) {
+        if (this.finished) return;
+        this.finished = true;
+
+        if (this.onFinish) {
+            this.onFinish({
+                game: this.constructor.id,
+                success,
+                score: success ? score : 0,
+                reactions: this.constructor.reactions
+            });
+        }
+    }
+
+    cleanup() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers = [];
+
+        if (this.element && this.element.parentNode) {
+            this.element.parentNode.removeChild(this.element);
+        }
+        this.element = null;
+    }
+
+    /**
+     * Small helper for the game's text elements
+     */
+    createElement(tag, className, text = '') {
+        const element = document.createElement(tag);
+        element.className = className;
+        element.textContent = text;
+        return element;
+    }
+}
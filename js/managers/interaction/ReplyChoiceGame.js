@@ -0,0 +1,38 @@
+/**
+ * Reply Choice Game
+ * Pick the reply the waifu was hoping for out of three
+ */
+
+import { MiniGame } from './MiniGame.js';
+
+export class ReplyChoiceGame extends MiniGame {
+    static id = 'replyChoice';
+    static reactions = { success: 'miniGameReplySuccess', fail: 'miniGameReplyFail' };
+
+    static isAvailable(content) {
+        return Array.isArray(content.replyPrompts) && content.replyPrompts.length > 0;
+    }
+
+    render() {
+        const prompts = this.content.replyPrompts;
+        const { prompt, correct, wrong } = prompts[Math.floor(Math.random() * prompts.length)];
+
+        const replies = [
+            { text: correct, correct: true },
+            ...wrong.slice(0, 2).map(text => ({ text, correct: false }))
+        ].sort(() => Math.random() - 0.5);
+
+        this.element.appendChild(this.createElement('p', 'mini-game-prompt', prompt));
+
+        const options = this.createElement('div', 'mini-game-options');
+        replies.forEach(reply => {
+            const button = this.createElement('button', 'mini-game-option', reply.text);
+            button.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.finish(reply.correct);
+            });
+            options.appendChild(button);
+        });
+        this.element.appendChild(options);
+    }
+}
@@ -0,0 +1,262 @@
+/**
+ * Ambient Sound Manager
+ * Procedurally synthesizes focus ambience (noise colours, rain, a ticking clock)
+ * with the Web Audio API, so no audio assets are needed
+ */
+
+import { CONFIG } from '../../config.js';
+
+// Relative loudness of each sound at full volume, so the sliders feel balanced
+const BASE_LEVELS = {
+  white: 0.08,
+  pink: 0.2,
+  brown: 0.5,
+  rain: 0.35,
+  clock: 0.25
+};
+
+export class AmbientSoundManager {
+  static SOUNDS = ['white', 'pink', 'brown', 'rain', 'clock'];
+
+  constructor(logger) {
+    this.logger = logger;
+    this.audioContext = null;
+    this.masterGain = null;
+    this.channels = {};
+    this.mix = { ...CONFIG.AMBIENT.DEFAULT_MIX };
+    this.isPlaying = false;
+
+    this.clockTimer = null;
+    this.dropTimer = null;
+    this.suspendTimeout = null;
+    this.clockTick = false;
+  }
+
+  /**
+   * Create the audio graph on first use
+   */
+  ensureContext() {
+    if (!this.audioContext) {
+      this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+      this.masterGain = this.audioContext.createGain();
+      this.masterGain.gain.value = 0;
+      this.masterGain.connect(this.audioContext.destination);
+
+      ['white', 'pink', 'brown'].forEach(type => {
+        this.channels[type] = this.createNoiseChannel(type);
+      });
+      this.channels.rain = this.createRainChannel();
+      this.channels.clock = this.createChannelGain();
+
+      this.applyMix();
+    }
+
+    if (this.audioContext.state === 'suspended') {
+      this.audioContext.resume();
+    }
+  }
+
+  createChannelGain() {
+    const gain = this.audioContext.createGain();
+    gain.gain.value = 0;
+    gain.connect(this.masterGain);
+    return { gain };
+  }
+
+  /**
+   * Fill a few seconds of looping noise of the given colour
+   */
+  createNoiseBuffer(type) {
+    const length = this.audioContext.sampleRate * 4;
+    const buffer = this.audioContext.createBuffer(1, length, this.audioContext.sampleRate);
+    const data = buffer.getChannelData(0);
+
+    // Filter state for pink (Paul Kellet's approximation) and brown (integrated) noise
+    let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+    let lastOut = 0;
+
+    for (let i = 0; i < length; i++) {
+      const white = Math.random() * 2 - 1;
+
+      if (type === 'pink') {
+        b0 = 0.99886 * b0 + white * 0.0555179;
+        b1 = 0.99332 * b1 + white * 0.0750759;
+        b2 = 0.96900 * b2 + white * 0.1538520;
+        b3 = 0.86650 * b3 + white * 0.3104856;
+        b4 = 0.55000 * b4 + white * 0.5329522;
+        b5 = -0.7616 * b5 - white * 0.0168980;
+        data[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362) * 0.11;
+        b6 = white * 0.115926;
+      } else if (type === 'brown') {
+        lastOut = (lastOut + 0.02 * white) / 1.02;
+        data[i] = lastOut * 3.5;
+      } else {
+        data[i] = white;
+      }
+    }
+
+    return buffer;
+  }
+
+  createLoopingSource(type) {
+    const source = this.audioContext.createBufferSource();
+    source.buffer = this.createNoiseBuffer(type);
+    source.loop = true;
+    source.start();
+    return source;
+  }
+
+  createNoiseChannel(type) {
+    const channel = this.createChannelGain();
+    this.createLoopingSource(type).connect(channel.gain);
+    return channel;
+  }
+
+  /**
+   * Rain: band-limited pink noise for the wash, plus random droplets (see scheduleDrops)
+   */
+  createRainChannel() {
+    const channel = this.createChannelGain();
+
+    const highpass = this.audioContext.createBiquadFilter();
+    highpass.type = 'highpass';
+    highpass.frequency.value = 400;
+
+    const lowpass = this.audioContext.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = 5000;
+
+    this.createLoopingSource('pink').connect(highpass);
+    highpass.connect(lowpass);
+    lowpass.connect(channel.gain);
+
+    return channel;
+  }
+
+  /**
+   * A single short filtered click, used for rain droplets and clock ticks
+   */
+  playBlip(destination, frequency, duration, level) {
+    const now = this.audioContext.currentTime;
+    const oscillator = this.audioContext.createOscillator();
+    const envelope = this.audioContext.createGain();
+
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(frequency, now);
+    envelope.gain.setValueAtTime(level, now);
+    envelope.gain.exponentialRampToValueAtTime(0.0001, now + duration);
+
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(now);
+    oscillator.stop(now + duration);
+  }
+
+  scheduleDrops() {
+    clearInterval(this.dropTimer);
+    this.dropTimer = setInterval(() => {
+      if (this.mix.rain <= 0 || Math.random() > 0.6) return;
+      this.playBlip(this.channels.rain.gain, 1800 + Math.random() * 2500, 0.04, 0.15 + Math.random() * 0.2);
+    }, 90);
+  }
+
+  scheduleClock() {
+    clearInterval(this.clockTimer);
+    this.clockTimer = setInterval(() => {
+      if (this.mix.clock <= 0) return;
+      // Alternate tick and tock
+      this.clockTick = !this.clockTick;
+      this.playBlip(this.channels.clock.gain, this.clockTick ? 1400 : 1100, 0.03, 1);
+    }, 1000);
+  }
+
+  /**
+   * Set volumes (0-1) for some or all sounds
+   */
+  setMix(mix = {}) {
+    AmbientSoundManager.SOUNDS.forEach(sound => {
+      if (mix[sound] !== undefined) {
+        this.mix[sound] = Math.max(0, Math.min(1, Number(mix[sound]) || 0));
+      }
+    });
+    this.applyMix();
+  }
+
+  getMix() {
+    return { ...this.mix };
+  }
+
+  applyMix() {
+    if (!this.audioContext) return;
+
+    const now = this.audioContext.currentTime;
+    AmbientSoundManager.SOUNDS.forEach(sound => {
+      // Squared for a more natural volume curve
+      const level = this.mix[sound] ** 2 * BASE_LEVELS[sound];
+      this.channels[sound].gain.gain.setTargetAtTime(level, now, 0.1);
+    });
+  }
+
+  hasAudibleSound() {
+    return AmbientSoundManager.SOUNDS.some(sound => this.mix[sound] > 0);
+  }
+
+  /**
+   * Fade the ambience in
+   * @param {number} fadeSeconds - Fade-in duration
+   */
+  play(fadeSeconds = CONFIG.AMBIENT.FADE_IN) {
+    try {
+      this.ensureContext();
+      clearTimeout(this.suspendTimeout);
+
+      const gain = this.masterGain.gain;
+      const now = this.audioContext.currentTime;
+      gain.cancelScheduledValues(now);
+      gain.setValueAtTime(gain.value, now);
+      gain.linearRampToValueAtTime(1, now + fadeSeconds);
+
+      this.scheduleDrops();
+      this.scheduleClock();
+      this.isPlaying = true;
+      this.logger.log('Ambient sound started');
+    } catch (error) {
+      this.logger.error(`Failed to start ambient sound: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fade the ambience out and release the audio device
+   * @param {number} fadeSeconds - Fade-out duration
+   */
+  stop(fadeSeconds = CONFIG.AMBIENT.FADE_OUT) {
+    if (!this.isPlaying || !this.audioContext) return;
+
+    const gain = this.masterGain.gain;
+    const now = this.audioContext.currentTime;
+    gain.cancelScheduledValues(now);
+    gain.setValueAtTime(gain.value, now);
+    gain.linearRampToValueAtTime(0, now + fadeSeconds);
+
+    this.isPlaying = false;
+    this.suspendTimeout = setTimeout(() => {
+      clearInterval(this.dropTimer);
+      clearInterval(this.clockTimer);
+      this.audioContext.suspend();
+    }, fadeSeconds * 1000);
+
+    this.logger.log('Ambient sound stopped');
+  }
+
+  destroy() {
+    clearInterval(this.dropTimer);
+    clearInterval(this.clockTimer);
+    clearTimeout(this.suspendTimeout);
+
+    if (this.audioContext) {
+      this.audioContext.close();
+      this.audioContext = null;
+    }
+    this.isPlaying = false;
+  }
+}
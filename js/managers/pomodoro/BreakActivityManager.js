@@ -0,0 +1,294 @@
+/**
+ * Break Activity Manager
+ * Offers the guided activities from break_activities.json during Pomodoro
+ * breaks, runs their timed steps and records the ones completed
+ */
+
+import { CONFIG } from '../../config.js';
+
+export class BreakActivityManager {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'breakActivityLog';
+    this.activities = [];
+    this.log = []; // { at, id, breakStartedAt, rewarded }
+    this.breakSession = null; // 'shortBreak', 'longBreak' or null outside breaks
+    this.breakStartedAt = null; // Tells breaks apart, so each activity is rewarded once per break
+    this.run = null; // { activity, round, stepIndex, remaining }
+    this.tickInterval = null;
+    this.elements = {
+      container: null,
+      picker: null,
+      list: null,
+      count: null,
+      runner: null,
+      name: null,
+      visual: null,
+      step: null,
+      progressFill: null,
+      confirmButton: null,
+      cancelButton: null
+    };
+
+    // Called with the activity when it starts, and with the activity and
+    // whether it earned a reward when it is completed
+    this.onStart = null;
+    this.onComplete = null;
+  }
+
+  setElements(elements) {
+    Object.assign(this.elements, elements);
+
+    this.elements.confirmButton?.addEventListener('click', () => this.nextStep());
+    this.elements.cancelButton?.addEventListener('click', () => this.cancel());
+
+    this.render();
+  }
+
+  async load() {
+    await this.loadActivities();
+
+    try {
+      const log = await this.storageProvider.load(this.storageKey);
+      this.log = Array.isArray(log) ? log : [];
+    } catch (error) {
+      this.logger.error(`Failed to load break activity log: ${error.message}`);
+      this.log = [];
+    }
+
+    this.render();
+  }
+
+  async loadActivities() {
+    try {
+      const response = await fetch(chrome.runtime.getURL(CONFIG.BREAK_ACTIVITIES.DATA_FILE));
+      if (!response.ok) {
+        throw new Error(`Failed to load break activities: ${response.status}`);
+      }
+
+      const data = await response.json();
+      this.activities = (data.activities || []).filter(activity => {
+        const valid = activity?.id && activity.name && Array.isArray(activity.steps) &&
+          activity.steps.length > 0 &&
+          activity.steps.every(step => step.text && (step.seconds > 0 || step.confirm));
+        if (!valid) {
+          this.logger.warn(`Ignoring invalid break activity "${activity?.id}"`);
+        }
+        return valid;
+      });
+      this.logger.log(`Loaded ${this.activities.length} break activities`);
+    } catch (error) {
+      this.logger.error(`Failed to load break activity definitions: ${error.message}`);
+      this.activities = [];
+    }
+  }
+
+  async save() {
+    try {
+      await this.storageProvider.save(this.storageKey, this.log);
+    } catch (error) {
+      this.logger.error(`Failed to save break activity log: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show the activities during breaks; leaving the break ends a running one
+   * @param {string|null} session - The break session, or null outside breaks
+   * @param {number|null} startedAt - When the break started
+   */
+  setBreakSession(session, startedAt = null) {
+    if (this.breakSession === session && this.breakStartedAt === startedAt) return;
+    this.breakSession = session;
+    this.breakStartedAt = session ? startedAt : null;
+
+    if (!session && this.run) {
+      this.cancel();
+      return;
+    }
+    this.render();
+  }
+
+  getAvailableActivities() {
+    return this.activities.filter(activity => !activity.breaks || activity.breaks.includes(this.breakSession));
+  }
+
+  start(id) {
+    const activity = this.activities.find(candidate => candidate.id === id);
+    if (!activity || this.run) return;
+
+    this.run = { activity, round: 1, stepIndex: 0, remaining: 0 };
+    this.logger.log(`Started break activity: ${activity.name}`);
+
+    if (this.onStart) {
+      this.onStart(activity);
+    }
+    this.startStep();
+  }
+
+  startStep() {
+    const { activity, stepIndex } = this.run;
+    const step = activity.steps[stepIndex];
+
+    this.stopTick();
+    this.run.remaining = step.seconds || 0;
+
+    if (step.seconds) {
+      this.tickInterval = setInterval(() => {
+        this.run.remaining--;
+        if (this.run.remaining <= 0) {
+          this.nextStep();
+        } else {
+          this.renderRunner();
+        }
+      }, 1000);
+    }
+
+    this.render();
+  }
+
+  nextStep() {
+    if (!this.run) return;
+
+    const { activity } = this.run;
+    this.run.stepIndex++;
+
+    if (this.run.stepIndex >= activity.steps.length) {
+      if (this.run.round >= (activity.rounds || 1)) {
+        this.complete();
+        return;
+      }
+      this.run.round++;
+      this.run.stepIndex = 0;
+    }
+
+    this.startStep();
+  }
+
+  complete() {
+    const { activity } = this.run;
+    this.stopTick();
+    this.run = null;
+
+    // Repeats within the same break still count, they just earn nothing
+    const rewarded = !this.wasRewardedThisBreak(activity.id);
+    this.log.push({ at: new Date().toISOString(), id: activity.id, breakStartedAt: this.breakStartedAt, rewarded });
+    this.log = this.log.slice(-CONFIG.BREAK_ACTIVITIES.MAX_LOG_ENTRIES);
+    this.save();
+
+    this.logger.log(`Completed break activity: ${activity.name}${rewarded ? '' : ' (already rewarded this break)'}`);
+    if (this.onComplete) {
+      this.onComplete(activity, rewarded);
+    }
+    this.render();
+  }
+
+  wasRewardedThisBreak(id) {
+    if (!this.breakStartedAt) return false;
+    return this.log.some(entry => entry.id === id && entry.rewarded && entry.breakStartedAt === this.breakStartedAt);
+  }
+
+  cancel() {
+    this.stopTick();
+    this.run = null;
+    this.render();
+  }
+
+  stopTick() {
+    if (this.tickInterval) {
+      clearInterval(this.tickInterval);
+      this.tickInterval = null;
+    }
+  }
+
+  /**
+   * Completed activities
+   * @returns {Object} { today, total, byActivity: id -> count }
+   */
+  getStats() {
+    const today = new Date().toDateString();
+    const byActivity = {};
+    this.log.forEach(({ id }) => {
+      byActivity[id] = (byActivity[id] || 0) + 1;
+    });
+
+    return {
+      today: this.log.filter(entry => new Date(entry.at).toDateString() === today).length,
+      total: this.log.length,
+      byActivity
+    };
+  }
+
+  render() {
+    const { container, picker, runner, list, count } = this.elements;
+    if (!container) return;
+
+    const activities = this.getAvailableActivities();
+    container.classList.toggle('hidden', !this.breakSession || activities.length === 0);
+    picker?.classList.toggle('hidden', Boolean(this.run));
+    runner?.classList.toggle('hidden', !this.run);
+
+    if (this.run) {
+      this.renderRunner();
+      return;
+    }
+
+    if (list) {
+      list.replaceChildren();
+      activities.forEach(activity => {
+        const button = document.createElement('button');
+        button.className = 'pomodoro-btn break-activity-btn';
+        button.textContent = `${activity.icon || ''} ${activity.name}`.trim();
+        button.addEventListener('click', () => this.start(activity.id));
+        list.appendChild(button);
+      });
+    }
+
+    if (count) {
+      const { today } = this.getStats();
+      count.textContent = today > 0 ? `${today} done today ♡` : '';
+    }
+  }
+
+  renderRunner() {
+    const { name, visual, step: stepText, progressFill, confirmButton } = this.elements;
+    const { activity, round, stepIndex, remaining } = this.run;
+    const step = activity.steps[stepIndex];
+    const rounds = activity.rounds || 1;
+
+    if (name) {
+      name.textContent = rounds > 1 ? `${activity.name} · ${round}/${rounds}` : activity.name;
+    }
+
+    if (visual) {
+      visual.textContent = step.icon || activity.icon || '';
+      // Holding keeps the circle where the last breath left it
+      if (step.animation && step.animation !== 'hold') {
+        visual.style.transitionDuration = `${step.seconds}s`;
+        visual.dataset.animation = step.animation;
+      } else if (!step.animation) {
+        delete visual.dataset.animation;
+      }
+    }
+
+    if (stepText) {
+      stepText.textContent = step.seconds ? `${step.text} (${remaining}s)` : step.text;
+    }
+
+    if (progressFill) {
+      const totalSteps = activity.steps.length * rounds;
+      const doneSteps = (round - 1) * activity.steps.length + stepIndex;
+      progressFill.style.width = `${(doneSteps / totalSteps) * 100}%`;
+    }
+
+    if (confirmButton) {
+      confirmButton.textContent = step.confirm || '';
+      confirmButton.classList.toggle('hidden', !step.confirm);
+    }
+  }
+
+  cleanup() {
+    this.stopTick();
+    this.run = null;
+  }
+}
@@ -3,6 +3,8 @@
  * Handles all UI elements and interactions for the Pomodoro timer
  */
 
+import { CONFIG } from '../../config.js';
+
 export class PomodoroUIManager {
   constructor() {
     this.elements = {
@@ -13,10 +15,42 @@ export class PomodoroUIManager {
       pauseButton: null,
       stopButton: null,
       resetButton: null,
-      statsDisplay: null
+      finishButton: null,
+      skipButton: null,
+      extendButton: null,
+      shortenButton: null,
+      presetSelect: null,
+      presetAddButton: null,
+      presetDeleteButton: null,
+      presetForm: null,
+      presetFields: null,
+      presetSaveButton: null,
+      presetError: null,
+      autoStartNotice: null,
+      autoStartText: null,
+      autoStartCancelButton: null,
+      interruptButton: null,
+      interruptForm: null,
+      interruptType: null,
+      interruptNote: null,
+      interruptLogButton: null,
+      interruptCount: null,
+      ambientToggleButton: null,
+      ambientMixerButton: null,
+      ambientMixer: null,
+      ambientSliders: null,
+      statsRangeButtons: null,
+      statsDisplay: null,
+      goalText: null,
+      goalFill: null,
+      streakDisplay: null
     };
     
     this.callbacks = {};
+    this.presets = [];
+    
+    // Stats, goal and streak scan the whole history, so they're only redrawn after invalidateStats()
+    this.statsDirty = true;
   }
 
   /**
@@ -53,6 +87,200 @@ export class PomodoroUIManager {
     if (this.elements.resetButton && this.callbacks.onReset) {
       this.elements.resetButton.addEventListener('click', this.callbacks.onReset);
     }
+    
+    if (this.elements.finishButton && this.callbacks.onFinish) {
+      this.elements.finishButton.addEventListener('click', this.callbacks.onFinish);
+    }
+    
+    if (this.elements.skipButton && this.callbacks.onSkip) {
+      this.elements.skipButton.addEventListener('click', this.callbacks.onSkip);
+    }
+    
+    if (this.elements.extendButton && this.callbacks.onExtend) {
+      this.elements.extendButton.textContent = `+${CONFIG.POMODORO.ADJUST_MINUTES}m`;
+      this.elements.extendButton.addEventListener('click', this.callbacks.onExtend);
+    }
+    
+    if (this.elements.shortenButton && this.callbacks.onShorten) {
+      this.elements.shortenButton.textContent = `−${CONFIG.POMODORO.ADJUST_MINUTES}m`;
+      this.elements.shortenButton.addEventListener('click', this.callbacks.onShorten);
+    }
+    
+    if (this.elements.presetSelect && this.callbacks.onSelectPreset) {
+      this.elements.presetSelect.addEventListener('change', () => {
+        this.callbacks.onSelectPreset(this.elements.presetSelect.value);
+      });
+    }
+    
+    if (this.elements.presetAddButton && this.elements.presetForm) {
+      this.elements.presetAddButton.addEventListener('click', () => {
+        this.elements.presetForm.classList.toggle('hidden');
+        this.showPresetError('');
+      });
+    }
+    
+    if (this.elements.presetDeleteButton && this.callbacks.onDeletePreset) {
+      this.elements.presetDeleteButton.addEventListener('click', () => {
+        const preset = this.presets.find(p => p.id === this.elements.presetSelect?.value);
+        if (preset && !preset.builtIn && confirm(`Delete the "${preset.name}" preset?`)) {
+          this.callbacks.onDeletePreset(preset.id);
+        }
+      });
+    }
+    
+    if (this.elements.presetSaveButton && this.callbacks.onSavePreset) {
+      this.elements.presetSaveButton.addEventListener('click', () => this.submitPreset());
+    }
+    
+    if (this.elements.presetFields?.mode) {
+      this.elements.presetFields.mode.addEventListener('change', () => this.updatePresetFormMode());
+    }
+    
+    if (this.elements.autoStartCancelButton && this.callbacks.onCancelAutoStart) {
+      this.elements.autoStartCancelButton.addEventListener('click', this.callbacks.onCancelAutoStart);
+    }
+    
+    if (this.elements.interruptButton && this.elements.interruptForm) {
+      this.elements.interruptButton.addEventListener('click', () => {
+        this.elements.interruptForm.classList.toggle('hidden');
+      });
+    }
+    
+    if (this.elements.interruptLogButton && this.callbacks.onInterrupt) {
+      this.elements.interruptLogButton.addEventListener('click', () => this.submitInterruption());
+    }
+    
+    if (this.elements.interruptNote && this.callbacks.onInterrupt) {
+      this.elements.interruptNote.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') {
+          this.submitInterruption();
+        }
+      });
+    }
+    
+    if (this.elements.ambientToggleButton && this.callbacks.onToggleAmbient) {
+      this.elements.ambientToggleButton.addEventListener('click', this.callbacks.onToggleAmbient);
+    }
+    
+    if (this.elements.ambientMixerButton && this.elements.ambientMixer) {
+      this.elements.ambientMixerButton.addEventListener('click', () => {
+        this.elements.ambientMixer.classList.toggle('hidden');
+      });
+    }
+    
+    if (this.elements.ambientSliders && this.callbacks.onAmbientVolume) {
+      this.elements.ambientSliders.forEach(slider => {
+        // Adjust live while dragging, save once released
+        slider.addEventListener('input', () => {
+          this.callbacks.onAmbientVolume(slider.dataset.sound, slider.value / 100);
+        });
+        slider.addEventListener('change', () => this.callbacks.onAmbientVolumeCommit());
+      });
+    }
+    
+    if (this.elements.statsRangeButtons && this.callbacks.onStatsRangeChange) {
+      this.elements.statsRangeButtons.forEach(button => {
+        button.addEventListener('click', () => {
+          this.elements.statsRangeButtons.forEach(other => {
+            other.classList.toggle('active', other === button);
+          });
+          this.callbacks.onStatsRangeChange(button.dataset.range);
+        });
+      });
+    }
+  }
+
+  /**
+   * Send the new preset form; it stays open when the preset is rejected
+   */
+  submitPreset() {
+    const fields = this.elements.presetFields || {};
+    const data = {
+      name: fields.name?.value || '',
+      mode: fields.mode?.value || 'countdown',
+      workDuration: fields.workDuration?.value,
+      shortBreak: fields.shortBreak?.value,
+      longBreak: fields.longBreak?.value,
+      sessionsUntilLongBreak: fields.sessionsUntilLongBreak?.value,
+      breakRatio: fields.breakRatio?.value
+    };
+    
+    if (this.callbacks.onSavePreset(data)) {
+      if (fields.name) {
+        fields.name.value = '';
+      }
+      this.elements.presetForm?.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Show only the duration fields that apply to the selected mode
+   */
+  updatePresetFormMode() {
+    const fields = this.elements.presetFields || {};
+    const isFlowtime = fields.mode?.value === 'flowtime';
+    
+    ['shortBreak', 'longBreak', 'sessionsUntilLongBreak'].forEach(key => {
+      fields[key]?.closest('.preset-field')?.classList.toggle('hidden', isFlowtime);
+    });
+    fields.breakRatio?.closest('.preset-field')?.classList.toggle('hidden', !isFlowtime);
+  }
+
+  showPresetError(message) {
+    if (!this.elements.presetError) return;
+    
+    this.elements.presetError.textContent = message;
+    this.elements.presetError.classList.toggle('hidden', !message);
+  }
+
+  /**
+   * Rebuild the preset dropdown
+   */
+  updatePresets(presets, activeId) {
+    this.presets = presets;
+    
+    const select = this.elements.presetSelect;
+    if (!select) return;
+    
+    // Options are built as nodes so user-entered names are never parsed as HTML
+    select.replaceChildren(...presets.map(preset => {
+      const label = preset.mode === 'flowtime' ? `${preset.name} ⏱` : preset.name;
+      return new Option(label, preset.id, false, preset.id === activeId);
+    }));
+    
+    if (this.elements.presetDeleteButton) {
+      const active = presets.find(preset => preset.id === activeId);
+      this.elements.presetDeleteButton.disabled = !active || active.builtIn;
+    }
+  }
+
+  /**
+   * Reflect the ambient mix and playback state
+   */
+  updateAmbient(mix, isPlaying) {
+    if (this.elements.ambientToggleButton) {
+      this.elements.ambientToggleButton.textContent = isPlaying ? '🎧 Stop Ambient' : '🎧 Play Ambient';
+      this.elements.ambientToggleButton.classList.toggle('playing', isPlaying);
+    }
+    
+    this.elements.ambientSliders?.forEach(slider => {
+      slider.value = Math.round((mix[slider.dataset.sound] || 0) * 100);
+    });
+  }
+
+  /**
+   * Send the interruption form and reset it
+   */
+  submitInterruption() {
+    const type = this.elements.interruptType?.value || 'internal';
+    const note = this.elements.interruptNote?.value || '';
+    
+    this.callbacks.onInterrupt(type, note);
+    
+    if (this.elements.interruptNote) {
+      this.elements.interruptNote.value = '';
+    }
+    this.elements.interruptForm?.classList.add('hidden');
   }
 
   /**
@@ -63,7 +291,21 @@ export class PomodoroUIManager {
     this.updateSessionDisplay(state);
     this.updateProgressBar(state);
     this.updateButtonStates(state);
-    this.updateStats(state);
+    this.updateAutoStartNotice(state);
+    this.updateInterruptions(state);
+    
+    if (this.statsDirty) {
+      this.statsDirty = false;
+      this.updateStats(state);
+      this.updateGoal();
+    }
+  }
+
+  /**
+   * Redraw stats, goal and streak on the next update, e.g. after the history changed
+   */
+  invalidateStats() {
+    this.statsDirty = true;
   }
 
   /**
@@ -80,7 +322,10 @@ export class PomodoroUIManager {
    */
   updateSessionDisplay(state) {
     if (this.elements.sessionDisplay) {
-      this.elements.sessionDisplay.textContent = state.sessionDisplay;
+      const inSession = state.isRunning || state.isPaused;
+      this.elements.sessionDisplay.textContent = state.isCountUp && inSession
+        ? `${state.sessionDisplay} · ${state.suggestedBreak}m break`
+        : state.sessionDisplay;
     }
   }
 
@@ -94,11 +339,7 @@ export class PomodoroUIManager {
     this.elements.progressBar.style.width = `${progressPercent}%`;
     
     // Color coding for different sessions
-    const colors = {
-      work: '#ff69b4',
-      shortBreak: '#4CAF50',
-      longBreak: '#2196F3'
-    };
+    const colors = CONFIG.POMODORO.SESSION_COLORS;
     this.elements.progressBar.style.backgroundColor = colors[state.currentSession] || colors.work;
   }
 
@@ -122,6 +363,71 @@ export class PomodoroUIManager {
     if (this.elements.resetButton) {
       this.elements.resetButton.disabled = state.isRunning;
     }
+    
+    const inSession = state.isRunning || state.isPaused;
+    
+    if (this.elements.finishButton) {
+      this.elements.finishButton.classList.toggle('hidden', !(state.isCountUp && inSession));
+    }
+    
+    if (this.elements.skipButton) {
+      this.elements.skipButton.textContent = state.currentSession === 'work' ? '⏭ Skip Work' : '⏭ Skip Break';
+    }
+    
+    // Flowtime work has no end to move
+    const canAdjust = inSession && !state.isCountUp;
+    
+    if (this.elements.extendButton) {
+      this.elements.extendButton.disabled = !canAdjust;
+    }
+    
+    if (this.elements.shortenButton) {
+      this.elements.shortenButton.disabled = !canAdjust;
+    }
+    
+    if (this.elements.timerDisplay) {
+      const minutes = Math.round(Math.abs(state.durationAdjustment || 0) / 60);
+      this.elements.timerDisplay.title = state.durationAdjustment
+        ? `${state.durationAdjustment > 0 ? 'Extended' : 'Shortened'} by ${minutes} min`
+        : '';
+    }
+    
+    if (this.elements.presetSelect) {
+      this.elements.presetSelect.disabled = inSession;
+    }
+  }
+
+  /**
+   * Show the auto-start grace countdown with its cancel button
+   */
+  updateAutoStartNotice(state) {
+    if (!this.elements.autoStartNotice) return;
+    
+    const isPending = state.autoStartAt !== null && state.autoStartAt !== undefined;
+    this.elements.autoStartNotice.classList.toggle('hidden', !isPending);
+    
+    if (isPending && this.elements.autoStartText) {
+      this.elements.autoStartText.textContent = `${state.sessionDisplay} starts in ${state.autoStartIn}s`;
+    }
+  }
+
+  /**
+   * Enable interruption logging only while a work session is in progress
+   */
+  updateInterruptions(state) {
+    const inWorkSession = state.currentSession === 'work' && (state.isRunning || state.isPaused);
+    
+    if (this.elements.interruptButton) {
+      this.elements.interruptButton.disabled = !inWorkSession;
+    }
+    
+    if (!inWorkSession) {
+      this.elements.interruptForm?.classList.add('hidden');
+    }
+    
+    if (this.elements.interruptCount) {
+      this.elements.interruptCount.textContent = `${state.interruptionCount || 0} this session`;
+    }
   }
 
   /**
@@ -130,7 +436,7 @@ export class PomodoroUIManager {
   updateStats(state) {
     if (!this.elements.statsDisplay) return;
     
-    // Assuming stats come from timer.getStats()
+    // Stats are computed from the session history for the selected range
     if (this.callbacks.getStats) {
       const stats = this.callbacks.getStats();
       
@@ -141,11 +447,52 @@ export class PomodoroUIManager {
         this.elements.statsDisplay.totalSessions.textContent = stats.completedSessions;
       }
       if (this.elements.statsDisplay.productiveTime) {
-        this.elements.statsDisplay.productiveTime.textContent = `${Math.round(stats.estimatedProductiveTime)}m`;
+        this.elements.statsDisplay.productiveTime.textContent = `${Math.round(stats.productiveTime)}m`;
+      }
+      if (this.elements.statsDisplay.skippedSessions) {
+        this.elements.statsDisplay.skippedSessions.textContent = `${stats.skippedSessions} / ${stats.extendedSessions}`;
+      }
+      if (this.elements.statsDisplay.interruptions) {
+        this.elements.statsDisplay.interruptions.textContent = stats.interruptions;
+      }
+      if (this.elements.statsDisplay.topInterruptions) {
+        const reasons = stats.topInterruptionReasons;
+        this.elements.statsDisplay.topInterruptions.classList.toggle('hidden', reasons.length === 0);
+        this.elements.statsDisplay.topInterruptions.textContent = reasons.length > 0
+          ? `Top: ${reasons.map(({ reason, count }) => `${reason} (${count})`).join(', ')}`
+          : '';
       }
     }
   }
 
+  /**
+   * Update daily goal progress and streak display
+   */
+  updateGoal() {
+    if (!this.callbacks.getGoalProgress) return;
+    
+    const progress = this.callbacks.getGoalProgress();
+    const unit = progress.type === 'minutes' ? 'min' : 'sessions';
+    
+    if (this.elements.goalText) {
+      this.elements.goalText.textContent = `${progress.value} / ${progress.target} ${unit}`;
+    }
+    
+    if (this.elements.goalFill) {
+      this.elements.goalFill.style.width = `${progress.percentage}%`;
+      this.elements.goalFill.classList.toggle('reached', progress.reached);
+    }
+    
+    if (this.elements.streakDisplay && this.callbacks.getStreak) {
+      const streak = this.callbacks.getStreak();
+      this.elements.streakDisplay.textContent = `🔥 ${streak.current} day${streak.current === 1 ? '' : 's'}`;
+      this.elements.streakDisplay.classList.toggle('at-risk', streak.atRisk);
+      this.elements.streakDisplay.title = streak.freezesUsed > 0
+        ? `${streak.freezesUsed} streak freeze${streak.freezesUsed === 1 ? '' : 's'} used`
+        : '';
+    }
+  }
+
   /**
    * Get a specific UI element
    */
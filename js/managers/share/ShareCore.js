@@ -18,6 +18,7 @@ export class ShareCore {
             productivity: this.getProductivityStats(),
             interaction: this.getInteractionStats(),
             notepad: this.getNotepadStats(),
+            achievements: this.getAchievementStats(),
             timestamp: new Date().toISOString(),
             sessionInfo: this.getSessionInfo()
         };
@@ -53,7 +54,7 @@ export class ShareCore {
             affectionPercentage: affectionPercentage,
             currentMood: this.getCurrentMood(affectionLevel),
             totalInteractions: this.app.interactionManager ? 
-                this.app.interactionManager.totalInteractions : 0
+                this.app.interactionManager.getStats().totalInteractions : 0
         };
     }
 
@@ -62,11 +63,24 @@ export class ShareCore {
      */
     getProductivityStats() {
         const pomodoroManager = this.app.pomodoroManager;
+        const interruptionStats = pomodoroManager?.interruptionStats;
         const pomodoroStats = pomodoroManager ? {
             workSessions: pomodoroManager.workSessions || 0,
             totalSessions: pomodoroManager.totalSessions || 0,
-            productiveTime: pomodoroManager.productiveTime || 0
-        } : { workSessions: 0, totalSessions: 0, productiveTime: 0 };
+            productiveTime: pomodoroManager.productiveTime || 0,
+            interruptionsToday: interruptionStats?.today || 0,
+            interruptions: interruptionStats?.total || 0,
+            interruptionsByDay: interruptionStats?.byDay || {},
+            topInterruptionReasons: interruptionStats?.topReasons || []
+        } : {
+            workSessions: 0,
+            totalSessions: 0,
+            productiveTime: 0,
+            interruptionsToday: 0,
+            interruptions: 0,
+            interruptionsByDay: {},
+            topInterruptionReasons: []
+        };
         
         const todoManager = this.app.todoManager;
         const todoStats = todoManager && todoManager.todos ? {
@@ -136,6 +150,21 @@ export class ShareCore {
         };
     }
 
+    /**
+     * Get unlocked achievement badges
+     */
+    getAchievementStats() {
+        const achievementManager = this.app.achievementManager;
+        if (!achievementManager) {
+            return { unlocked: [], total: 0 };
+        }
+        
+        return {
+            unlocked: achievementManager.getUnlocked().map(({ icon, name }) => ({ icon, name })),
+            total: achievementManager.getTotal()
+        };
+    }
+
     /**
      * Get current mood based on affection level
      */
@@ -189,6 +218,7 @@ export class ShareCore {
 • Work Sessions: ${stats.productivity.pomodoro.workSessions}
 • Total Sessions: ${stats.productivity.pomodoro.totalSessions}
 • Productive Time: ${Math.round(stats.productivity.pomodoro.productiveTime)}m
+• Interruptions Today: ${stats.productivity.pomodoro.interruptionsToday}${this.formatTopInterruptions(stats.productivity.pomodoro.topInterruptionReasons)}
 
 ✅ Task Mastery:
 • Completed: ${stats.productivity.tasks.completedTasks}/${stats.productivity.tasks.totalTasks}
@@ -200,11 +230,36 @@ export class ShareCore {
 • Words: ${stats.notepad.words.toLocaleString()}
 • Status: ${stats.notepad.notesActive ? 'Active Writer! ✍️' : 'Getting Started 📝'}
 
+🏆 Badges (${stats.achievements.unlocked.length}/${stats.achievements.total}):
+${this.formatAchievements(stats.achievements.unlocked)}
+
 📅 ${stats.sessionInfo.dayOfWeek}, ${stats.sessionInfo.date}
 
 #WaifuAI #Productivity #StudyBuddy`;
     }
 
+    /**
+     * Format the most common interruption reasons as an extra share line
+     */
+    formatTopInterruptions(reasons) {
+        if (!reasons || reasons.length === 0) {
+            return '';
+        }
+        
+        return `\n• Top Distractions: ${reasons.map(({ reason, count }) => `${reason} (${count})`).join(', ')}`;
+    }
+
+    /**
+     * Format unlocked badges as share lines
+     */
+    formatAchievements(unlocked) {
+        if (!unlocked || unlocked.length === 0) {
+            return '• None yet - the first one is just around the corner!';
+        }
+        
+        return unlocked.map(({ icon, name }) => `• ${icon} ${name}`).join('\n');
+    }
+
     /**
      * Generate Twitter share text
      */
@@ -142,6 +142,10 @@ export class ShareUIManager {
                     <span class="stats-label">Productive Time:</span>
                     <span class="stats-value">${Math.round(stats.productivity.pomodoro.productiveTime)}m</span>
                 </div>
+                <div class="stats-row">
+                    <span class="stats-label">Interruptions Today:</span>
+                    <span class="stats-value">${stats.productivity.pomodoro.interruptionsToday}</span>
+                </div>
             </div>
 
             <div class="stats-card">
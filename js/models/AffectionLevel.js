@@ -17,6 +17,15 @@ export class AffectionLevel {
     return this.level !== oldLevel;
   }
 
+  /**
+   * Lower the level without going below the floor (a level already under it stays put)
+   */
+  decrease(amount, floor = 0) {
+    const oldLevel = this.level;
+    this.level = Math.max(Math.min(floor, oldLevel), this.level - amount);
+    return this.level !== oldLevel;
+  }
+
   getPercentage() {
     return (this.level / this.max) * 100;
   }
@@ -10,15 +10,30 @@ export class PomodoroTimer {
     this.longBreakDuration = 15 * 60; // 15 minutes in seconds
     this.sessionsUntilLongBreak = 4;
     
+    // 'countdown' cycles fixed sessions; 'flowtime' counts work up and derives the break from it
+    this.mode = 'countdown';
+    this.flowtimeBreakRatio = 5;
+    this.flowtimeBreakDuration = 5 * 60; // Break earned by the last Flowtime work session
+    
     this.currentTime = this.workDuration;
     this.isRunning = false;
     this.isPaused = false;
     this.currentSession = 'work'; // 'work', 'shortBreak', 'longBreak'
     this.completedSessions = 0;
     this.totalWorkSessions = 0;
+    this.skippedSessions = 0; // Started sessions moved past without completing them
+    this.skippedWorkSessions = 0; // Work sessions moved past, started or not, which keep their place in the long break rotation
+    this.extendedSessions = 0; // Completed sessions that ran longer than planned
     
     this.startTime = null;
     this.pausedTime = 0;
+    this.sessionStartedAt = null; // Wall-clock start of the current session, unaffected by pauses
+    this.durationAdjustment = 0; // Seconds added to (or taken from) the current session
+    this.interruptions = []; // Interruptions logged during the current work session
+    
+    this.autoStartBreaks = false;
+    this.autoStartWork = false;
+    this.autoStartAt = null; // Timestamp when the next session auto-starts
   }
 
   start() {
@@ -30,16 +45,32 @@ export class PomodoroTimer {
       // Fresh start
       this.startTime = Date.now();
       this.pausedTime = 0;
+      this.sessionStartedAt = this.startTime;
+      this.durationAdjustment = 0;
+      this.interruptions = [];
     }
     this.isRunning = true;
+    this.autoStartAt = null;
     return this.getCurrentState();
   }
 
-  pause() {
+  /**
+   * @param {number} at - When the pause took effect; earlier than now when back-dated to going idle
+   * @param {string} reason - Interruption type logged for work sessions: 'pause' or 'idle'
+   */
+  pause(at = Date.now(), reason = 'pause') {
     if (this.isRunning && !this.isPaused) {
+      const pausedAt = Math.max(this.startTime, Math.min(at, Date.now()));
+
       this.isPaused = true;
       this.isRunning = false;
-      this.pausedTime = Date.now() - this.startTime;
+      this.pausedTime = pausedAt - this.startTime;
+      this.currentTime = this.getDisplayTime(this.getElapsedTime());
+
+      // Pausing a work session counts as an interruption
+      if (this.currentSession === 'work') {
+        this.interruptions.push({ type: reason, note: '', at: new Date(pausedAt).toISOString() });
+      }
       return this.getCurrentState();
     }
     return null;
@@ -48,58 +79,285 @@ export class PomodoroTimer {
   stop() {
     this.isRunning = false;
     this.isPaused = false;
-    this.currentTime = this.getCurrentSessionDuration();
     this.startTime = null;
     this.pausedTime = 0;
+    this.sessionStartedAt = null;
+    this.durationAdjustment = 0;
+    this.currentTime = this.getDisplayTime(0);
+    this.interruptions = [];
+    this.autoStartAt = null;
+    return this.getCurrentState();
+  }
+
+  /**
+   * Add minutes to the current countdown session, or take them away with a negative value
+   * @returns {Object|null} Null when no countdown session is in progress
+   */
+  adjustDuration(minutes) {
+    if (!this.sessionStartedAt || this.isCountUp() || !minutes) return null;
+
+    // Shortening can end the session now, but not in the past
+    const elapsed = this.getElapsedTime();
+    const duration = Math.max(elapsed, this.getCurrentSessionDuration() + minutes * 60);
+
+    this.durationAdjustment = duration - this.getPlannedDuration();
+    this.currentTime = this.getDisplayTime(elapsed);
+    return this.getCurrentState();
+  }
+
+  /**
+   * Count extra seconds towards the session in progress, or take some away with a negative value
+   * @returns {Object|null} Null when no session is in progress
+   */
+  addElapsedTime(seconds) {
+    if (!this.sessionStartedAt) return null;
+
+    if (this.isPaused) {
+      this.pausedTime = Math.max(0, this.pausedTime + seconds * 1000);
+    } else if (this.isRunning) {
+      this.startTime = Math.min(Date.now(), this.startTime - seconds * 1000);
+    }
+
+    this.currentTime = this.getDisplayTime(this.getElapsedTime());
+    return this.getCurrentState();
+  }
+
+  /**
+   * Log an interruption during the running or paused work session
+   * @param {string} type - 'internal' or 'external'
+   * @param {string} note - Optional reason
+   * @returns {Object|null} Null when there is no work session to attach it to
+   */
+  recordInterruption(type, note = '') {
+    if (this.currentSession !== 'work' || !this.sessionStartedAt) return null;
+    if (!['internal', 'external'].includes(type)) return null;
+
+    this.interruptions.push({
+      type,
+      note: String(note || '').trim().slice(0, 100),
+      at: new Date().toISOString()
+    });
     return this.getCurrentState();
   }
 
   tick() {
     if (!this.isRunning || this.isPaused) return null;
 
-    const elapsed = Math.floor((Date.now() - this.startTime) / 1000);
-    const sessionDuration = this.getCurrentSessionDuration();
-    this.currentTime = Math.max(0, sessionDuration - elapsed);
+    this.updateCurrentTime();
 
-    if (this.currentTime <= 0) {
+    if (!this.isCountUp() && this.currentTime <= 0) {
       return this.completeSession();
     }
 
     return this.getCurrentState();
   }
 
+  /**
+   * Recalculate remaining time from the start timestamp without completing
+   * the session (used by views that only mirror the background timer)
+   */
+  updateCurrentTime() {
+    if (this.isRunning && !this.isPaused && this.startTime) {
+      this.currentTime = this.getDisplayTime(Math.floor((Date.now() - this.startTime) / 1000));
+    }
+    return this.getCurrentState();
+  }
+
+  /**
+   * Seconds to display for the given elapsed time: remaining for countdowns, elapsed for Flowtime work
+   */
+  getDisplayTime(elapsed) {
+    if (this.isCountUp()) return elapsed;
+    return Math.max(0, this.getCurrentSessionDuration() - elapsed);
+  }
+
+  /**
+   * Whether the current session counts up until the user finishes it
+   */
+  isCountUp() {
+    return this.mode === 'flowtime' && this.currentSession === 'work';
+  }
+
+  /**
+   * Break length (seconds) earned by the Flowtime work done so far
+   */
+  getFlowtimeBreak(elapsed = this.getElapsedTime()) {
+    return Math.max(1, Math.round(elapsed / 60 / this.flowtimeBreakRatio)) * 60;
+  }
+
+  /**
+   * Timestamp (ms) at which the running session ends, or null when idle or counting up
+   */
+  getEndTime() {
+    if (!this.isRunning || this.isPaused || !this.startTime || this.isCountUp()) return null;
+    return this.startTime + this.getCurrentSessionDuration() * 1000;
+  }
+
   completeSession() {
+    const sessionRecord = this.getSessionRecord('completed');
+    const flowtimeBreak = this.isCountUp() ? this.getFlowtimeBreak() : null;
+    
     this.isRunning = false;
+    this.isPaused = false;
     this.completedSessions++;
+    if (this.durationAdjustment > 0) {
+      this.extendedSessions++;
+    }
     
     const completedSessionType = this.currentSession;
     
     if (this.currentSession === 'work') {
       this.totalWorkSessions++;
-      // Determine next break type
-      if (this.totalWorkSessions % this.sessionsUntilLongBreak === 0) {
-        this.currentSession = 'longBreak';
-      } else {
-        this.currentSession = 'shortBreak';
-      }
-    } else {
-      // Break completed, back to work
-      this.currentSession = 'work';
     }
+    this.advanceSession(flowtimeBreak);
 
-    this.currentTime = this.getCurrentSessionDuration();
     this.startTime = null;
     this.pausedTime = 0;
+    this.sessionStartedAt = null;
+    this.durationAdjustment = 0;
+    this.interruptions = [];
+    this.currentTime = this.getDisplayTime(0);
+
+    const autoStartNext = this.currentSession === 'work' ? this.autoStartWork : this.autoStartBreaks;
 
     return {
       ...this.getCurrentState(),
       sessionCompleted: true,
       completedSessionType,
-      autoStartNext: false
+      sessionRecord,
+      autoStartNext: Boolean(autoStartNext)
+    };
+  }
+
+  /**
+   * Move from the current session to the one that follows it, once the ended
+   * work session has been counted as completed or skipped
+   * @param {number|null} flowtimeBreak - Break earned by Flowtime work, null for countdown work
+   */
+  advanceSession(flowtimeBreak) {
+    const workSessions = this.totalWorkSessions + this.skippedWorkSessions;
+
+    if (this.currentSession !== 'work') {
+      // Break over, back to work
+      this.currentSession = 'work';
+    } else if (flowtimeBreak !== null) {
+      // Flowtime has no long breaks - the break scales with the work instead
+      this.flowtimeBreakDuration = flowtimeBreak;
+      this.currentSession = 'shortBreak';
+    } else if (workSessions % this.sessionsUntilLongBreak === 0) {
+      this.currentSession = 'longBreak';
+    } else {
+      this.currentSession = 'shortBreak';
+    }
+  }
+
+  /**
+   * Seconds actually spent running in the current session (pauses excluded)
+   */
+  getElapsedTime() {
+    if (this.isPaused) {
+      return Math.floor(this.pausedTime / 1000);
+    }
+    if (this.isRunning && this.startTime) {
+      return Math.floor((Date.now() - this.startTime) / 1000);
+    }
+    return 0;
+  }
+
+  /**
+   * Describe the session in progress for the history log
+   * @param {string} outcome - 'completed', 'stopped', 'reset' or 'skipped'
+   * @returns {Object|null} Null when no session is in progress
+   */
+  getSessionRecord(outcome) {
+    if (!this.sessionStartedAt) return null;
+
+    // Flowtime work has no planned length
+    const plannedDuration = this.isCountUp() ? null : this.getPlannedDuration();
+    return {
+      type: this.currentSession,
+      mode: this.mode,
+      plannedDuration,
+      adjustment: this.durationAdjustment, // Seconds added by extend (positive) or shorten (negative)
+      actualDuration: plannedDuration === null
+        ? this.getElapsedTime()
+        : Math.min(this.getCurrentSessionDuration(), this.getElapsedTime()),
+      startedAt: new Date(this.sessionStartedAt).toISOString(),
+      endedAt: new Date().toISOString(),
+      outcome,
+      interruptions: [...this.interruptions]
     };
   }
 
+  /**
+   * Queue the next session to start after a grace period
+   * @param {number} delaySeconds - Countdown before the session starts
+   */
+  scheduleAutoStart(delaySeconds) {
+    if (this.isRunning || this.isPaused) return null;
+    this.autoStartAt = Date.now() + delaySeconds * 1000;
+    return this.getCurrentState();
+  }
+
+  /**
+   * Move on to the next session without counting the current one as completed;
+   * only a session that had started counts as skipped, matching its history record
+   */
+  skip() {
+    const skippedSessionType = this.currentSession;
+    const wasStarted = Boolean(this.sessionStartedAt);
+    const flowtimeBreak = this.isCountUp() ? this.getFlowtimeBreak() : null;
+
+    this.stop();
+    if (wasStarted) {
+      this.skippedSessions++;
+    }
+    if (skippedSessionType === 'work') {
+      this.skippedWorkSessions++;
+    }
+    this.advanceSession(flowtimeBreak);
+    this.currentTime = this.getDisplayTime(0);
+    return { ...this.getCurrentState(), skippedSessionType };
+  }
+
+  /**
+   * Go straight back to work from a break that hasn't started yet; like skip(),
+   * a break that never started isn't counted as skipped
+   * @returns {Object|null} Null unless a break is waiting to start
+   */
+  skipBreak() {
+    if (this.currentSession === 'work' || this.isRunning || this.isPaused) return null;
+
+    this.currentSession = 'work';
+    this.autoStartAt = null;
+    this.currentTime = this.getDisplayTime(0);
+    return this.getCurrentState();
+  }
+
+  cancelAutoStart() {
+    this.autoStartAt = null;
+    return this.getCurrentState();
+  }
+
+  isAutoStartDue() {
+    return this.autoStartAt !== null && Date.now() >= this.autoStartAt;
+  }
+
+  /**
+   * Length (seconds) of the current session, including any extend/shorten adjustment
+   */
   getCurrentSessionDuration() {
+    return this.getPlannedDuration() + this.durationAdjustment;
+  }
+
+  /**
+   * Length (seconds) the current session type is configured for
+   */
+  getPlannedDuration() {
+    if (this.mode === 'flowtime' && this.currentSession !== 'work') {
+      return this.flowtimeBreakDuration;
+    }
+
     switch (this.currentSession) {
       case 'work': return this.workDuration;
       case 'shortBreak': return this.shortBreakDuration;
@@ -109,6 +367,8 @@ export class PomodoroTimer {
   }
 
   getCurrentState() {
+    const isCountUp = this.isCountUp();
+
     return {
       currentTime: this.currentTime,
       isRunning: this.isRunning,
@@ -116,16 +376,28 @@ export class PomodoroTimer {
       currentSession: this.currentSession,
       completedSessions: this.completedSessions,
       totalWorkSessions: this.totalWorkSessions,
+      skippedSessions: this.skippedSessions,
+      extendedSessions: this.extendedSessions,
+      mode: this.mode,
+      isCountUp,
+      suggestedBreak: isCountUp ? this.getFlowtimeBreak(this.currentTime) / 60 : null, // in minutes
       sessionDuration: this.getCurrentSessionDuration(),
-      progress: 1 - (this.currentTime / this.getCurrentSessionDuration()),
+      durationAdjustment: this.durationAdjustment,
+      // Flowtime work fills the ring against the work duration as a soft reference
+      progress: isCountUp
+        ? Math.min(1, this.currentTime / this.workDuration)
+        : 1 - (this.currentTime / this.getCurrentSessionDuration()),
       timeDisplay: this.formatTime(this.currentTime),
-      sessionDisplay: this.getSessionDisplayName()
+      sessionDisplay: this.getSessionDisplayName(),
+      autoStartAt: this.autoStartAt,
+      autoStartIn: this.autoStartAt ? Math.max(0, Math.ceil((this.autoStartAt - Date.now()) / 1000)) : null,
+      interruptionCount: this.interruptions.length
     };
   }
 
   getSessionDisplayName() {
     switch (this.currentSession) {
-      case 'work': return 'Work Time';
+      case 'work': return this.mode === 'flowtime' ? 'Flowtime' : 'Work Time';
       case 'shortBreak': return 'Short Break';
       case 'longBreak': return 'Long Break';
       default: return 'Work Time';
@@ -143,27 +415,117 @@ export class PomodoroTimer {
       this.workDuration = work * 60;
       this.shortBreakDuration = shortBreak * 60;
       this.longBreakDuration = longBreak * 60;
-      this.currentTime = this.getCurrentSessionDuration();
+      this.currentTime = this.getDisplayTime(0);
       return true;
     }
     return false;
   }
 
+  /**
+   * Apply timer settings (durations in minutes)
+   */
+  updateSettings(settings = {}) {
+    if (settings.workDuration) {
+      this.workDuration = settings.workDuration * 60;
+    }
+    if (settings.shortBreak) {
+      this.shortBreakDuration = settings.shortBreak * 60;
+    }
+    if (settings.longBreak) {
+      this.longBreakDuration = settings.longBreak * 60;
+    }
+    if (settings.sessionsUntilLongBreak) {
+      this.sessionsUntilLongBreak = settings.sessionsUntilLongBreak;
+    }
+    if (settings.autoStartBreaks !== undefined) {
+      this.autoStartBreaks = settings.autoStartBreaks;
+    }
+    if (settings.autoStartWork !== undefined) {
+      this.autoStartWork = settings.autoStartWork;
+    }
+    if (settings.mode) {
+      this.mode = settings.mode;
+    }
+    if (settings.flowtimeBreakRatio) {
+      this.flowtimeBreakRatio = settings.flowtimeBreakRatio;
+    }
+
+    if (!this.isRunning && !this.isPaused) {
+      this.currentTime = this.getDisplayTime(0);
+    }
+  }
+
+  /**
+   * Serialize the persistable timer state
+   */
+  toJSON() {
+    return {
+      currentSession: this.currentSession,
+      completedSessions: this.completedSessions,
+      totalWorkSessions: this.totalWorkSessions,
+      skippedSessions: this.skippedSessions,
+      skippedWorkSessions: this.skippedWorkSessions,
+      extendedSessions: this.extendedSessions,
+      isRunning: this.isRunning,
+      isPaused: this.isPaused,
+      startTime: this.startTime,
+      pausedTime: this.pausedTime,
+      currentTime: this.currentTime,
+      sessionStartedAt: this.sessionStartedAt,
+      durationAdjustment: this.durationAdjustment,
+      mode: this.mode,
+      flowtimeBreakDuration: this.flowtimeBreakDuration,
+      interruptions: this.interruptions,
+      autoStartAt: this.autoStartAt
+    };
+  }
+
+  /**
+   * Restore timer state produced by toJSON()
+   */
+  restore(state = {}) {
+    this.currentSession = state.currentSession || 'work';
+    this.completedSessions = state.completedSessions || 0;
+    this.totalWorkSessions = state.totalWorkSessions || 0;
+    this.skippedSessions = state.skippedSessions || 0;
+    this.skippedWorkSessions = state.skippedWorkSessions || 0;
+    this.extendedSessions = state.extendedSessions || 0;
+    this.isRunning = Boolean(state.isRunning);
+    this.isPaused = Boolean(state.isPaused);
+    this.startTime = state.startTime || null;
+    this.pausedTime = state.pausedTime || 0;
+    this.sessionStartedAt = state.sessionStartedAt || null;
+    this.durationAdjustment = state.durationAdjustment || 0;
+    this.interruptions = Array.isArray(state.interruptions) ? state.interruptions : [];
+    this.autoStartAt = state.autoStartAt || null;
+    this.flowtimeBreakDuration = state.flowtimeBreakDuration || this.flowtimeBreakDuration;
+
+    // A session in progress keeps the mode it started with, even if the preset changed since
+    const inSession = this.isRunning || this.isPaused || this.autoStartAt !== null;
+    if (inSession && state.mode) {
+      this.mode = state.mode;
+    }
+
+    if (this.isPaused) {
+      this.currentTime = this.getDisplayTime(Math.floor(this.pausedTime / 1000));
+    } else if (this.isRunning) {
+      this.updateCurrentTime();
+    } else {
+      this.currentTime = this.getDisplayTime(0);
+    }
+
+    return this.getCurrentState();
+  }
+
   reset() {
     this.stop();
     this.currentSession = 'work';
     this.completedSessions = 0;
     this.totalWorkSessions = 0;
-    this.currentTime = this.workDuration;
+    this.skippedSessions = 0;
+    this.skippedWorkSessions = 0;
+    this.extendedSessions = 0;
+    this.currentTime = this.getDisplayTime(0);
     return this.getCurrentState();
   }
-
-  getStats() {
-    return {
-      totalWorkSessions: this.totalWorkSessions,
-      completedSessions: this.completedSessions,
-      currentStreak: this.totalWorkSessions,
-      estimatedProductiveTime: this.totalWorkSessions * (this.workDuration / 60) // in minutes
-    };
-  }
 }
@@ -4,18 +4,22 @@
  */
 
 export class Todo {
-  constructor(text, id = null, completed = false, createdAt = null) {
+  constructor(text, id = null, completed = false, createdAt = null, rewardedAt = null, rewardAmount = 0) {
     this.text = String(text || '').trim();
     this.completed = Boolean(completed);
     this.id = id || Date.now();
     this.createdAt = createdAt || new Date().toISOString();
+    
+    // A task only earns affection the first time it is completed
+    this.rewardedAt = rewardedAt;
+    this.rewardAmount = Number(rewardAmount) || 0;
   }
 
   static fromObject(obj) {
     if (!obj || typeof obj !== 'object' || !obj.text) {
       return null;
     }
-    return new Todo(obj.text, obj.id, obj.completed, obj.createdAt);
+    return new Todo(obj.text, obj.id, obj.completed, obj.createdAt, obj.rewardedAt, obj.rewardAmount);
   }
 
   toggle() {
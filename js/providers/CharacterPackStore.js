@@ -0,0 +1,58 @@
+/**
+ * Character Pack Store
+ * IndexedDB storage for installed character packs; chrome.storage can't hold
+ * the sprite images, IndexedDB keeps them as Blobs
+ */
+
+import { CONFIG } from '../config.js';
+
+const STORE_NAME = 'packs';
+
+export class CharacterPackStore {
+  constructor() {
+    this.db = null;
+  }
+
+  async open() {
+    if (this.db) return this.db;
+
+    this.db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(CONFIG.CHARACTERS.DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(new Error(`Character database error: ${request.error?.message}`));
+    });
+    return this.db;
+  }
+
+  /**
+   * Run a single request against the packs store
+   */
+  async request(mode, run) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = run(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(new Error(`Character database error: ${transaction.error?.message}`));
+    });
+  }
+
+  getAll() {
+    return this.request('readonly', store => store.getAll());
+  }
+
+  get(id) {
+    return this.request('readonly', store => store.get(id));
+  }
+
+  put(pack) {
+    return this.request('readwrite', store => store.put(pack));
+  }
+
+  delete(id) {
+    return this.request('readwrite', store => store.delete(id));
+  }
+}
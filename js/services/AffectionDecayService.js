@@ -0,0 +1,107 @@
+/**
+ * Affection Decay Service
+ * Tracks when the user was last active and works out how much affection
+ * has faded since, so decay accrues across days even while the panel is closed
+ */
+
+import { CONFIG } from '../config.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class AffectionDecayService {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'affectionActivity';
+    this.settings = {
+      enabled: CONFIG.AFFECTION_DECAY.ENABLED,
+      rate: CONFIG.AFFECTION_DECAY.RATE,               // points per day
+      graceHours: CONFIG.AFFECTION_DECAY.GRACE_HOURS,
+      floor: CONFIG.AFFECTION_DECAY.FLOOR
+    };
+  }
+
+  updateSettings(settings = {}) {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.settings[key] = value;
+      }
+    });
+  }
+
+  /**
+   * @returns {Object|null} { lastActiveAt, decayedUntil } timestamps, or null before the first visit
+   */
+  async loadActivity() {
+    try {
+      const activity = await this.storageProvider.load(this.storageKey);
+      return activity && Number.isFinite(activity.lastActiveAt) ? activity : null;
+    } catch (error) {
+      this.logger.error(`Failed to load affection activity: ${error.message}`);
+      return null;
+    }
+  }
+
+  async saveActivity(activity) {
+    try {
+      await this.storageProvider.save(this.storageKey, activity);
+    } catch (error) {
+      this.logger.error(`Failed to save affection activity: ${error.message}`);
+    }
+  }
+
+  /**
+   * Mark the user as active now, restarting the grace period
+   */
+  async recordActivity(now = Date.now()) {
+    const activity = await this.loadActivity();
+    await this.saveActivity({ decayedUntil: 0, ...activity, lastActiveAt: now });
+  }
+
+  /**
+   * Whole points lost since decay last ran, without touching storage
+   * @returns {Object} { points, decayedUntil }
+   */
+  calculateDecay(activity, now = Date.now()) {
+    const { enabled, rate, graceHours } = this.settings;
+    if (!enabled || rate <= 0 || !activity) {
+      return { points: 0, decayedUntil: activity?.decayedUntil || 0 };
+    }
+
+    const from = Math.max(activity.lastActiveAt + graceHours * 60 * 60 * 1000, activity.decayedUntil || 0);
+    const points = Math.max(0, Math.floor(((now - from) / DAY_MS) * rate));
+
+    // Only advance by the time the whole points used up, so partial days carry over
+    return {
+      points,
+      decayedUntil: points > 0 ? from + (points / rate) * DAY_MS : activity.decayedUntil || 0
+    };
+  }
+
+  /**
+   * Apply pending decay to an AffectionLevel and remember how far it has been applied
+   * @param {AffectionLevel} affection - Level to decrease in place
+   * @returns {Object} { lost, awayMs } - Points lost and time since the user was last active
+   */
+  async applyDecay(affection, now = Date.now()) {
+    const activity = await this.loadActivity();
+    if (!activity) {
+      await this.recordActivity(now);
+      return { lost: 0, awayMs: 0 };
+    }
+
+    const { points, decayedUntil } = this.calculateDecay(activity, now);
+    const before = affection.level;
+
+    if (points > 0) {
+      affection.decrease(points, this.settings.floor);
+      await this.saveActivity({ ...activity, decayedUntil });
+    }
+
+    if (affection.level < before) {
+      this.logger.log(`Affection decayed by ${before - affection.level} after ${Math.round((now - activity.lastActiveAt) / 3600000)}h away`);
+    }
+
+    return { lost: before - affection.level, awayMs: now - activity.lastActiveAt };
+  }
+}
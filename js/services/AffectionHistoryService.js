@@ -0,0 +1,198 @@
+/**
+ * Affection History Service
+ * Persists every affection change with its source and tracks relationship
+ * milestones, which outlive the capped change log
+ */
+
+import { CONFIG } from '../config.js';
+import { SerialQueue } from '../utils/SerialQueue.js';
+import { getDateKey } from '../utils/dateKey.js';
+
+export class AffectionHistoryService {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'affectionHistory';
+    this.milestonesKey = 'affectionMilestones';
+    this.entries = [];
+    this.milestones = this.createMilestones();
+
+    // Serialize appends - each reloads storage first, so overlapping ones would save over each other
+    this.queue = new SerialQueue();
+  }
+
+  createMilestones() {
+    return {
+      levels: {}, // Threshold -> ISO time it was first reached
+      relationship: {}, // Relationship level -> { at, title }
+      streak: { current: 0, longest: 0, lastDay: null, longestEndedAt: null }
+    };
+  }
+
+  async load() {
+    try {
+      const [entries, milestones] = await Promise.all([
+        this.storageProvider.load(this.storageKey),
+        this.storageProvider.load(this.milestonesKey)
+      ]);
+      this.entries = Array.isArray(entries) ? entries : [];
+      this.milestones = { ...this.createMilestones(), ...milestones };
+    } catch (error) {
+      this.logger.error(`Failed to load affection history: ${error.message}`);
+      this.entries = [];
+      this.milestones = this.createMilestones();
+    }
+    return this.entries;
+  }
+
+  async save() {
+    try {
+      await this.storageProvider.save(this.storageKey, this.entries);
+      await this.storageProvider.save(this.milestonesKey, this.milestones);
+    } catch (error) {
+      this.logger.error(`Failed to save affection history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record an affection change
+   * @param {Object} change - { source, delta, level, levelUps }; source is task, taskDeleted, interaction, quest, pomodoroWork,
+   *   pomodoroBreak, breakActivity, decay or initial (the level from before history was kept); levelUps lists the
+   *   { level, title } relationship levels the change reached
+   */
+  append({ source, delta, level, levelUps = [] }) {
+    if (!delta && source !== 'initial') return Promise.resolve();
+
+    return this.queue.enqueue(() => this.appendEntry({ source, delta, level, levelUps }));
+  }
+
+  async appendEntry({ source, delta, level, levelUps }) {
+    await this.load();
+
+    const entry = { at: new Date().toISOString(), source, delta, level };
+    this.entries.push(entry);
+    this.entries = this.entries.slice(-CONFIG.AFFECTION_HISTORY.MAX_ENTRIES);
+
+    // The starting level wasn't earned on this day, so it doesn't count as a milestone
+    if (source !== 'initial') {
+      this.updateMilestones(entry, levelUps);
+    }
+
+    await this.save();
+    this.logger.log(`Recorded affection ${delta >= 0 ? '+' : ''}${delta} from ${source}`);
+  }
+
+  updateMilestones(entry, levelUps = []) {
+    const { levels, relationship, streak } = this.milestones;
+
+    // A level-up fills the bar before it starts again
+    const peak = levelUps.length > 0 ? CONFIG.AFFECTION.MAX : entry.level;
+    CONFIG.AFFECTION_HISTORY.LEVEL_MILESTONES.forEach(threshold => {
+      if (peak >= threshold && !levels[threshold]) {
+        levels[threshold] = entry.at;
+      }
+    });
+
+    levelUps.forEach(({ level, title }) => {
+      relationship[level] = { at: entry.at, title };
+    });
+
+    // The streak counts consecutive days on which affection was gained
+    if (entry.delta <= 0) return;
+
+    const day = getDateKey(new Date(entry.at));
+    if (streak.lastDay === day) return;
+
+    streak.current = this.isNextDay(streak.lastDay, day) ? streak.current + 1 : 1;
+    streak.lastDay = day;
+
+    if (streak.current >= streak.longest) {
+      streak.longest = streak.current;
+      streak.longestEndedAt = entry.at;
+    }
+  }
+
+  /**
+   * Replace in-memory records with ones written by another context
+   */
+  sync(entries, milestones) {
+    if (entries !== undefined) {
+      this.entries = Array.isArray(entries) ? entries : [];
+    }
+    if (milestones !== undefined) {
+      this.milestones = { ...this.createMilestones(), ...milestones };
+    }
+  }
+
+  isNextDay(previousKey, key) {
+    if (!previousKey) return false;
+
+    const next = new Date(`${previousKey}T00:00:00`);
+    next.setDate(next.getDate() + 1);
+    return getDateKey(next) === key;
+  }
+
+  /**
+   * Start timestamp for a timeline range
+   * @param {string} range - 'week', 'month' or 'all'
+   */
+  getRangeStart(range) {
+    const days = { week: 7, month: 30 }[range];
+    if (!days) {
+      return this.entries.length > 0 ? new Date(this.entries[0].at).getTime() : Date.now();
+    }
+    return Date.now() - days * 24 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Affection level over time for a range
+   * @returns {Array} Points { time, level, source, delta }, starting with the level carried into the range
+   */
+  getTimeline(range = 'all') {
+    const start = this.getRangeStart(range);
+    const points = [];
+    let carried = null;
+
+    this.entries.forEach(entry => {
+      const time = new Date(entry.at).getTime();
+      if (time < start) {
+        carried = entry.level;
+      } else {
+        points.push({ time, level: entry.level, source: entry.source, delta: entry.delta });
+      }
+    });
+
+    if (carried !== null) {
+      points.unshift({ time: start, level: carried, source: 'carried', delta: 0 });
+    }
+
+    return points;
+  }
+
+  /**
+   * Relationship milestones reached so far, oldest first
+   * @returns {Array} { id, label, at }
+   */
+  getMilestones() {
+    const { levels, relationship, streak } = this.milestones;
+    const milestones = Object.entries(levels).map(([threshold, at]) => ({
+      id: `level-${threshold}`,
+      label: `First reached ${threshold} ♡`,
+      at
+    }));
+
+    Object.entries(relationship).forEach(([level, { at, title }]) => {
+      milestones.push({ id: `relationship-${level}`, label: `Became ${title} 💞`, at });
+    });
+
+    if (streak.longest > 1) {
+      milestones.push({
+        id: 'longest-streak',
+        label: `Longest streak: ${streak.longest} days together 🔥`,
+        at: streak.longestEndedAt
+      });
+    }
+
+    return milestones.sort((a, b) => new Date(a.at) - new Date(b.at));
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * Character Pack Service
+ * Reads character packs from a picked folder or zip and validates them
+ * against the character.json format, collecting every problem found
+ */
+
+import { CONFIG } from '../config.js';
+import { ZipReader } from './ZipReader.js';
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const COLOR_PATTERN = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const COLOR_KEYS = ['accent', 'background', 'panel'];
+const REPLY_PROMPTS_KEY = 'mini_game_dialogue.reply_choice';
+
+export class CharacterPackService {
+  constructor(logger) {
+    this.logger = logger;
+  }
+
+  /**
+   * Read a pack from the files of a folder picked with webkitdirectory
+   * @param {FileList|Array<File>} fileList
+   * @returns {Promise<Object>} { isValid, errors, value }
+   */
+  async readFolder(fileList) {
+    const files = new Map(Array.from(fileList).map(file => [file.webkitRelativePath || file.name, file]));
+    return this.readFiles(files);
+  }
+
+  /**
+   * Read a pack from a zip file
+   * @param {File} file
+   * @returns {Promise<Object>} { isValid, errors, value }
+   */
+  async readZip(file) {
+    let files;
+    try {
+      files = await ZipReader.read(file, CONFIG.CHARACTERS.MAX_PACK_SIZE);
+    } catch (error) {
+      return this.invalid([`${file.name} couldn't be opened: ${error.message}`]);
+    }
+    return this.readFiles(files);
+  }
+
+  invalid(errors) {
+    return { isValid: false, errors, value: null };
+  }
+
+  /**
+   * Files keyed by their path from the folder holding character.json, so packs
+   * work with or without a top-level folder
+   * @returns {Map|null} null when there's no character.json
+   */
+  getPackFiles(files) {
+    const { MANIFEST_FILE } = CONFIG.CHARACTERS;
+    const manifestPath = [...files.keys()]
+      .filter(path => path.split('/').pop() === MANIFEST_FILE)
+      .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+    if (!manifestPath) return null;
+
+    const root = manifestPath.slice(0, -MANIFEST_FILE.length);
+    return new Map([...files]
+      .filter(([path]) => path.startsWith(root))
+      .map(([path, blob]) => [path.slice(root.length), blob]));
+  }
+
+  /**
+   * @param {Map} files - Path -> Blob
+   */
+  async readFiles(files) {
+    const { MANIFEST_FILE, MAX_PACK_SIZE } = CONFIG.CHARACTERS;
+    const packFiles = this.getPackFiles(files);
+    if (!packFiles) {
+      return this.invalid([`${MANIFEST_FILE} is missing; it must be in the top folder of the pack`]);
+    }
+
+    const totalSize = [...packFiles.values()].reduce((sum, blob) => sum + blob.size, 0);
+    if (totalSize > MAX_PACK_SIZE) {
+      return this.invalid([`The pack is ${this.formatSize(totalSize)}; packs can be at most ${this.formatSize(MAX_PACK_SIZE)}`]);
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(await packFiles.get(MANIFEST_FILE).text());
+    } catch (error) {
+      return this.invalid([`${MANIFEST_FILE} is not valid JSON: ${error.message}`]);
+    }
+    if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      return this.invalid([`${MANIFEST_FILE} must contain a JSON object`]);
+    }
+
+    const errors = this.validateManifest(manifest);
+    const sprites = await this.readSprites(manifest.sprites, packFiles, errors);
+    const dialogue = await this.readDialogue(manifest.dialogue, packFiles, errors);
+
+    if (errors.length > 0) {
+      this.logger.warn(`Rejected character pack "${manifest.id}": ${errors.join('; ')}`);
+      return this.invalid(errors);
+    }
+
+    const personality = manifest.personality || {};
+    return {
+      isValid: true,
+      errors: [],
+      value: {
+        formatVersion: manifest.formatVersion,
+        id: manifest.id,
+        name: manifest.name.trim(),
+        personality: {
+          summary: personality.summary || '',
+          traits: personality.traits || [],
+          speechStyle: personality.speechStyle || ''
+        },
+        sprites,
+        dialogue,
+        colors: manifest.colors || {},
+        installedAt: new Date().toISOString()
+      }
+    };
+  }
+
+  /**
+   * Check the manifest fields that don't point at other files
+   * @returns {Array<string>} Problems found
+   */
+  validateManifest(manifest) {
+    const { FORMAT_VERSION, BUILT_IN } = CONFIG.CHARACTERS;
+    const errors = [];
+
+    if (!Number.isInteger(manifest.formatVersion) || manifest.formatVersion < 1) {
+      errors.push('formatVersion is required and must be a whole number, e.g. 1');
+    } else if (manifest.formatVersion > FORMAT_VERSION) {
+      errors.push(`formatVersion ${manifest.formatVersion} is newer than this version of the extension supports (${FORMAT_VERSION})`);
+    }
+
+    if (typeof manifest.id !== 'string' || !ID_PATTERN.test(manifest.id)) {
+      errors.push('id must be 1-40 lowercase letters, digits or dashes, e.g. "my-character"');
+    } else if (manifest.id === BUILT_IN.id) {
+      errors.push(`id "${BUILT_IN.id}" is taken by the built-in character`);
+    }
+
+    if (typeof manifest.name !== 'string' || !manifest.name.trim() || manifest.name.length > 40) {
+      errors.push('name is required and can be at most 40 characters');
+    }
+
+    const { personality } = manifest;
+    if (personality !== undefined) {
+      if (!personality || typeof personality !== 'object' || Array.isArray(personality)) {
+        errors.push('personality must be an object with summary, traits and speechStyle');
+      } else {
+        ['summary', 'speechStyle'].forEach(key => {
+          if (personality[key] !== undefined && typeof personality[key] !== 'string') {
+            errors.push(`personality.${key} must be text`);
+          }
+        });
+        if (personality.traits !== undefined &&
+          (!Array.isArray(personality.traits) || !personality.traits.every(trait => typeof trait === 'string'))) {
+          errors.push('personality.traits must be a list of text');
+        }
+      }
+    }
+
+    const { colors } = manifest;
+    if (colors !== undefined) {
+      if (!colors || typeof colors !== 'object' || Array.isArray(colors)) {
+        errors.push(`colors must be an object with any of ${COLOR_KEYS.join(', ')}`);
+      } else {
+        Object.entries(colors).forEach(([key, value]) => {
+          if (!COLOR_KEYS.includes(key)) {
+            errors.push(`colors.${key} is not a known colour (use ${COLOR_KEYS.join(', ')})`);
+          } else if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+            errors.push(`colors.${key} must be a hex colour like #ff69b4`);
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Load the sprite for each expression, typed by file extension since zip
+   * entries carry no MIME type
+   * @returns {Promise<Object>} Expression -> Blob
+   */
+  async readSprites(spritePaths, packFiles, errors) {
+    const { REQUIRED_EXPRESSIONS, IMAGE_TYPES, MAX_SPRITE_SIZE } = CONFIG.CHARACTERS;
+    if (!spritePaths || typeof spritePaths !== 'object' || Array.isArray(spritePaths)) {
+      errors.push('sprites must map expressions (neutral, happy, pouting, ...) to image files');
+      return {};
+    }
+
+    REQUIRED_EXPRESSIONS
+      .filter(expression => !spritePaths[expression])
+      .forEach(expression => errors.push(`sprites.${expression} is required`));
+
+    const sprites = {};
+    for (const [expression, path] of Object.entries(spritePaths)) {
+      const blob = typeof path === 'string' ? packFiles.get(this.normalizePath(path)) : null;
+      const type = IMAGE_TYPES[String(path).split('.').pop().toLowerCase()];
+
+      if (!blob) {
+        errors.push(`sprites.${expression} points to "${path}", which isn't in the pack`);
+      } else if (!type) {
+        errors.push(`sprites.${expression} (${path}) must be a PNG, JPEG, GIF or WebP image`);
+      } else if (blob.size > MAX_SPRITE_SIZE) {
+        errors.push(`sprites.${expression} (${path}) is ${this.formatSize(blob.size)}; sprites can be at most ${this.formatSize(MAX_SPRITE_SIZE)}`);
+      } else {
+        const sprite = new Blob([blob], { type });
+        if (await this.isImage(sprite)) {
+          sprites[expression] = sprite;
+        } else {
+          errors.push(`sprites.${expression} (${path}) couldn't be read as an image`);
+        }
+      }
+    }
+    return sprites;
+  }
+
+  async isImage(blob) {
+    try {
+      (await createImageBitmap(blob)).close();
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Load the dialogue collection, which uses the waifu_dialogue_collection.json format
+   * @returns {Promise<Object|null>}
+   */
+  async readDialogue(path, packFiles, errors) {
+    if (typeof path !== 'string' || !path) {
+      errors.push('dialogue must name the dialogue JSON file, e.g. "dialogue.json"');
+      return null;
+    }
+
+    const file = packFiles.get(this.normalizePath(path));
+    if (!file) {
+      errors.push(`dialogue points to "${path}", which isn't in the pack`);
+      return null;
+    }
+
+    let dialogue;
+    try {
+      dialogue = JSON.parse(await file.text());
+    } catch (error) {
+      errors.push(`${path} is not valid JSON: ${error.message}`);
+      return null;
+    }
+
+    const quotes = dialogue?.general_quotes;
+    if (!Array.isArray(quotes) || quotes.length === 0 || !quotes.every(quote => typeof quote === 'string')) {
+      errors.push(`${path} needs a general_quotes list with at least one line`);
+      return null;
+    }
+
+    const invalidLists = this.findInvalidDialogueLists(dialogue);
+    if (invalidLists.length > 0) {
+      invalidLists.forEach(key => errors.push(key === REPLY_PROMPTS_KEY
+        ? `${path}: ${key} must be a list of { prompt, correct, wrong } with text replies`
+        : `${path}: ${key} must be a list of text`));
+      return null;
+    }
+    return dialogue;
+  }
+
+  /**
+   * Keys of the dialogue lists QuoteService would show that hold anything but text,
+   * e.g. "mood_based_quotes.happy"; metadata is left alone
+   * @returns {Array<string>}
+   */
+  findInvalidDialogueLists(collection, prefix = '') {
+    const isText = (value) => typeof value === 'string';
+    const isReplyPrompt = (entry) => isText(entry?.prompt) && isText(entry.correct) &&
+      Array.isArray(entry.wrong) && entry.wrong.every(isText);
+
+    return Object.entries(collection).flatMap(([key, value]) => {
+      const path = `${prefix}${key}`;
+      if (path === 'metadata') return [];
+
+      if (Array.isArray(value)) {
+        const valid = path === REPLY_PROMPTS_KEY ? value.every(isReplyPrompt) : value.every(isText);
+        return valid ? [] : [path];
+      }
+      if (value && typeof value === 'object') {
+        return this.findInvalidDialogueLists(value, `${path}.`);
+      }
+      return [];
+    });
+  }
+
+  normalizePath(path) {
+    return path.replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+  }
+
+  formatSize(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
@@ -28,6 +28,10 @@ export class ContextAwareQuoteManager {
       distractedTime: 0,
       lastProductivityCheck: Date.now()
     };
+    
+    // Set while the user is away (see pauseTracking)
+    this.trackingPausedSince = null;
+    this.idleCategory = null;
   }
 
   /**
@@ -58,7 +62,7 @@ export class ContextAwareQuoteManager {
       const now = Date.now();
       const timeDiff = now - this.patterns.lastProductivityCheck;
       
-      if (data.previous) {
+      if (data.previous && this.trackingPausedSince === null) {
         if (['productivity', 'learning'].includes(data.previous.category)) {
           this.patterns.productiveTime += timeDiff;
         } else if (['social', 'entertainment'].includes(data.previous.category)) {
@@ -233,7 +237,7 @@ export class ContextAwareQuoteManager {
   startProductivityTracking() {
     setInterval(() => {
       const context = this.tabSpy.getContext();
-      if (context) {
+      if (context && this.trackingPausedSince === null) {
         const now = Date.now();
         const timeDiff = now - this.patterns.lastProductivityCheck;
         
@@ -248,6 +252,58 @@ export class ContextAwareQuoteManager {
     }, this.config.TIMERS.PRODUCTIVITY_TRACKING_INTERVAL);
   }
 
+  /**
+   * Pattern bucket the current tab's time goes to, if any
+   * @returns {string|null} 'productiveTime', 'distractedTime' or null
+   */
+  getTrackingCategory() {
+    const context = this.tabSpy.getContext();
+    if (context?.isProductive) return 'productiveTime';
+    if (context?.isDistraction) return 'distractedTime';
+    return null;
+  }
+
+  /**
+   * Stop accruing time while the user is away
+   * @param {number} since - When the user went idle; time counted after it is taken back
+   */
+  pauseTracking(since) {
+    if (this.trackingPausedSince !== null) return;
+    
+    this.trackingPausedSince = since;
+    this.idleCategory = this.getTrackingCategory();
+    
+    // Idle is only detected after the threshold, so the interval kept counting until now
+    const countedWhileIdle = this.patterns.lastProductivityCheck - Math.max(since, this.patterns.sessionStart);
+    if (this.idleCategory && countedWhileIdle > 0) {
+      this.patterns[this.idleCategory] = Math.max(0, this.patterns[this.idleCategory] - countedWhileIdle);
+    }
+    
+    this.logger.log('🧠 Productivity tracking paused while idle');
+  }
+
+  /**
+   * Start accruing time again once the user is back
+   */
+  resumeTracking() {
+    if (this.trackingPausedSince === null) return;
+    
+    this.trackingPausedSince = null;
+    this.patterns.lastProductivityCheck = Date.now();
+    this.logger.log('🧠 Productivity tracking resumed');
+  }
+
+  /**
+   * Count time away towards the site that was open when the user went idle
+   * @param {number} milliseconds - Length of the absence
+   */
+  creditIdleTime(milliseconds) {
+    if (!this.idleCategory || milliseconds <= 0) return;
+    
+    this.patterns[this.idleCategory] += milliseconds;
+    this.idleCategory = null;
+  }
+
   /**
    * Get detailed activity report
    */
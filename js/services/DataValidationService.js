@@ -30,21 +30,54 @@ export class DataValidationService {
       pomodoroShortBreak: { min: 1, max: 30, default: 5 },
       pomodoroLongBreak: { min: 1, max: 60, default: 15 },
       pomodoroSessionsUntilLongBreak: { min: 2, max: 10, default: 4 },
+      pomodoroAutoStartDelay: { min: 3, max: 60, default: 10 },
+      pomodoroDailyGoal: { min: 1, max: 600, default: 4 },
+      pomodoroStreakFreezes: { min: 0, max: 5, default: 1 },
+      pomodoroIdleThreshold: { min: 1, max: 30, default: 3 },
       affectionTaskCompletion: { min: 1, max: 100, default: 10 },
       affectionWaifuClick: { min: 1, max: 50, default: 5 },
       affectionPomodoroWork: { min: 1, max: 50, default: 15 },
       affectionPomodoroBreak: { min: 1, max: 25, default: 5 },
+      affectionDecayRate: { min: 0, max: 50, default: 5 },
+      affectionDecayGrace: { min: 1, max: 168, default: 24 },
+      affectionDecayFloor: { min: 0, max: 100, default: 20 },
+      interactionDailyCap: { min: 1, max: 50, default: 12 },
       quoteRandomInterval: { min: 5, max: 300, default: 60 },
       quoteDisplayDuration: { min: 1, max: 30, default: 4 },
       quoteEventDuration: { min: 1, max: 30, default: 6 },
       spriteCycleInterval: { min: 1, max: 60, default: 30 },
-      aiDialoguePercentage: { min: 0, max: 100, default: 25 }
+      aiDialoguePercentage: { min: 0, max: 100, default: 25 },
+      soundVolume: { min: 0, max: 100, default: 70 }
     },
     boolean: [
-      'pomodoroNotificationsEnabled', 'pomodoroAutoStartBreaks', 'pomodoroAutoStartWork',
+      'pomodoroNotificationsEnabled', 'pomodoroAutoStartBreaks', 'pomodoroAutoStartWork', 'pomodoroWeekendRestDays',
+      'pomodoroAmbientAutoPlay', 'pomodoroIdleAutoPause', 'focusModeEnabled', 'affectionDecayEnabled',
+      'soundWorkComplete', 'soundBreakComplete', 'soundInteraction', 'soundTaskComplete',
       'quoteAutoEnabled', 'enableExperimentalFeatures', 'enableDebugMode',
       'enableSoundEffects', 'enableVoiceQuotes', 'enableCustomThemes', 'enableAdvancedStats'
-    ]
+    ],
+    enum: {
+      pomodoroDailyGoalType: { values: ['sessions', 'minutes'], default: 'sessions' },
+      soundTheme: { values: ['chime', 'bell', 'arcade', 'marimba'], default: 'chime' }
+    },
+    text: {
+      pomodoroActivePreset: { minLength: 1, maxLength: 50 }
+    },
+    list: {
+      focusModeCategories: { values: CONFIG.FOCUS_MODE.BLOCKABLE_CATEGORIES }
+    }
+  };
+
+  // Pomodoro preset validation schema (durations in minutes)
+  static PRESET_SCHEMA = {
+    modes: ['countdown', 'flowtime'],
+    numeric: {
+      workDuration: { min: 1, max: 180, default: 25 },
+      shortBreak: { min: 1, max: 60, default: 5 },
+      longBreak: { min: 1, max: 90, default: 15 },
+      sessionsUntilLongBreak: { min: 2, max: 10, default: 4 },
+      breakRatio: { min: 2, max: 10, default: 5 }
+    }
   };
 
   /**
@@ -78,6 +111,56 @@ export class DataValidationService {
       }
     });
 
+    // Validate enum settings
+    Object.entries(this.SETTINGS_SCHEMA.enum).forEach(([key, schema]) => {
+      if (settings[key] !== undefined) {
+        const value = this.validateEnum(settings[key], schema);
+        if (value.isValid) {
+          validated[key] = value.value;
+        } else {
+          errors.push(`${key}: ${value.error}`);
+        }
+      }
+    });
+
+    // Validate text settings
+    Object.entries(this.SETTINGS_SCHEMA.text).forEach(([key, options]) => {
+      if (settings[key] !== undefined) {
+        const value = this.validateText(settings[key], options);
+        if (value.isValid) {
+          validated[key] = value.value;
+        } else {
+          errors.push(`${key}: ${value.error}`);
+        }
+      }
+    });
+
+    // Validate list settings
+    Object.entries(this.SETTINGS_SCHEMA.list).forEach(([key, schema]) => {
+      if (settings[key] !== undefined) {
+        const value = this.validateList(settings[key], schema);
+        if (value.isValid) {
+          validated[key] = value.value;
+        } else {
+          errors.push(`${key}: ${value.error}`);
+        }
+      }
+    });
+
+    // Validate Pomodoro presets
+    if (settings.pomodoroPresets !== undefined) {
+      const presets = this.validatePresets(settings.pomodoroPresets);
+      validated.pomodoroPresets = presets.value;
+      errors.push(...presets.errors.map(error => `pomodoroPresets: ${error}`));
+    }
+
+    // Validate ambient sound mixes
+    if (settings.pomodoroAmbientMixes !== undefined) {
+      const mixes = this.validateAmbientMixes(settings.pomodoroAmbientMixes);
+      validated.pomodoroAmbientMixes = mixes.value;
+      errors.push(...mixes.errors.map(error => `pomodoroAmbientMixes: ${error}`));
+    }
+
     return {
       isValid: errors.length === 0,
       validated,
@@ -85,6 +168,94 @@ export class DataValidationService {
     };
   }
 
+  /**
+   * Validate a single Pomodoro timer preset
+   */
+  static validatePreset(preset) {
+    if (!preset || typeof preset !== 'object') {
+      return { isValid: false, error: 'must be an object', value: null };
+    }
+
+    const errors = [];
+    const name = this.validateText(preset.name, { maxLength: 30 });
+    if (!name.isValid) {
+      errors.push(`name ${name.error}`);
+    }
+
+    const id = this.validateText(preset.id, { maxLength: 50 });
+    if (!id.isValid) {
+      errors.push(`id ${id.error}`);
+    }
+
+    const mode = this.validateEnum(preset.mode ?? 'countdown', {
+      values: this.PRESET_SCHEMA.modes,
+      default: 'countdown'
+    });
+    if (!mode.isValid) {
+      errors.push(`mode ${mode.error}`);
+    }
+
+    const value = { id: id.value, name: name.value, mode: mode.value };
+    Object.entries(this.PRESET_SCHEMA.numeric).forEach(([key, schema]) => {
+      const result = this.validateNumeric(preset[key] ?? schema.default, schema);
+      if (!result.isValid) {
+        errors.push(`${key} ${result.error}`);
+      }
+      value[key] = result.value;
+    });
+
+    return {
+      isValid: errors.length === 0,
+      error: errors.join(', '),
+      value
+    };
+  }
+
+  /**
+   * Validate a list of presets, dropping invalid entries
+   */
+  static validatePresets(presets) {
+    const result = this.validateArray(presets, preset => this.validatePreset(preset));
+    const errors = result.errors || (result.isValid ? [] : [result.error]);
+
+    return {
+      isValid: errors.length === 0,
+      value: result.value.slice(0, CONFIG.POMODORO.MAX_CUSTOM_PRESETS),
+      errors
+    };
+  }
+
+  /**
+   * Validate ambient sound mixes keyed by preset id, clamping each volume to 0-1
+   */
+  static validateAmbientMixes(mixes) {
+    if (!mixes || typeof mixes !== 'object' || Array.isArray(mixes)) {
+      return { isValid: false, value: {}, errors: ['must be an object'] };
+    }
+
+    const value = {};
+    const errors = [];
+    const volumeSchema = { min: 0, max: 1, default: 0 };
+
+    Object.entries(mixes).forEach(([presetId, mix]) => {
+      if (!mix || typeof mix !== 'object') {
+        errors.push(`${presetId} must be an object`);
+        return;
+      }
+
+      value[presetId] = {};
+      Object.keys(CONFIG.AMBIENT.DEFAULT_MIX).forEach(sound => {
+        const result = this.validateNumeric(mix[sound] ?? 0, volumeSchema);
+        if (!result.isValid) {
+          errors.push(`${presetId}.${sound} ${result.error}`);
+        }
+        value[presetId][sound] = result.value;
+      });
+    });
+
+    return { isValid: errors.length === 0, value, errors };
+  }
+
   /**
    * Validate numeric value with bounds
    */
@@ -116,6 +287,46 @@ export class DataValidationService {
     };
   }
 
+  /**
+   * Validate value against a fixed set of allowed values
+   */
+  static validateEnum(value, schema) {
+    const { values, default: defaultValue } = schema;
+
+    if (!values.includes(value)) {
+      return {
+        isValid: false,
+        error: `must be one of ${values.join(', ')}, using default: ${defaultValue}`,
+        value: defaultValue
+      };
+    }
+
+    return {
+      isValid: true,
+      value
+    };
+  }
+
+  /**
+   * Validate an array whose entries must come from a fixed set of values
+   */
+  static validateList(list, schema) {
+    if (!Array.isArray(list)) {
+      return { isValid: false, error: 'must be an array', value: [] };
+    }
+
+    const value = [...new Set(list.filter(item => schema.values.includes(item)))];
+    if (value.length !== list.length) {
+      return {
+        isValid: false,
+        error: `may only contain ${schema.values.join(', ')}`,
+        value
+      };
+    }
+
+    return { isValid: true, value };
+  }
+
   /**
    * Validate boolean value
    */
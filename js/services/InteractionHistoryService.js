@@ -0,0 +1,135 @@
+/**
+ * Interaction History Service
+ * Persists interaction signal outcomes with timestamps, keeping all-time
+ * totals alongside a capped event log for daily stats
+ */
+
+import { CONFIG } from '../config.js';
+import { getDateKey } from '../utils/dateKey.js';
+import { SerialQueue } from '../utils/SerialQueue.js';
+
+export class InteractionHistoryService {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'interactionStats';
+    this.data = this.createData();
+
+    // Serialize writes - each reloads storage first, so other panels' events aren't saved over
+    this.queue = new SerialQueue();
+  }
+
+  createData() {
+    return {
+      totals: { shown: 0, success: 0, fail: 0, missed: 0 },
+      events: [] // { at, type, game }
+    };
+  }
+
+  async load() {
+    try {
+      this.sync(await this.storageProvider.load(this.storageKey));
+    } catch (error) {
+      this.logger.error(`Failed to load interaction stats: ${error.message}`);
+      this.data = this.createData();
+    }
+  }
+
+  async save() {
+    try {
+      await this.storageProvider.save(this.storageKey, this.data);
+    } catch (error) {
+      this.logger.error(`Failed to save interaction stats: ${error.message}`);
+    }
+  }
+
+  /**
+   * Take stats written by another panel
+   */
+  sync(data) {
+    const empty = this.createData();
+    this.data = {
+      totals: { ...empty.totals, ...data?.totals },
+      events: Array.isArray(data?.events) ? data.events : []
+    };
+  }
+
+  /**
+   * @param {string} type - shown, success (won or answered), fail (mini-game lost) or missed
+   * @param {string|null} game - Mini-game id for success and fail
+   */
+  record(type, game = null) {
+    const event = { at: new Date().toISOString(), type, game };
+
+    // Counted right away so stats read straight after (like the daily cap) include it
+    this.addEvent(event);
+    return this.queue.enqueue(() => this.appendEvent(event));
+  }
+
+  async appendEvent(event) {
+    await this.load();
+    this.addEvent(event);
+    await this.save();
+  }
+
+  addEvent(event) {
+    this.data.totals[event.type] = (this.data.totals[event.type] || 0) + 1;
+    this.data.events.push(event);
+    this.data.events = this.data.events.slice(-CONFIG.INTERACTION.HISTORY_MAX_EVENTS);
+  }
+
+  countEvents(events) {
+    const counts = { shown: 0, success: 0, fail: 0, missed: 0 };
+    events.forEach(({ type }) => {
+      counts[type] = (counts[type] || 0) + 1;
+    });
+    return counts;
+  }
+
+  formatStats({ shown, success, fail, missed }) {
+    return {
+      totalInteractions: shown,
+      successfulInteractions: success,
+      failedInteractions: fail,
+      missedInteractions: missed
+    };
+  }
+
+  /**
+   * @param {string} range - 'today' or 'all'
+   */
+  getStats(range = 'all') {
+    if (range !== 'today') {
+      return this.formatStats(this.data.totals);
+    }
+
+    const today = getDateKey(new Date());
+    return this.formatStats(this.countEvents(
+      this.data.events.filter(event => getDateKey(new Date(event.at)) === today)
+    ));
+  }
+
+  /**
+   * Stats for each of the last few days, oldest first
+   * @returns {Array} { date, ...stats }
+   */
+  getDailyStats(days = 7) {
+    const byDay = {};
+    this.data.events.forEach(event => {
+      const key = getDateKey(new Date(event.at));
+      (byDay[key] = byDay[key] || []).push(event);
+    });
+
+    return Array.from({ length: days }, (_, index) => {
+      const date = new Date();
+      date.setDate(date.getDate() - (days - 1 - index));
+      const key = getDateKey(date);
+      return { date: key, ...this.formatStats(this.countEvents(byDay[key] || [])) };
+    });
+  }
+
+  reset() {
+    this.data = this.createData();
+    return this.queue.enqueue(() => this.save());
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * Pomodoro Goal Service
+ * Computes daily focus goal progress and consecutive-day streaks from the session history
+ */
+
+import { CONFIG } from '../config.js';
+import { getDateKey } from '../utils/dateKey.js';
+
+export class PomodoroGoalService {
+  constructor(historyService) {
+    this.historyService = historyService;
+    this.settings = {
+      goalType: CONFIG.POMODORO.DAILY_GOAL_TYPE, // 'sessions' or 'minutes'
+      goal: CONFIG.POMODORO.DAILY_GOAL,
+      weekendRestDays: CONFIG.POMODORO.WEEKEND_REST_DAYS,
+      streakFreezesPerMonth: CONFIG.POMODORO.STREAK_FREEZES_PER_MONTH
+    };
+  }
+
+  updateSettings(settings = {}) {
+    Object.entries(settings).forEach(([key, value]) => {
+      if (value !== undefined) {
+        this.settings[key] = value;
+      }
+    });
+  }
+
+  /**
+   * Work totals per local day, keyed by YYYY-MM-DD
+   */
+  getDailyTotals() {
+    const totals = {};
+
+    this.historyService.getSessions('all')
+      .filter(session => session.type === 'work')
+      .forEach(session => {
+        const key = getDateKey(new Date(session.endedAt));
+        totals[key] = totals[key] || { sessions: 0, minutes: 0 };
+        totals[key].minutes += (session.actualDuration || 0) / 60;
+        if (session.outcome === 'completed') {
+          totals[key].sessions++;
+        }
+      });
+
+    return totals;
+  }
+
+  getGoalValue(dayTotals) {
+    if (!dayTotals) return 0;
+    return this.settings.goalType === 'minutes' ? Math.floor(dayTotals.minutes) : dayTotals.sessions;
+  }
+
+  isGoalMet(dayTotals) {
+    return this.getGoalValue(dayTotals) >= this.settings.goal;
+  }
+
+  isRestDay(date) {
+    const day = date.getDay();
+    return this.settings.weekendRestDays && (day === 0 || day === 6);
+  }
+
+  /**
+   * Progress towards today's focus goal
+   */
+  getGoalProgress(now = new Date()) {
+    const value = this.getGoalValue(this.getDailyTotals()[getDateKey(now)]);
+    const target = this.settings.goal;
+
+    return {
+      type: this.settings.goalType,
+      target,
+      value,
+      percentage: Math.min(100, Math.round((value / target) * 100)),
+      reached: value >= target
+    };
+  }
+
+  /**
+   * Count consecutive goal days ending today. Today only adds to the streak once
+   * its goal is met; rest days are skipped, and a limited number of missed days
+   * per month are covered by streak freezes.
+   */
+  getStreak(now = new Date()) {
+    const totals = this.getDailyTotals();
+    const dayKeys = Object.keys(totals).sort();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const todayMet = this.isGoalMet(totals[getDateKey(today)]);
+
+    let current = todayMet ? 1 : 0;
+    let freezesUsed = 0;
+    let pendingFreezes = 0; // Only count once an earlier goal day proves they bridged a gap
+    const freezesByMonth = {};
+
+    if (dayKeys.length > 0) {
+      const earliestKey = dayKeys[0];
+      let day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+
+      while (getDateKey(day) >= earliestKey) {
+        const key = getDateKey(day);
+        const monthKey = key.slice(0, 7);
+
+        if (this.isGoalMet(totals[key])) {
+          current++;
+          freezesUsed += pendingFreezes;
+          pendingFreezes = 0;
+        } else if (!this.isRestDay(day)) {
+          if ((freezesByMonth[monthKey] || 0) >= this.settings.streakFreezesPerMonth) {
+            break;
+          }
+          freezesByMonth[monthKey] = (freezesByMonth[monthKey] || 0) + 1;
+          pendingFreezes++;
+        }
+
+        day = new Date(day.getFullYear(), day.getMonth(), day.getDate() - 1);
+      }
+    }
+
+    return {
+      current,
+      todayMet,
+      freezesUsed,
+      atRisk: current > 0 && !todayMet && !this.isRestDay(today)
+    };
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Pomodoro History Service
+ * Persists a log of every Pomodoro session and computes statistics from it
+ */
+
+import { CONFIG } from '../config.js';
+import { getDateKey } from '../utils/dateKey.js';
+
+export class PomodoroHistoryService {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'pomodoroHistory';
+    this.sessions = [];
+  }
+
+  async load() {
+    try {
+      const sessions = await this.storageProvider.load(this.storageKey);
+      this.sessions = Array.isArray(sessions) ? sessions : [];
+      this.logger.log(`Loaded ${this.sessions.length} Pomodoro history records`);
+    } catch (error) {
+      this.logger.error(`Failed to load Pomodoro history: ${error.message}`);
+      this.sessions = [];
+    }
+    return this.sessions;
+  }
+
+  async save() {
+    try {
+      await this.storageProvider.save(this.storageKey, this.sessions);
+    } catch (error) {
+      this.logger.error(`Failed to save Pomodoro history: ${error.message}`);
+    }
+  }
+
+  /**
+   * Append a session record (see PomodoroTimer.getSessionRecord) and prune old entries
+   */
+  async append(record) {
+    if (!record) return;
+
+    await this.load();
+    this.sessions.push({ id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, ...record });
+    this.prune();
+    await this.save();
+    this.logger.log(`Recorded ${record.outcome} ${record.type} session`);
+  }
+
+  /**
+   * Drop records older than the retention window and cap the log size
+   */
+  prune(retentionDays = CONFIG.POMODORO.HISTORY_RETENTION_DAYS, maxEntries = CONFIG.POMODORO.HISTORY_MAX_ENTRIES) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const before = this.sessions.length;
+
+    this.sessions = this.sessions
+      .filter(session => new Date(session.endedAt).getTime() >= cutoff)
+      .slice(-maxEntries);
+
+    return before - this.sessions.length;
+  }
+
+  async clear() {
+    this.sessions = [];
+    await this.save();
+    this.logger.log('Pomodoro history cleared');
+  }
+
+  /**
+   * Replace in-memory records with ones written by another context
+   */
+  sync(sessions) {
+    this.sessions = Array.isArray(sessions) ? sessions : [];
+  }
+
+  /**
+   * Start timestamp for a stats range
+   * @param {string} range - 'today', 'week' or 'all'
+   */
+  getRangeStart(range) {
+    const start = new Date();
+    start.setHours(0, 0, 0, 0);
+
+    switch (range) {
+      case 'today':
+        return start.getTime();
+      case 'week':
+        // Weeks start on Sunday, matching the mood calendar
+        start.setDate(start.getDate() - start.getDay());
+        return start.getTime();
+      default:
+        return 0;
+    }
+  }
+
+  getSessions(range = 'all') {
+    const rangeStart = this.getRangeStart(range);
+    return this.sessions.filter(session => new Date(session.endedAt).getTime() >= rangeStart);
+  }
+
+  /**
+   * Compute statistics for a range
+   * @param {string} range - 'today', 'week' or 'all'
+   */
+  getStats(range = 'all') {
+    const sessions = this.getSessions(range);
+    const completed = sessions.filter(session => session.outcome === 'completed');
+    const workSessions = sessions.filter(session => session.type === 'work');
+
+    const productiveSeconds = workSessions.reduce((total, session) => total + (session.actualDuration || 0), 0);
+    const interruptions = workSessions.flatMap(session => session.interruptions || []);
+
+    return {
+      range,
+      totalWorkSessions: completed.filter(session => session.type === 'work').length,
+      completedSessions: completed.length,
+      stoppedSessions: sessions.filter(session => session.outcome === 'stopped').length,
+      resetSessions: sessions.filter(session => session.outcome === 'reset').length,
+      // Skipped sessions are never completed; extended ones keep their original planned length
+      skippedSessions: sessions.filter(session => session.outcome === 'skipped').length,
+      extendedSessions: sessions.filter(session => session.adjustment > 0).length,
+      shortenedSessions: sessions.filter(session => session.adjustment < 0).length,
+      productiveTime: productiveSeconds / 60, // in minutes
+      interruptions: interruptions.length,
+      interruptionsByDay: this.countInterruptionsByDay(interruptions),
+      topInterruptionReasons: this.getTopInterruptionReasons(interruptions)
+    };
+  }
+
+  /**
+   * Interruption counts per local day, keyed by YYYY-MM-DD
+   */
+  countInterruptionsByDay(interruptions) {
+    return interruptions.reduce((days, interruption) => {
+      const key = getDateKey(new Date(interruption.at));
+      days[key] = (days[key] || 0) + 1;
+      return days;
+    }, {});
+  }
+
+  /**
+   * Most frequent interruption reasons; entries without a note are grouped by type
+   */
+  getTopInterruptionReasons(interruptions, limit = 3) {
+    const typeLabels = { internal: 'Internal', external: 'External', pause: 'Paused', idle: 'Away' };
+    const counts = {};
+
+    interruptions.forEach(interruption => {
+      const reason = interruption.note?.trim().toLowerCase() || typeLabels[interruption.type] || 'Other';
+      counts[reason] = (counts[reason] || 0) + 1;
+    });
+
+    return Object.entries(counts)
+      .map(([reason, count]) => ({ reason, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+}
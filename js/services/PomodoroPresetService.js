@@ -0,0 +1,103 @@
+/**
+ * Pomodoro Preset Service
+ * Resolves built-in and user-defined timer presets into timer settings
+ */
+
+import { CONFIG } from '../config.js';
+import { DataValidationService } from './DataValidationService.js';
+
+export const SETTINGS_PRESET_ID = 'settings';
+
+export class PomodoroPresetService {
+  constructor() {
+    this.customPresets = [];
+    this.activePresetId = CONFIG.POMODORO.DEFAULT_PRESET;
+  }
+
+  setCustomPresets(presets) {
+    this.customPresets = DataValidationService.validatePresets(presets).value;
+  }
+
+  setActivePreset(id) {
+    this.activePresetId = this.getPreset(id) ? id : SETTINGS_PRESET_ID;
+  }
+
+  /**
+   * All selectable presets: the settings panel durations, built-ins, then custom presets
+   */
+  getPresets() {
+    return [
+      { id: SETTINGS_PRESET_ID, name: 'My Settings', mode: 'countdown', builtIn: true },
+      ...CONFIG.POMODORO.PRESETS.map(preset => ({ ...preset, builtIn: true })),
+      ...this.customPresets.map(preset => ({ ...preset, builtIn: false }))
+    ];
+  }
+
+  getPreset(id) {
+    return this.getPresets().find(preset => preset.id === id) || null;
+  }
+
+  getActivePreset() {
+    return this.getPreset(this.activePresetId) || this.getPreset(SETTINGS_PRESET_ID);
+  }
+
+  /**
+   * Validate form data into a new custom preset
+   * @throws {Error} When the preset is invalid or the preset limit is reached
+   */
+  createPreset(data) {
+    if (this.customPresets.length >= CONFIG.POMODORO.MAX_CUSTOM_PRESETS) {
+      throw new Error(`You can save up to ${CONFIG.POMODORO.MAX_CUSTOM_PRESETS} presets`);
+    }
+
+    const result = DataValidationService.validatePreset({
+      ...data,
+      id: `custom-${Date.now()}`
+    });
+
+    if (!result.isValid) {
+      throw new Error(`Invalid preset: ${result.error}`);
+    }
+
+    return result.value;
+  }
+
+  /**
+   * Custom presets with the given preset added
+   */
+  withPreset(preset) {
+    return [...this.customPresets, preset];
+  }
+
+  /**
+   * Custom presets without the given preset (built-ins can't be removed)
+   */
+  withoutPreset(id) {
+    return this.customPresets.filter(preset => preset.id !== id);
+  }
+
+  /**
+   * Timer settings (minutes) for the active preset
+   * @param {Object} baseSettings - Durations from the settings panel, used by the 'settings' preset
+   */
+  getTimerSettings(baseSettings = {}) {
+    const preset = this.getActivePreset();
+
+    if (preset.id === SETTINGS_PRESET_ID) {
+      return {
+        ...baseSettings,
+        mode: 'countdown',
+        flowtimeBreakRatio: CONFIG.POMODORO.FLOWTIME_BREAK_RATIO
+      };
+    }
+
+    return {
+      workDuration: preset.workDuration,
+      shortBreak: preset.shortBreak,
+      longBreak: preset.longBreak,
+      sessionsUntilLongBreak: preset.sessionsUntilLongBreak,
+      mode: preset.mode,
+      flowtimeBreakRatio: preset.breakRatio ?? CONFIG.POMODORO.FLOWTIME_BREAK_RATIO
+    };
+  }
+}
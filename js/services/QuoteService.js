@@ -3,6 +3,8 @@
  * Manages waifu quotes and tooltip display logic
  */
 
+import { CONFIG } from '../config.js';
+
 export class QuoteService {
   constructor(logger) {
     this.logger = logger;
@@ -10,6 +12,12 @@ export class QuoteService {
     // Dialogue collection for all quotes
     this.dialogueCollection = {};
     this.dialogueLoaded = false;
+    
+    // The built-in character's collection, kept while a character pack speaks
+    this.builtInCollection = null;
+    
+    // relationship_quotes categories unlocked by relationship levels
+    this.unlockedCategories = [];
   }
 
   /**
@@ -17,12 +25,13 @@ export class QuoteService {
    */
   async loadDialogueCollection() {
     try {
-      const response = await fetch(chrome.runtime.getURL('waifu_dialogue_collection.json'));
+      const response = await fetch(chrome.runtime.getURL(CONFIG.CHARACTERS.BUILT_IN.dialogue));
       if (!response.ok) {
         throw new Error(`Failed to load dialogue collection: ${response.status}`);
       }
       
-      this.dialogueCollection = await response.json();
+      this.builtInCollection = await response.json();
+      this.dialogueCollection = this.builtInCollection;
       this.dialogueLoaded = true;
       this.logger.log('QuoteService: Dialogue collection loaded from file');
     } catch (error) {
@@ -32,6 +41,16 @@ export class QuoteService {
     }
   }
 
+  /**
+   * Speak with a character pack's dialogue collection
+   * @param {Object|null} collection - null goes back to the built-in collection
+   */
+  setDialogueCollection(collection) {
+    const next = collection || this.builtInCollection;
+    this.dialogueCollection = next || {};
+    this.dialogueLoaded = Boolean(next);
+  }
+
   /**
    * Initialize the quote service
    */
@@ -77,11 +96,26 @@ export class QuoteService {
       waifuClick: 'waifu_click',
       newTask: 'new_task',
       waifuInteraction: 'waifu_interaction_success',
+      miniGameHeadPatSuccess: 'headpat_success',
+      miniGameHeadPatFail: 'headpat_fail',
+      miniGameReplySuccess: 'reply_success',
+      miniGameReplyFail: 'reply_fail',
+      miniGameMemorySuccess: 'memory_success',
+      miniGameMemoryFail: 'memory_fail',
+      affectionReunion: 'missed_you',
+      relationshipLevelUp: 'level_up',
+      taskFarming: 'suspicious_toggle',
+      achievementUnlocked: 'achievement_unlocked',
+      questComplete: 'quest_complete',
+      breakActivityStart: 'break_activity_start',
+      breakActivityComplete: 'break_activity_complete',
       pomodoroWorkStart: 'work_start',
       pomodoroWorkComplete: 'work_complete',
       pomodoroBreakStart: 'break_start',
       pomodoroBreakComplete: 'break_complete',
-      pomodoroLongBreakStart: 'long_break_start'
+      pomodoroLongBreakStart: 'long_break_start',
+      pomodoroGoalReached: 'goal_reached',
+      pomodoroStreakAtRisk: 'streak_at_risk'
     };
 
     // First try event_specific_quotes
@@ -99,6 +133,11 @@ export class QuoteService {
       quotes = this.dialogueCollection.interaction_quotes?.[interactionKey];
     }
 
+    // Then try interaction_quotes for mini-game reactions
+    if (!quotes && eventType.startsWith('miniGame')) {
+      quotes = this.dialogueCollection.interaction_quotes?.[eventKey];
+    }
+
     if (quotes && Array.isArray(quotes) && quotes.length > 0) {
       const randomIndex = Math.floor(Math.random() * quotes.length);
       return quotes[randomIndex];
@@ -108,6 +147,34 @@ export class QuoteService {
     return this.getRandomQuote();
   }
 
+  setUnlockedCategories(categories) {
+    this.unlockedCategories = categories;
+  }
+
+  /**
+   * Random quote from the dialogue unlocked by relationship levels
+   * @returns {string|null} null when nothing is unlocked yet
+   */
+  getUnlockedQuote() {
+    if (!this.dialogueLoaded) return null;
+    
+    const quotes = this.unlockedCategories.flatMap(category => {
+      return this.dialogueCollection.relationship_quotes?.[category] || [];
+    });
+    
+    if (quotes.length === 0) return null;
+    return quotes[Math.floor(Math.random() * quotes.length)];
+  }
+
+  /**
+   * Prompts for the reply mini-game, each with one correct and two wrong replies
+   * @returns {Array} { prompt, correct, wrong }
+   */
+  getReplyPrompts() {
+    const prompts = this.dialogueCollection.mini_game_dialogue?.reply_choice || [];
+    return prompts.filter(({ prompt, correct, wrong }) => prompt && correct && wrong?.length >= 2);
+  }
+
   getAllQuotes() {
     if (!this.dialogueLoaded) {
       return [];
@@ -0,0 +1,204 @@
+/**
+ * Relationship Service
+ * Levels the relationship up each time the affection bar fills, and works out
+ * which content is unlocked from the declarative levels in relationship_levels.json
+ */
+
+import { CONFIG } from '../config.js';
+
+const UNLOCK_TYPES = ['dialogue', 'sprite', 'theme'];
+
+export class RelationshipService {
+  /**
+   * @param {AffectionHistoryService} historyService - Source of the milestones unlock conditions check
+   */
+  constructor(storageProvider, historyService, logger) {
+    this.storageProvider = storageProvider;
+    this.historyService = historyService;
+    this.logger = logger;
+    this.storageKey = 'relationship';
+    this.levels = [];
+    this.state = this.createState();
+  }
+
+  createState() {
+    return { level: 1, unlocked: [] };
+  }
+
+  async load() {
+    await this.loadLevels();
+
+    try {
+      const state = await this.storageProvider.load(this.storageKey);
+      this.state = this.validateState(state);
+    } catch (error) {
+      this.logger.error(`Failed to load relationship: ${error.message}`);
+      this.state = this.createState();
+    }
+    return this.state;
+  }
+
+  async loadLevels() {
+    if (this.levels.length > 0) return;
+
+    try {
+      const response = await fetch(chrome.runtime.getURL(CONFIG.RELATIONSHIP.DATA_FILE));
+      if (!response.ok) {
+        throw new Error(`Failed to load relationship levels: ${response.status}`);
+      }
+
+      const data = await response.json();
+      this.levels = this.validateLevels(data.levels);
+      this.logger.log(`Loaded ${this.levels.length} relationship levels`);
+    } catch (error) {
+      this.logger.error(`Failed to load relationship levels: ${error.message}`);
+      this.levels = [];
+    }
+  }
+
+  /**
+   * Keep well-formed levels in order, dropping unlocks the app can't apply
+   */
+  validateLevels(levels) {
+    if (!Array.isArray(levels)) return [];
+
+    return levels
+      .filter(level => Number.isInteger(level?.level) && level.level > 0)
+      .sort((a, b) => a.level - b.level)
+      .map(level => ({
+        level: level.level,
+        title: String(level.title || `Level ${level.level}`),
+        unlocks: (Array.isArray(level.unlocks) ? level.unlocks : []).filter(unlock => {
+          const valid = unlock?.id && UNLOCK_TYPES.includes(unlock.type);
+          if (!valid) {
+            this.logger.warn(`Ignoring invalid unlock at relationship level ${level.level}`);
+          }
+          return valid;
+        })
+      }));
+  }
+
+  validateState(state) {
+    const level = Number(state?.level);
+    return {
+      level: Number.isInteger(level) ? Math.max(1, Math.min(this.getMaxLevel(), level)) : 1,
+      unlocked: Array.isArray(state?.unlocked) ? state.unlocked : []
+    };
+  }
+
+  async save() {
+    try {
+      await this.storageProvider.save(this.storageKey, this.state);
+    } catch (error) {
+      this.logger.error(`Failed to save relationship: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the in-memory state with one written by another context
+   */
+  sync(state) {
+    this.state = this.validateState(state);
+  }
+
+  getMaxLevel() {
+    return this.levels.length > 0 ? this.levels[this.levels.length - 1].level : 1;
+  }
+
+  getLevelDefinition(level = this.state.level) {
+    return this.levels.find(definition => definition.level === level) || { level, title: `Level ${level}`, unlocks: [] };
+  }
+
+  /**
+   * Add affection to a bar, moving up a level whenever it fills; the final level keeps the bar full
+   * @param {AffectionLevel} affection - Bar to increase in place
+   * @returns {Object} { gained, levelUps } - Points applied and the levels reached
+   */
+  applyGain(affection, amount) {
+    let remaining = amount;
+    let gained = 0;
+    const levelUps = [];
+
+    while (remaining > 0) {
+      const room = affection.max - affection.level;
+
+      if (remaining < room || this.state.level >= this.getMaxLevel()) {
+        const before = affection.level;
+        affection.increase(remaining);
+        gained += affection.level - before;
+        break;
+      }
+
+      // The bar fills: carry the rest into the next level
+      remaining -= room;
+      gained += room;
+      this.state.level += 1;
+      levelUps.push(this.state.level);
+      affection.level = Math.min(affection.max, CONFIG.RELATIONSHIP.LEVEL_START);
+    }
+
+    return { gained, levelUps };
+  }
+
+  /**
+   * Unlock everything whose level has been reached and whose conditions are met
+   * @returns {Array} Unlocks that are new since the last check
+   */
+  async checkUnlocks() {
+    const unlocked = new Set(this.state.unlocked);
+    const newUnlocks = this.levels
+      .filter(definition => definition.level <= this.state.level)
+      .flatMap(definition => definition.unlocks)
+      .filter(unlock => !unlocked.has(unlock.id) && this.meetsRequirements(unlock.requires));
+
+    if (newUnlocks.length > 0) {
+      this.state.unlocked = [...this.state.unlocked, ...newUnlocks.map(unlock => unlock.id)];
+      this.logger.log(`Unlocked: ${newUnlocks.map(unlock => unlock.name).join(', ')}`);
+    }
+
+    await this.save();
+    return newUnlocks;
+  }
+
+  meetsRequirements(requires = {}) {
+    const { streak } = this.historyService.milestones;
+    const milestones = this.historyService.getMilestones().map(milestone => milestone.id);
+
+    if (requires.streakDays && streak.longest < requires.streakDays) return false;
+    if (requires.milestone && !milestones.includes(requires.milestone)) return false;
+    return true;
+  }
+
+  /**
+   * Unlocked content, optionally of one type, in the order it was unlocked
+   */
+  getUnlocked(type = null) {
+    const unlocks = this.levels.flatMap(definition => definition.unlocks);
+    return this.state.unlocked
+      .map(id => unlocks.find(unlock => unlock.id === id))
+      .filter(unlock => unlock && (!type || unlock.type === type));
+  }
+
+  /**
+   * The next locked unlock and the level it needs
+   * @returns {Object|null} { level, title, unlock }
+   */
+  getNextUnlock() {
+    const unlocked = new Set(this.state.unlocked);
+
+    for (const definition of this.levels) {
+      const unlock = definition.unlocks.find(candidate => !unlocked.has(candidate.id));
+      if (unlock) {
+        return { level: definition.level, title: definition.title, unlock };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Unlocked sprites by the affection mood they replace
+   */
+  getSpriteOverrides() {
+    return Object.fromEntries(this.getUnlocked('sprite').map(unlock => [unlock.mood, unlock.sprite]));
+  }
+}
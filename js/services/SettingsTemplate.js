@@ -25,7 +25,23 @@ export class SettingsTemplate {
           { type: 'number', id: 'sessions-until-long', label: 'Sessions until Long Break:', min: 2, max: 10, step: 1 },
           { type: 'checkbox', id: 'notifications-enabled', label: 'Enable Notifications' },
           { type: 'checkbox', id: 'auto-start-breaks', label: 'Auto-start Breaks' },
-          { type: 'checkbox', id: 'auto-start-work', label: 'Auto-start Work Sessions' }
+          { type: 'checkbox', id: 'auto-start-work', label: 'Auto-start Work Sessions' },
+          { type: 'number', id: 'auto-start-delay', label: 'Auto-start Countdown (seconds):', min: 3, max: 60, step: 1 },
+          {
+            type: 'select',
+            id: 'daily-goal-type',
+            label: 'Daily Goal Type:',
+            options: [
+              { value: 'sessions', text: 'Work sessions' },
+              { value: 'minutes', text: 'Focus minutes' }
+            ]
+          },
+          { type: 'number', id: 'daily-goal', label: 'Daily Goal:', min: 1, max: 600, step: 1 },
+          { type: 'checkbox', id: 'weekend-rest-days', label: 'Weekends are Rest Days' },
+          { type: 'number', id: 'streak-freezes', label: 'Streak Freezes per Month:', min: 0, max: 5, step: 1 },
+          { type: 'checkbox', id: 'ambient-auto-play', label: 'Auto-play Ambient Sound during Work' },
+          { type: 'checkbox', id: 'idle-auto-pause', label: 'Pause Work Sessions when I\'m Away' },
+          { type: 'number', id: 'idle-threshold', label: 'Away after Idle (minutes):', min: 1, max: 30, step: 1 }
         ]
       },
       {
@@ -35,7 +51,12 @@ export class SettingsTemplate {
           { type: 'number', id: 'affection-task', label: 'Task Completion Reward:', min: 1, max: 100, step: 1 },
           { type: 'number', id: 'affection-click', label: 'Waifu Click Reward:', min: 1, max: 50, step: 1 },
           { type: 'number', id: 'affection-work', label: 'Work Session Reward:', min: 1, max: 100, step: 1 },
-          { type: 'number', id: 'affection-break', label: 'Break Session Reward:', min: 1, max: 50, step: 1 }
+          { type: 'number', id: 'affection-break', label: 'Break Session Reward:', min: 1, max: 50, step: 1 },
+          { type: 'checkbox', id: 'affection-decay', label: 'Affection Fades when I\'m Away' },
+          { type: 'number', id: 'affection-decay-rate', label: 'Fade Rate (points per day):', min: 0, max: 50, step: 1 },
+          { type: 'number', id: 'affection-decay-grace', label: 'Grace Period (hours):', min: 1, max: 168, step: 1 },
+          { type: 'number', id: 'affection-decay-floor', label: 'Never Fade Below:', min: 0, max: 100, step: 1 },
+          { type: 'number', id: 'interaction-daily-cap', label: 'Interaction Signals per Day:', min: 1, max: 50, step: 1 }
         ]
       },
       {
@@ -58,6 +79,49 @@ export class SettingsTemplate {
           { type: 'info', text: 'Tracks time spent on productive vs distracting sites for insights.' }
         ]
       },
+      {
+        id: 'focus',
+        title: '🎯 Focus Mode',
+        settings: [
+          { type: 'checkbox', id: 'focus-mode-enabled', label: 'Block distracting sites during work sessions' },
+          { type: 'checkbox', id: 'focus-block-social', label: 'Block Social Media' },
+          { type: 'checkbox', id: 'focus-block-entertainment', label: 'Block Entertainment' },
+          { type: 'checkbox', id: 'focus-block-shopping', label: 'Block Shopping' },
+          { type: 'checkbox', id: 'focus-block-news', label: 'Block News' },
+          { type: 'info', text: 'Blocked sites show a reminder page with a 5 minute override. Overrides are logged.' }
+        ]
+      },
+      {
+        id: 'sound',
+        title: '🔊 Sound',
+        settings: [
+          { type: 'checkbox', id: 'sound-effects', label: 'Enable Sound Effects' },
+          {
+            type: 'select',
+            id: 'sound-theme',
+            label: 'Sound Theme:',
+            options: [
+              { value: 'chime', text: 'Soft Chime' },
+              { value: 'bell', text: 'Temple Bell' },
+              { value: 'arcade', text: 'Arcade' },
+              { value: 'marimba', text: 'Marimba' }
+            ]
+          },
+          { type: 'range', id: 'sound-volume', label: 'Volume:', min: 0, max: 100, step: 5, unit: '%' },
+          { type: 'checkbox', id: 'sound-work-complete', label: 'Work Session Complete', preview: 'workComplete' },
+          { type: 'checkbox', id: 'sound-break-complete', label: 'Break Complete', preview: 'breakComplete' },
+          { type: 'checkbox', id: 'sound-interaction', label: 'Interaction Available', preview: 'interaction' },
+          { type: 'checkbox', id: 'sound-task-complete', label: 'Task Complete', preview: 'taskComplete' }
+        ]
+      },
+      {
+        id: 'shortcuts',
+        title: '⌨️ Keyboard Shortcuts',
+        settings: [
+          { type: 'list', id: 'shortcut-list', label: 'Shortcuts' },
+          { type: 'info', text: 'These work from any tab. Change them at chrome://extensions/shortcuts.' }
+        ]
+      },
       {
         id: 'appearance',
         title: 'Appearance',
@@ -89,9 +153,8 @@ export class SettingsTemplate {
         settings: [
           { type: 'checkbox', id: 'experimental-features', label: 'Enable Experimental Features' },
           { type: 'checkbox', id: 'debug-mode', label: 'Debug Mode' },
-          { type: 'checkbox', id: 'sound-effects', label: 'Sound Effects (Coming Soon)' },
           { type: 'checkbox', id: 'voice-quotes', label: 'Voice Quotes (Coming Soon)' },
-          { type: 'checkbox', id: 'custom-themes', label: 'Custom Themes (Coming Soon)' },
+          { type: 'checkbox', id: 'custom-themes', label: 'Use Unlocked Relationship Theme' },
           { type: 'checkbox', id: 'advanced-stats', label: 'Advanced Statistics (Coming Soon)' }
         ]
       }
@@ -159,6 +222,8 @@ export class SettingsTemplate {
         return this.generateTextareaInput(setting);
       case 'info':
         return this.generateInfoText(setting);
+      case 'list':
+        return this.generateList(setting);
       default:
         console.warn(`Unknown setting type: ${setting.type}`);
         return '';
@@ -196,11 +261,12 @@ export class SettingsTemplate {
 
   generateCheckboxInput(setting) {
     return `
-      <div class="setting-item checkbox-item" data-setting="${setting.id}">
+      <div class="setting-item checkbox-item${setting.preview ? ' preview-item' : ''}" data-setting="${setting.id}">
         <label for="${setting.id}">
           <input type="checkbox" id="${setting.id}">
           ${setting.label}
         </label>
+        ${setting.preview ? `<button type="button" class="sound-preview-btn" data-sound="${setting.preview}" title="Preview">▶</button>` : ''}
       </div>
     `;
   }
@@ -246,6 +312,17 @@ export class SettingsTemplate {
     `;
   }
 
+  /**
+   * Read-only list, filled in by the UI when the settings view opens
+   */
+  generateList(setting) {
+    return `
+      <div class="setting-item list-item" data-setting="${setting.id}">
+        <ul id="${setting.id}" class="setting-list" aria-label="${setting.label}"></ul>
+      </div>
+    `;
+  }
+
   generateManagementSection() {
     return `
       <div class="settings-section" data-section="management">
@@ -0,0 +1,104 @@
+/**
+ * Task Reward Service
+ * Decides how much affection completing a task earns, so toggling tasks
+ * on and off or ticking them off in bulk can't be used to farm affection
+ */
+
+import { CONFIG } from '../config.js';
+
+export class TaskRewardService {
+  constructor(storageProvider, logger) {
+    this.storageProvider = storageProvider;
+    this.logger = logger;
+    this.storageKey = 'taskRewardLog';
+
+    // Recent activity only - older entries are pruned as the windows pass
+    this.log = { rewards: [], toggles: [] };
+  }
+
+  async load() {
+    try {
+      const log = await this.storageProvider.load(this.storageKey);
+      this.log = {
+        rewards: Array.isArray(log?.rewards) ? log.rewards : [],
+        toggles: Array.isArray(log?.toggles) ? log.toggles : []
+      };
+      this.prune();
+    } catch (error) {
+      this.logger.error(`Failed to load task reward log: ${error.message}`);
+      this.log = { rewards: [], toggles: [] };
+    }
+  }
+
+  async save() {
+    try {
+      await this.storageProvider.save(this.storageKey, this.log);
+    } catch (error) {
+      this.logger.error(`Failed to save task reward log: ${error.message}`);
+    }
+  }
+
+  prune(now = Date.now()) {
+    const { DIMINISH_WINDOW, SUSPICIOUS_WINDOW } = CONFIG.TASK_REWARD;
+    this.log.rewards = this.log.rewards.filter(reward => now - reward.at < DIMINISH_WINDOW);
+    this.log.toggles = this.log.toggles.filter(toggle => now - toggle.at < SUSPICIOUS_WINDOW);
+  }
+
+  /**
+   * Note a task being checked or unchecked
+   */
+  recordToggle(todo, now = Date.now()) {
+    this.log.toggles.push({ id: todo.id, completed: todo.completed, at: now });
+    this.prune(now);
+    this.save();
+  }
+
+  /**
+   * Work out the reward for a task that was just completed
+   * @param {Todo} todo - The completed task, after recordToggle
+   * @param {number} baseAmount - Reward for a task when nothing else was rewarded recently
+   * @returns {Object} { amount, outcome } - outcome is rewarded, diminished (nothing left to give),
+   *   alreadyRewarded or suspicious
+   */
+  evaluateCompletion(todo, baseAmount, now = Date.now()) {
+    this.prune(now);
+
+    const { SUSPICIOUS_TOGGLES, SUSPICIOUS_COMPLETIONS, DIMINISH_FACTOR } = CONFIG.TASK_REWARD;
+    const taskToggles = this.log.toggles.filter(toggle => toggle.id === todo.id).length;
+    const completions = this.log.toggles.filter(toggle => toggle.completed).length;
+
+    if (taskToggles >= SUSPICIOUS_TOGGLES || completions >= SUSPICIOUS_COMPLETIONS) {
+      this.logger.warn(`Suspicious task toggling (${taskToggles} toggles, ${completions} completions) - no reward`);
+      return { amount: 0, outcome: 'suspicious' };
+    }
+
+    if (todo.rewardedAt) {
+      return { amount: 0, outcome: 'alreadyRewarded' };
+    }
+
+    const amount = Math.round(baseAmount * Math.pow(DIMINISH_FACTOR, this.log.rewards.length));
+    return { amount, outcome: amount > 0 ? 'rewarded' : 'diminished' };
+  }
+
+  /**
+   * Mark a task as rewarded; the caller saves the todo
+   */
+  recordReward(todo, amount, now = Date.now()) {
+    todo.rewardedAt = new Date(now).toISOString();
+    todo.rewardAmount = amount;
+    this.log.rewards.push({ id: todo.id, amount, at: now });
+    this.save();
+  }
+
+  /**
+   * Affection to take back when a task is deleted shortly after earning it,
+   * even if it was unchecked first
+   * @returns {number} 0 when the reward is kept
+   */
+  getRevocableReward(todo, now = Date.now()) {
+    if (!todo?.rewardedAt) return 0;
+
+    const age = now - new Date(todo.rewardedAt).getTime();
+    return age < CONFIG.TASK_REWARD.REVOKE_WINDOW ? todo.rewardAmount : 0;
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * Zip Reader
+ * Minimal reader for the zip files character packs are shared as. Handles
+ * stored and deflated entries, which covers what common zip tools produce
+ */
+
+const SIGNATURES = {
+  END_OF_CENTRAL_DIRECTORY: 0x06054b50,
+  CENTRAL_DIRECTORY: 0x02014b50,
+  LOCAL_FILE: 0x04034b50
+};
+
+const METHODS = {
+  STORED: 0,
+  DEFLATED: 8
+};
+
+export class ZipReader {
+  /**
+   * Unpack every file in a zip
+   * @param {Blob} blob - The zip file
+   * @param {number} maxSize - Largest total unpacked size allowed
+   * @returns {Promise<Map>} Path -> Blob, folders left out
+   * @throws {Error} When the file isn't a zip ZipReader can unpack
+   */
+  static async read(blob, maxSize = Infinity) {
+    const tooLarge = new Error(`the unpacked files are larger than ${Math.round(maxSize / (1024 * 1024))} MB`);
+    if (blob.size > maxSize) {
+      throw tooLarge;
+    }
+
+    const buffer = await blob.arrayBuffer();
+    const view = new DataView(buffer);
+    const end = ZipReader.findEndOfCentralDirectory(view);
+    if (end < 0) {
+      throw new Error('not a zip file');
+    }
+
+    const entryCount = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+      throw new Error('zip64 archives are not supported');
+    }
+
+    const decoder = new TextDecoder();
+    const files = new Map();
+    let totalSize = 0;
+
+    for (let i = 0; i < entryCount; i++) {
+      if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== SIGNATURES.CENTRAL_DIRECTORY) {
+        throw new Error('the zip file is damaged');
+      }
+
+      const flags = view.getUint16(offset + 8, true);
+      const method = view.getUint16(offset + 10, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const size = view.getUint32(offset + 24, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (name.endsWith('/')) continue;
+
+      if (flags & 0x1) {
+        throw new Error(`${name} is encrypted`);
+      }
+
+      // Checked before unpacking so a tiny zip can't expand into something huge;
+      // unpack holds each entry to its recorded size, which keeps it within the budget
+      totalSize += size;
+      if (totalSize > maxSize) {
+        throw tooLarge;
+      }
+
+      if (localOffset + 30 > view.byteLength || view.getUint32(localOffset, true) !== SIGNATURES.LOCAL_FILE) {
+        throw new Error(`the entry for ${name} is damaged`);
+      }
+      const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      if (start + compressedSize > view.byteLength) {
+        throw new Error(`the entry for ${name} is damaged`);
+      }
+
+      files.set(name, await ZipReader.unpack(blob.slice(start, start + compressedSize), method, name, size));
+    }
+
+    return files;
+  }
+
+  /**
+   * The end of central directory record sits at the end, after an optional comment
+   */
+  static findEndOfCentralDirectory(view) {
+    const lastStart = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= lastStart; offset--) {
+      if (view.getUint32(offset, true) === SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+        return offset;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * @param {number} size - Unpacked size recorded in the central directory
+   */
+  static async unpack(data, method, name, size) {
+    switch (method) {
+      case METHODS.STORED:
+        if (data.size !== size) {
+          throw new Error(`the entry for ${name} is damaged`);
+        }
+        return data;
+      case METHODS.DEFLATED:
+        return ZipReader.inflate(data, name, size);
+      default:
+        throw new Error(`${name} uses an unsupported compression method (${method})`);
+    }
+  }
+
+  /**
+   * Decompress while counting, giving up as soon as the output passes the
+   * recorded size rather than trusting it
+   */
+  static async inflate(data, name, size) {
+    const reader = data.stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let length = 0;
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      length += value.byteLength;
+      if (length > size) {
+        reader.cancel().catch(() => {});
+        throw new Error(`${name} unpacks to more than the size recorded in the zip`);
+      }
+      chunks.push(value);
+    }
+
+    return new Blob(chunks);
+  }
+}
@@ -0,0 +1,22 @@
+/**
+ * Serial Queue
+ * Runs async tasks one at a time, so read-modify-write steps on shared state
+ * don't interleave
+ */
+
+export class SerialQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  /**
+   * Run a task after all previously queued tasks have finished
+   * @param {Function} task - May return a promise
+   * @returns {Promise} Settles like the task; a failure doesn't hold up later tasks
+   */
+  enqueue(task) {
+    const run = this.tail.then(task);
+    this.tail = run.catch(() => {});
+    return run;
+  }
+}
@@ -0,0 +1,8 @@
+/**
+ * Date Key
+ * Local calendar days as YYYY-MM-DD, the key used by every per-day record
+ */
+
+export function getDateKey(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}